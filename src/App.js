@@ -1,26 +1,64 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import HomePage from './pages/HomePage';
 import TickerPage from './pages/TickerPage';
+import PortfolioPage from './pages/PortfolioPage';
+import ScreenerPage from './pages/ScreenerPage';
+import CalendarPage from './pages/CalendarPage';
+import OptionsPage from './pages/OptionsPage';
+import NewsArticlePage from './pages/NewsArticlePage';
+import NotificationCenter from './components/NotificationCenter';
+import ClockControls from './components/ClockControls';
+import { nowSec, getClockState, subscribe } from './utils/clock';
+import { processOrders } from './utils/paperTrading';
+import { evaluateAlerts } from './utils/alerts';
 import './App.css';
 
 function App() {
-  // Unix timestamp in seconds — updated every second to drive real-time prices.
-  const [currentTimestamp, setCurrentTimestamp] = useState(Math.floor(Date.now() / 1000));
+  // Simulated market-local timestamp in seconds, read from the clock.  Drives
+  // every price on the page; re-rendering happens whenever the second changes.
+  const [currentTimestamp, setCurrentTimestamp] = useState(nowSec);
+  const [speed, setSpeed] = useState(() => getClockState().speed);
 
+  // Explicit clock changes (time jumps, pause/resume, speed) re-render at once.
+  useEffect(() => subscribe((sec) => {
+    setCurrentTimestamp(sec);
+    setSpeed(getClockState().speed);
+  }), []);
+
+  // Poll faster when the clock is accelerated so the display keeps pace.
   useEffect(() => {
     const id = setInterval(() => {
-      setCurrentTimestamp(Math.floor(Date.now() / 1000));
-    }, 1000);
+      setCurrentTimestamp(nowSec());
+    }, Math.max(20, Math.floor(1000 / speed)));
     return () => clearInterval(id);
-  }, []);
+  }, [speed]);
+
+  // Alerts that fired and are still shown as toasts.
+  const [toasts, setToasts] = useState([]);
+  const dismissToast = useCallback((id) => setToasts(ts => ts.filter(t => t.id !== id)), []);
+
+  // Resting paper-trading orders fill, and alerts fire, against every second
+  // the clock passes.
+  useEffect(() => {
+    processOrders(currentTimestamp);
+    const fired = evaluateAlerts(currentTimestamp);
+    if (fired.length) setToasts(ts => [...ts, ...fired]);
+  }, [currentTimestamp]);
 
   return (
     <Router>
       <div className="App">
+        <NotificationCenter toasts={toasts} onDismiss={dismissToast} />
+        <ClockControls currentTimestamp={currentTimestamp} />
         <Routes>
-          <Route path="/"                 element={<HomePage   currentTimestamp={currentTimestamp} />} />
-          <Route path="/tickers/:symbol"  element={<TickerPage currentTimestamp={currentTimestamp} />} />
+          <Route path="/"                 element={<HomePage      currentTimestamp={currentTimestamp} />} />
+          <Route path="/tickers/:symbol"  element={<TickerPage    currentTimestamp={currentTimestamp} />} />
+          <Route path="/tickers/:symbol/options" element={<OptionsPage currentTimestamp={currentTimestamp} />} />
+          <Route path="/portfolio"        element={<PortfolioPage currentTimestamp={currentTimestamp} />} />
+          <Route path="/screener"         element={<ScreenerPage  currentTimestamp={currentTimestamp} />} />
+          <Route path="/calendar"         element={<CalendarPage  currentTimestamp={currentTimestamp} />} />
+          <Route path="/news/:id"         element={<NewsArticlePage currentTimestamp={currentTimestamp} />} />
         </Routes>
       </div>
     </Router>
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { getAlerts, createAlert, deleteAlert, describeAlert, ALERT_TYPES } from '../utils/alerts';
+import { fmtLongDate, fmtMarketTime, MARKET_OPEN_SEC } from '../utils/priceEngine';
+import './AlertsPanel.css';
+
+const TYPE_LABELS = {
+  above:  'Price above',
+  below:  'Price below',
+  change: 'Change % from close',
+  volume: 'Volume spike (× avg)',
+};
+
+const PLACEHOLDERS = { above: 'Price', below: 'Price', change: 'e.g. 3 or -2', volume: 'e.g. 3' };
+
+/** "Feb 20, 2026 10:26:48 AM" from market-local epoch seconds. */
+function fmtAlertTime(unixSec) {
+  const dayNum = Math.floor(unixSec / 86400);
+  return `${fmtLongDate(dayNum)} ${fmtMarketTime(unixSec - dayNum * 86400 - MARKET_OPEN_SEC)}`;
+}
+
+/* Price alerts for one symbol: a form to add one and the list with their status. */
+function AlertsPanel({ symbol, currentTimestamp }) {
+  const [type, setType]   = useState('above');
+  const [value, setValue] = useState('');
+  const [error, setError] = useState(null);
+  const [, setRevision]   = useState(0); // bump to re-read the alerts
+
+  // Alerts fire on clock ticks, so they are re-read on every render.
+  const alerts = getAlerts(symbol).slice().reverse();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      createAlert({ symbol, type, value: parseFloat(value) }, currentTimestamp);
+      setError(null);
+      setValue('');
+    } catch (err) {
+      setError(err.message);
+    }
+    setRevision(r => r + 1);
+  };
+
+  const handleDelete = (id) => {
+    deleteAlert(id);
+    setRevision(r => r + 1);
+  };
+
+  return (
+    <div className="alerts-panel">
+      <h3>Price Alerts</h3>
+      <form className="alert-form" onSubmit={handleSubmit}>
+        <select value={type} onChange={(e) => setType(e.target.value)} aria-label="Alert type">
+          {ALERT_TYPES.map(t => <option key={t} value={t}>{TYPE_LABELS[t]}</option>)}
+        </select>
+        <input
+          type="number"
+          step="any"
+          placeholder={PLACEHOLDERS[type]}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          aria-label="Alert value"
+        />
+        <button type="submit" className="alert-submit">Add alert</button>
+      </form>
+      {error && <div className="alert-error">{error}</div>}
+
+      {alerts.length > 0 && (
+        <ul className="alert-list">
+          {alerts.map(a => (
+            <li key={a.id} className={a.firedAt !== null ? 'fired' : ''}>
+              <span className="alert-rule">{describeAlert(a)}</span>
+              <span className="alert-status">
+                {a.firedAt !== null ? `Triggered ${fmtAlertTime(a.firedAt)}` : 'Active'}
+              </span>
+              <button className="alert-delete" onClick={() => handleDelete(a.id)} aria-label="Delete alert">×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default AlertsPanel;
@@ -0,0 +1,177 @@
+import React from 'react';
+import { anchorTime, makeAnchor, FIB_LEVELS } from '../utils/drawings';
+import './ChartDrawings.css';
+
+const COLOR          = '#6247aa';
+const SELECTED_COLOR = '#cc0000';
+const CLIP_ID        = 'chart-drawings-clip';
+
+/* ── Geometry ────────────────────────────────────────────────────────────── */
+
+/*
+ * Linear interpolation of `v` from the ascending `from` values onto `to`,
+ * extrapolating past either end along the first or last segment.
+ */
+function interpolate(from, to, v) {
+  if (from.length === 1) return to[0];
+  let i = 1;
+  while (i < from.length - 1 && from[i] < v) i++;
+  return to[i - 1] + ((v - from[i - 1]) / (from[i] - from[i - 1])) * (to[i] - to[i - 1]);
+}
+
+/*
+ * Mapping between anchors and pixels for the bars on screen.  Time is
+ * interpolated between the x positions of the visible bars, so an anchor
+ * inside a daily or weekly bar sits part-way across it; before the first or
+ * after the last bar it continues at that bar's spacing.
+ */
+function chartGeometry({ formattedGraphicalItems, yAxisMap, offset }) {
+  const points = formattedGraphicalItems?.[0]?.props?.points;
+  const yScale = yAxisMap && Object.values(yAxisMap)[0]?.scale;
+  if (!points?.length || !yScale?.invert || !offset) return null;
+  const xs = points.map(p => p.x);
+  const ts = points.map(p => anchorTime({ dayNum: p.payload.dayNum, minute: p.payload.minuteIdx }));
+  return {
+    ...offset,
+    x: (anchor) => interpolate(ts, xs, anchorTime(anchor)),
+    y: (price) => yScale(price),
+    anchorAt: (x, y) => makeAnchor(interpolate(xs, ts, x), yScale.invert(y)),
+  };
+}
+
+/* ── Shapes ──────────────────────────────────────────────────────────────── */
+
+/* A line plus a wider transparent one on top that takes the clicks. */
+function HitLine({ x1, y1, x2, y2, color, dashed, onSelect }) {
+  return (
+    <>
+      <line x1={x1} y1={y1} x2={x2} y2={y2} stroke={color} strokeWidth={1.5}
+        strokeDasharray={dashed ? '4 3' : undefined} />
+      {onSelect && (
+        <line className="chart-drawing-hit" x1={x1} y1={y1} x2={x2} y2={y2} onClick={onSelect} />
+      )}
+    </>
+  );
+}
+
+/* One drawing in pixel space; `onSelect` is omitted for the preview. */
+function Drawing({ drawing, geo, color, selected, onSelect }) {
+  const [a, b] = drawing.anchors;
+  const right  = geo.left + geo.width;
+  let shape;
+
+  if (drawing.type === 'trendline') {
+    shape = <HitLine x1={geo.x(a)} y1={geo.y(a.price)} x2={geo.x(b)} y2={geo.y(b.price)} color={color} onSelect={onSelect} />;
+  } else if (drawing.type === 'hline') {
+    const y = geo.y(a.price);
+    shape = (
+      <>
+        <HitLine x1={geo.left} y1={y} x2={right} y2={y} color={color} onSelect={onSelect} />
+        <text className="chart-drawing-label" x={right - 4} y={y - 4} textAnchor="end" fill={color}>
+          {a.price.toFixed(2)}
+        </text>
+      </>
+    );
+  } else if (drawing.type === 'fib') {
+    // Level 0 at the second anchor (the end of the move), 100% back at the first.
+    const x1 = Math.min(geo.x(a), geo.x(b)), x2 = Math.max(geo.x(a), geo.x(b));
+    shape = (
+      <>
+        <HitLine x1={geo.x(a)} y1={geo.y(a.price)} x2={geo.x(b)} y2={geo.y(b.price)} color={color} dashed />
+        {FIB_LEVELS.map(level => {
+          const price = b.price + (a.price - b.price) * level;
+          const y = geo.y(price);
+          return (
+            <g key={level}>
+              <HitLine x1={x1} y1={y} x2={x2} y2={y} color={color} onSelect={onSelect} />
+              <text className="chart-drawing-label" x={x1 + 4} y={y - 3} fill={color}>
+                {`${(level * 100).toFixed(1)}%  ${price.toFixed(2)}`}
+              </text>
+            </g>
+          );
+        })}
+      </>
+    );
+  } else {
+    const x = geo.x(a), y = geo.y(a.price);
+    shape = (
+      <>
+        <circle cx={x} cy={y} r={3} fill={color} />
+        <text
+          className={`chart-drawing-note ${onSelect ? 'chart-drawing-hit-text' : ''}`}
+          x={x + 6} y={y + 4} fill={color} onClick={onSelect}
+        >
+          {drawing.text}
+        </text>
+      </>
+    );
+  }
+
+  return (
+    <g>
+      {shape}
+      {selected && drawing.anchors.map((p, i) => (
+        <circle key={i} cx={geo.x(p)} cy={geo.y(p.price)} r={4} fill="#ffffff" stroke={color} strokeWidth={1.5} />
+      ))}
+    </g>
+  );
+}
+
+/* ── Layer ───────────────────────────────────────────────────────────────── */
+
+/*
+ * Drawings over StockChart's price chart, rendered through recharts'
+ * <Customized> (which passes the chart's axes, points and plot offset).
+ *
+ * With a drawing tool active, a transparent rect over the plot area turns
+ * clicks into anchors (`onPoint`) and, while a two-point drawing is pending,
+ * mouse moves into `onHover`.  Without one, clicking a drawing selects it.
+ *
+ * Props: drawings, tool, pending (first anchor or null), hover (anchor or
+ * null), selectedId, onSelect(id), onPoint(anchor), onHover(anchor).
+ */
+function ChartDrawings(props) {
+  const { drawings, tool, pending, hover, selectedId, onSelect, onPoint, onHover } = props;
+  const geo = chartGeometry(props);
+  if (!geo) return null;
+
+  const anchorFromEvent = (e) => {
+    const box = e.currentTarget.ownerSVGElement.getBoundingClientRect();
+    return geo.anchorAt(e.clientX - box.left, e.clientY - box.top);
+  };
+
+  return (
+    <g className="chart-drawings">
+      <defs>
+        <clipPath id={CLIP_ID}>
+          <rect x={geo.left} y={geo.top} width={geo.width} height={geo.height} />
+        </clipPath>
+      </defs>
+      <g clipPath={`url(#${CLIP_ID})`}>
+        {drawings.map(d => (
+          <Drawing
+            key={d.id}
+            drawing={d}
+            geo={geo}
+            color={d.id === selectedId ? SELECTED_COLOR : COLOR}
+            selected={d.id === selectedId}
+            onSelect={tool === 'select' ? (e) => { e.stopPropagation(); onSelect(d.id); } : undefined}
+          />
+        ))}
+        {pending && hover && (
+          <Drawing drawing={{ type: tool, anchors: [pending, hover] }} geo={geo} color={COLOR} selected />
+        )}
+      </g>
+      {tool !== 'select' && (
+        <rect
+          className="chart-drawings-capture"
+          x={geo.left} y={geo.top} width={geo.width} height={geo.height}
+          onClick={(e) => onPoint(anchorFromEvent(e))}
+          onMouseMove={pending ? (e) => onHover(anchorFromEvent(e)) : undefined}
+        />
+      )}
+    </g>
+  );
+}
+
+export default ChartDrawings;
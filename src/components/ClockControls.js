@@ -0,0 +1,45 @@
+import React from 'react';
+import { getClockState, pause, resume, setSpeed, step } from '../utils/clock';
+import { fmtLongDate, fmtMarketTime, MARKET_OPEN_SEC } from '../utils/priceEngine';
+import './ClockControls.css';
+
+// Playback speeds offered, in simulated seconds per real second.
+const SPEEDS = [1, 10, 60, 600, 3600];
+
+// Step buttons, in simulated seconds.
+const STEPS = [
+  { label: '−1h', seconds: -3600 },
+  { label: '−1m', seconds: -60 },
+  { label: '+1m', seconds: 60 },
+  { label: '+1h', seconds: 3600 },
+];
+
+/*
+ * Simulated clock bar: the current market-local time, pause / resume, steps
+ * of a minute or an hour either way and the playback speed.  Each control
+ * calls utils/clock, whose subscribers (App.js) re-render straight away.
+ */
+function ClockControls({ currentTimestamp }) {
+  const { speed, frozen } = getClockState();
+  const dayNum = Math.floor(currentTimestamp / 86400);
+
+  return (
+    <div className="clock-controls">
+      <span className="clock-time">
+        {fmtLongDate(dayNum)} {fmtMarketTime(currentTimestamp % 86400 - MARKET_OPEN_SEC)}
+      </span>
+      <button onClick={frozen ? resume : pause} aria-label={frozen ? 'Resume' : 'Pause'}>
+        {frozen ? '▶' : '❚❚'}
+      </button>
+      {STEPS.map(s => (
+        <button key={s.seconds} onClick={() => step(s.seconds)}>{s.label}</button>
+      ))}
+      <select value={speed} onChange={(e) => setSpeed(e.target.value)} aria-label="Speed">
+        {!SPEEDS.includes(speed) && <option value={speed}>{speed}×</option>}
+        {SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+      </select>
+    </div>
+  );
+}
+
+export default ClockControls;
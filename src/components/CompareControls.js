@@ -0,0 +1,29 @@
+import React from 'react';
+import SearchBar from './SearchBar';
+import './CompareControls.css';
+
+/*
+ * Comparison set for the ticker chart: a chip per symbol (× removes it) and
+ * a SearchBar to add another, hidden once `max` symbols are picked.
+ */
+function CompareControls({ symbols, max, onAdd, onRemove, error }) {
+  return (
+    <div className="compare-controls">
+      <span className="compare-label">Compare:</span>
+      {symbols.map(s => (
+        <span key={s} className="compare-chip">
+          {s}
+          <button onClick={() => onRemove(s)} aria-label={`Remove ${s}`}>×</button>
+        </span>
+      ))}
+      {symbols.length < max && (
+        <div className="compare-search">
+          <SearchBar onSearch={onAdd} placeholder="Add symbol to compare" buttonLabel="Add" />
+        </div>
+      )}
+      {error && <span className="compare-error">{error}</span>}
+    </div>
+  );
+}
+
+export default CompareControls;
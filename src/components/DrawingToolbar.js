@@ -0,0 +1,49 @@
+import React from 'react';
+import { DRAWING_TOOLS } from '../utils/drawings';
+import './DrawingToolbar.css';
+
+/*
+ * Drawing tool picker for StockChart.  'select' is the pointer; the others
+ * are the DRAWING_TOOLS keys.  `count` is how many drawings the chart has,
+ * for the Clear button; `disabled` greys everything out (comparison mode
+ * has no price axis to draw on).
+ */
+function DrawingToolbar({ tool, onToolChange, count, onClear, error, disabled }) {
+  return (
+    <div className={`drawing-toolbar ${disabled ? 'disabled' : ''}`}>
+      <span className="drawing-label">Draw:</span>
+      <div className="drawing-tools">
+        <button
+          className={tool === 'select' ? 'active' : ''}
+          onClick={() => onToolChange('select')}
+          disabled={disabled}
+        >
+          Select
+        </button>
+        {Object.entries(DRAWING_TOOLS).map(([id, { label }]) => (
+          <button
+            key={id}
+            className={tool === id ? 'active' : ''}
+            onClick={() => onToolChange(id)}
+            disabled={disabled}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {count > 0 && (
+        <button className="drawing-clear" onClick={onClear} disabled={disabled}>
+          Clear all ({count})
+        </button>
+      )}
+      <span className="drawing-hint">
+        {tool === 'select'
+          ? 'Click a drawing to select it · ←/→ cycle · Delete removes'
+          : 'Click the chart to place points · Esc cancels'}
+      </span>
+      {error && <span className="drawing-error">{error}</span>}
+    </div>
+  );
+}
+
+export default DrawingToolbar;
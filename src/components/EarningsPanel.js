@@ -0,0 +1,59 @@
+import React from 'react';
+import { getEarningsReports } from '../utils/fundamentals';
+import { REPORT_TIMES } from '../utils/earnings';
+import { fmtLongDate } from '../utils/priceEngine';
+import './EarningsPanel.css';
+
+const fmtSigned = (v, suffix = '') => `${v >= 0 ? '+' : ''}${v.toFixed(2)}${suffix}`;
+
+const signClass = (v) => (v === null ? '' : v >= 0 ? 'positive' : 'negative');
+
+/*
+ * Earnings history for one stock: the next report with its EPS estimate,
+ * then the latest reports (newest first) with estimate, actual, surprise
+ * and the price reaction on the first session after each.
+ */
+function EarningsPanel({ symbol, currentTimestamp }) {
+  const reports = getEarningsReports(symbol, currentTimestamp);
+  if (!reports) return null;
+  const { past, next } = reports;
+
+  return (
+    <div className="earnings-panel">
+      <h3>Earnings</h3>
+      <p className="earnings-next">
+        Next: <b>{next.label}</b> on {fmtLongDate(next.reportDay)} · {REPORT_TIMES[next.time].label}
+        {' '}· EPS estimate {next.estimate.toFixed(2)}
+      </p>
+
+      <table className="earnings-table">
+        <thead>
+          <tr>
+            <th>Quarter</th>
+            <th>Reported</th>
+            <th>EPS Est.</th>
+            <th>EPS Actual</th>
+            <th>Surprise</th>
+            <th>Reaction</th>
+          </tr>
+        </thead>
+        <tbody>
+          {past.map(r => (
+            <tr key={r.quarter}>
+              <td className="earnings-quarter">{r.label}</td>
+              <td>{fmtLongDate(r.reportDay)} · {REPORT_TIMES[r.time].label}</td>
+              <td>{r.estimate.toFixed(2)}</td>
+              <td>{r.actual.toFixed(2)}</td>
+              <td className={signClass(r.surprisePct)}>{fmtSigned(r.surprisePct, '%')}</td>
+              <td className={signClass(r.reactionPct)}>
+                {r.reactionPct === null ? '—' : fmtSigned(r.reactionPct, '%')}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default EarningsPanel;
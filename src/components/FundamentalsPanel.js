@@ -0,0 +1,161 @@
+import React, { useMemo, useState } from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine,
+} from 'recharts';
+import { getQuarterlyFundamentals, getAnnualFundamentals } from '../utils/fundamentals';
+import { fmtLongDate } from '../utils/priceEngine';
+import './FundamentalsPanel.css';
+
+/** 109850000000 → "$109.85B", -4720000000 → "-$4.72B". */
+const fmtBig = (v) => {
+  const abs = Math.abs(v);
+  const sign = v < 0 ? '-' : '';
+  if (abs >= 1e12) return `${sign}$${(abs / 1e12).toFixed(2)}T`;
+  if (abs >= 1e9)  return `${sign}$${(abs / 1e9).toFixed(2)}B`;
+  return `${sign}$${(abs / 1e6).toFixed(1)}M`;
+};
+
+const fmtPct = (v) => `${v.toFixed(1)}%`;
+
+/*
+ * Each tab: its table rows ([field, label, format]) and the two fields its
+ * bar chart compares.
+ */
+const TABS = {
+  income: {
+    label: 'Income Statement',
+    chart: [['revenue', 'Revenue', '#6247aa'], ['netIncome', 'Net income', '#26a69a']],
+    rows: [
+      ['revenue',           'Revenue',             fmtBig],
+      ['costOfRevenue',     'Cost of revenue',     fmtBig],
+      ['grossProfit',       'Gross profit',        fmtBig],
+      ['operatingExpenses', 'Operating expenses',  fmtBig],
+      ['operatingIncome',   'Operating income',    fmtBig],
+      ['incomeTax',         'Income tax',          fmtBig],
+      ['netIncome',         'Net income',          fmtBig],
+      ['eps',               'EPS (diluted)',       (v) => v.toFixed(2)],
+      ['grossMargin',       'Gross margin',        fmtPct],
+      ['operatingMargin',   'Operating margin',    fmtPct],
+      ['netMargin',         'Net margin',          fmtPct],
+    ],
+  },
+  balance: {
+    label: 'Balance Sheet',
+    chart: [['totalAssets', 'Assets', '#6247aa'], ['totalLiabilities', 'Liabilities', '#ef5350']],
+    rows: [
+      ['totalAssets',      'Total assets',         fmtBig],
+      ['totalLiabilities', 'Total liabilities',    fmtBig],
+      ['totalEquity',      'Shareholders\' equity', fmtBig],
+      ['cash',             'Cash and equivalents', fmtBig],
+      ['totalDebt',        'Total debt',           fmtBig],
+    ],
+  },
+  cashflow: {
+    label: 'Cash Flow',
+    chart: [['operatingCashFlow', 'Operating cash flow', '#6247aa'], ['freeCashFlow', 'Free cash flow', '#26a69a']],
+    rows: [
+      ['operatingCashFlow',  'Operating cash flow',  fmtBig],
+      ['capitalExpenditure', 'Capital expenditure',  fmtBig],
+      ['freeCashFlow',       'Free cash flow',       fmtBig],
+      ['investingCashFlow',  'Investing cash flow',  fmtBig],
+      ['dividendsPaid',      'Dividends paid',       fmtBig],
+      ['shareRepurchases',   'Share repurchases',    fmtBig],
+      ['financingCashFlow',  'Financing cash flow',  fmtBig],
+    ],
+  },
+};
+
+/*
+ * Financial statements for one stock: a tab per statement, a quarterly /
+ * annual toggle, a bar chart of the statement's headline figures and the
+ * full table (newest period first).  Only periods reported by the
+ * simulated date are shown.
+ */
+function FundamentalsPanel({ symbol, currentTimestamp }) {
+  const [tab, setTab]       = useState('income');
+  const [period, setPeriod] = useState('quarterly');
+  const periods = useMemo(
+    () => (period === 'quarterly'
+      ? getQuarterlyFundamentals(symbol, currentTimestamp)
+      : getAnnualFundamentals(symbol, currentTimestamp)),
+    [symbol, currentTimestamp, period],
+  );
+  if (!periods.length) return null;
+
+  const { chart, rows } = TABS[tab];
+  const newestFirst = [...periods].reverse();
+  const latest = newestFirst[0];
+
+  return (
+    <div className="fundamentals-panel">
+      <div className="fundamentals-header">
+        <div className="fundamentals-tabs" role="tablist">
+          {Object.entries(TABS).map(([id, { label }]) => (
+            <button
+              key={id}
+              role="tab"
+              aria-selected={tab === id}
+              className={tab === id ? 'active' : ''}
+              onClick={() => setTab(id)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="fundamentals-period">
+          <button className={period === 'quarterly' ? 'active' : ''} onClick={() => setPeriod('quarterly')}>Quarterly</button>
+          <button className={period === 'annual'    ? 'active' : ''} onClick={() => setPeriod('annual')}>Annual</button>
+        </div>
+      </div>
+
+      <p className="fundamentals-note">
+        Latest: {latest.label}, reported {fmtLongDate(latest.reportDay)}
+      </p>
+
+      <ResponsiveContainer width="100%" height={170}>
+        <BarChart data={periods} margin={{ top: 5, right: 20, bottom: 5, left: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" vertical={false} />
+          <XAxis dataKey="label" stroke="#666" tick={{ fontSize: 10, fontFamily: 'Arial' }} />
+          <YAxis width={70} stroke="#666" tick={{ fontSize: 10, fontFamily: 'Arial' }} tickFormatter={fmtBig} />
+          <ReferenceLine y={0} stroke="#999999" />
+          <Tooltip formatter={(v) => fmtBig(v)} />
+          <Legend wrapperStyle={{ fontSize: '0.8rem' }} />
+          {chart.map(([key, name, color]) => (
+            <Bar key={key} dataKey={key} name={name} fill={color} isAnimationActive={false} />
+          ))}
+        </BarChart>
+      </ResponsiveContainer>
+
+      <div className="fundamentals-table-wrap">
+        <table className="fundamentals-table">
+          <thead>
+            <tr>
+              <th />
+              {newestFirst.map(p => <th key={p.label}>{p.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(([key, label, format]) => (
+              <tr key={key}>
+                <td className="fundamentals-row-label">{label}</td>
+                {newestFirst.map(p => (
+                  <td key={p.label} className={p[key] < 0 ? 'negative' : ''}>{format(p[key])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default FundamentalsPanel;
@@ -0,0 +1,58 @@
+import React from 'react';
+import './IndicatorControls.css';
+
+// Checkbox label and editable parameters of each indicator.
+const INDICATORS = [
+  { id: 'sma',       label: 'SMA',       params: [['period', 'Period']] },
+  { id: 'ema',       label: 'EMA',       params: [['period', 'Period']] },
+  { id: 'vwap',      label: 'VWAP',      params: [] },
+  { id: 'bollinger', label: 'Bollinger', params: [['period', 'Period'], ['stdDev', 'Std dev']] },
+  { id: 'rsi',       label: 'RSI',       params: [['period', 'Period']] },
+  { id: 'macd',      label: 'MACD',      params: [['fast', 'Fast'], ['slow', 'Slow'], ['signal', 'Signal']] },
+];
+
+/*
+ * Indicator toggles and parameters for StockChart.  `value` is shaped like
+ * DEFAULT_INDICATORS (utils/indicators); `onChange` receives the updated copy.
+ * Parameters below 1 are ignored; every one but the Bollinger width is a
+ * whole number of bars.
+ */
+function IndicatorControls({ value, onChange }) {
+  const update = (id, patch) => onChange({ ...value, [id]: { ...value[id], ...patch } });
+
+  const setParam = (id, key, raw) => {
+    const n = key === 'stdDev' ? parseFloat(raw) : parseInt(raw, 10);
+    if (Number.isFinite(n) && n >= 1) update(id, { [key]: n });
+  };
+
+  return (
+    <div className="indicator-controls">
+      {INDICATORS.map(({ id, label, params }) => (
+        <div key={id} className={`indicator-option ${value[id].enabled ? 'enabled' : ''}`}>
+          <label>
+            <input
+              type="checkbox"
+              checked={value[id].enabled}
+              onChange={(e) => update(id, { enabled: e.target.checked })}
+            />
+            {label}
+          </label>
+          {value[id].enabled && params.map(([key, name]) => (
+            <input
+              key={key}
+              type="number"
+              min="1"
+              step={key === 'stdDev' ? '0.5' : '1'}
+              value={value[id][key]}
+              title={name}
+              aria-label={`${label} ${name.toLowerCase()}`}
+              onChange={(e) => setParam(id, key, e.target.value)}
+            />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default IndicatorControls;
@@ -0,0 +1,53 @@
+import React, { useMemo } from 'react';
+import { INDICES, INDEX_DATA } from '../data/mockData';
+import {
+  getCurrentMarketState,
+  getLastPrice,
+  getPreviousClose,
+} from '../utils/priceEngine';
+import './MarketSummary.css';
+
+/* One index in the strip: level and change from the previous close. */
+function IndexQuote({ symbol, name, dayNum, marketSec, onSelect }) {
+  const { basePrice } = INDEX_DATA[symbol];
+
+  const { level, change, changePercent, isUp } = useMemo(() => {
+    const lvl           = getLastPrice(symbol, basePrice, dayNum, marketSec);
+    const previousClose = getPreviousClose(symbol, basePrice, dayNum);
+    const chg           = +(lvl - previousClose).toFixed(2);
+    const chgPct        = +(((lvl - previousClose) / previousClose) * 100).toFixed(2);
+    return { level: lvl, change: chg, changePercent: chgPct, isUp: chg >= 0 };
+  }, [symbol, basePrice, dayNum, marketSec]);
+
+  return (
+    <div className="index-quote" onClick={() => onSelect(symbol)}>
+      <span className="index-name">{name}</span>
+      <span className="index-level">{level.toFixed(2)}</span>
+      <span className={`index-change ${isUp ? 'positive' : 'negative'}`}>
+        {isUp ? '+' : ''}{change} ({isUp ? '+' : ''}{changePercent}%)
+      </span>
+    </div>
+  );
+}
+
+/* Market overview strip: every synthetic index, driven by currentTimestamp. */
+function MarketSummary({ currentTimestamp, onSelect }) {
+  const { dayNum, marketSec } = getCurrentMarketState(currentTimestamp);
+
+  return (
+    <div className="market-summary">
+      {INDICES.map(({ symbol, name }) => (
+        <IndexQuote
+          key={symbol}
+          symbol={symbol}
+          name={name}
+          dayNum={dayNum}
+          marketSec={marketSec}
+          onSelect={onSelect}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default MarketSummary;
@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { fmtPublished } from '../utils/news';
+import './NewsList.css';
+
+/*
+ * Headlines from utils/news, newest first: each links to its article, with
+ * the source, the publication time and the symbols it mentions.  Shows the
+ * first `limit` until expanded.
+ */
+function NewsList({ articles, title, limit = 8, emptyText = 'No recent news.' }) {
+  const [expanded, setExpanded] = useState(false);
+  const shown = expanded ? articles : articles.slice(0, limit);
+
+  return (
+    <div className="news-list">
+      {title && <h3>{title}</h3>}
+      {articles.length === 0 ? (
+        <p className="news-empty">{emptyText}</p>
+      ) : (
+        <ul>
+          {shown.map(a => (
+            <li key={a.id} className={`news-item news-${a.kind}`}>
+              <Link className="news-headline" to={`/news/${a.id}`}>{a.headline}</Link>
+              <span className="news-meta">
+                {a.source} · {fmtPublished(a.publishedSec)}
+                {a.related.map(s => (
+                  <Link key={s} className="news-symbol" to={`/tickers/${s}`}>{s}</Link>
+                ))}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {articles.length > limit && (
+        <button className="news-more" onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Show fewer' : `Show all ${articles.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default NewsList;
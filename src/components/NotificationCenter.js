@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getNotifications, markNotificationsRead, clearNotifications } from '../utils/alerts';
+import { fmtLongDate } from '../utils/priceEngine';
+import './NotificationCenter.css';
+
+// Toasts disappear after this long (browser time, not simulated time).
+const TOAST_MS = 6000;
+
+/* One toast; dismisses itself after TOAST_MS. */
+function Toast({ notification, onDismiss, onOpen }) {
+  useEffect(() => {
+    const id = setTimeout(() => onDismiss(notification.id), TOAST_MS);
+    return () => clearTimeout(id);
+  }, [notification.id, onDismiss]);
+
+  return (
+    <div className="toast" role="alert" onClick={() => onOpen(notification)}>
+      <span className="toast-message">{notification.message}</span>
+      <button
+        className="toast-close"
+        onClick={(e) => { e.stopPropagation(); onDismiss(notification.id); }}
+        aria-label="Dismiss"
+      >
+        ×
+      </button>
+    </div>
+  );
+}
+
+/*
+ * Bell with the unread count, a dropdown with the notification history and
+ * the toast stack for alerts that just fired.  `toasts` and `onDismiss`
+ * come from App.js, which evaluates alerts on every tick.
+ */
+function NotificationCenter({ toasts, onDismiss }) {
+  const navigate = useNavigate();
+  const [open, setOpen]   = useState(false);
+  const [, setRevision]   = useState(0); // bump to re-read the history
+
+  const notifications = getNotifications();
+  const unread = notifications.filter(n => !n.read).length;
+
+  const toggle = () => {
+    if (open) markNotificationsRead();
+    setOpen(!open);
+  };
+
+  const handleOpen = (notification) => {
+    onDismiss(notification.id);
+    navigate(`/tickers/${notification.symbol}`);
+  };
+
+  const handleClear = () => {
+    clearNotifications();
+    setRevision(r => r + 1);
+  };
+
+  return (
+    <>
+      <div className="notification-center">
+        <button className="notification-bell" onClick={toggle} aria-label="Notifications">
+          🔔{unread > 0 && <span className="notification-count">{unread}</span>}
+        </button>
+        {open && (
+          <div className="notification-panel">
+            <div className="notification-panel-header">
+              <b>Notifications</b>
+              {notifications.length > 0 && <button onClick={handleClear}>Clear all</button>}
+            </div>
+            {notifications.length === 0 ? (
+              <p className="notification-empty">No alerts have fired yet.</p>
+            ) : (
+              <ul>
+                {notifications.map(n => (
+                  <li
+                    key={n.id}
+                    className={n.read ? '' : 'unread'}
+                    onClick={() => { toggle(); navigate(`/tickers/${n.symbol}`); }}
+                  >
+                    <span className="notification-date">{fmtLongDate(Math.floor(n.firedAt / 86400))}</span>
+                    {n.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="toast-stack">
+        {toasts.map(n => (
+          <Toast key={n.id} notification={n} onDismiss={onDismiss} onOpen={handleOpen} />
+        ))}
+      </div>
+    </>
+  );
+}
+
+export default NotificationCenter;
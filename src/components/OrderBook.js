@@ -0,0 +1,54 @@
+import React from 'react';
+import './OrderBook.css';
+
+/* Level 2 depth: bids and asks side by side, each with a bar scaled to the largest size. */
+function OrderBook({ book }) {
+  if (book.halted) {
+    return (
+      <div className="order-book">
+        <h3>Level 2</h3>
+        <div className="order-book-halted">Trading halted · {book.halted}</div>
+      </div>
+    );
+  }
+
+  const maxSize = Math.max(...book.bids.map(l => l.size), ...book.asks.map(l => l.size));
+  const barStyle = (size) => ({ width: `${(size / maxSize) * 100}%` });
+
+  return (
+    <div className="order-book">
+      <h3>Level 2 <span className="order-book-spread">Spread {book.spread.toFixed(2)}</span></h3>
+      <table>
+        <thead>
+          <tr>
+            <th>Size</th>
+            <th>Bid</th>
+            <th>Ask</th>
+            <th>Size</th>
+          </tr>
+        </thead>
+        <tbody>
+          {book.bids.map((bid, i) => {
+            const ask = book.asks[i];
+            return (
+              <tr key={i}>
+                <td className="size bid-size">
+                  <span className="depth-bar" style={barStyle(bid.size)} />
+                  {bid.size.toLocaleString()}
+                </td>
+                <td className="price positive">{bid.price.toFixed(2)}</td>
+                <td className="price negative">{ask.price.toFixed(2)}</td>
+                <td className="size ask-size">
+                  <span className="depth-bar" style={barStyle(ask.size)} />
+                  {ask.size.toLocaleString()}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default OrderBook;
@@ -1,8 +1,8 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { TICKERS } from '../data/mockData';
+import { TICKERS, INDICES } from '../data/mockData';
 import './SearchBar.css';
 
-function SearchBar({ onSearch }) {
+function SearchBar({ onSearch, placeholder = 'Search stocks (e.g., AAPL, Apple)', buttonLabel = 'Search' }) {
   const [query, setQuery] = useState('');
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
@@ -11,7 +11,7 @@ function SearchBar({ onSearch }) {
 
   useEffect(() => {
     if (query.length > 0) {
-      const filtered = TICKERS.filter(ticker =>
+      const filtered = [...TICKERS, ...INDICES].filter(ticker =>
         ticker.symbol.toLowerCase().includes(query.toLowerCase()) ||
         ticker.name.toLowerCase().includes(query.toLowerCase())
       );
@@ -64,10 +64,10 @@ function SearchBar({ onSearch }) {
           value={query}
           onChange={(e) => setQuery(e.target.value)}
           onKeyDown={handleKeyDown}
-          placeholder="Search stocks (e.g., AAPL, Apple)"
+          placeholder={placeholder}
           className="search-input"
         />
-        <button type="submit" className="search-button">Search</button>
+        <button type="submit" className="search-button">{buttonLabel}</button>
       </form>
 
       {showSuggestions && suggestions.length > 0 && (
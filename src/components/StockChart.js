@@ -9,13 +9,29 @@ import {
   ResponsiveContainer,
   Brush,
   Customized,
+  ReferenceArea,
+  ReferenceLine,
+  Bar,
+  Cell,
+  Legend,
 } from 'recharts';
 import {
   generate1DData,
   generate5DData,
   generate1MData,
+  generateRangeData,
   getCurrentMarketState,
+  adjustBars,
+  fmtMinuteTime,
+  MARKET_OPEN_SEC,
 } from '../utils/priceEngine';
+import { PRE_MARKET_SEC, AFTER_HOURS_SEC, getLastMinuteIdx } from '../utils/tradingCalendar';
+import { applyIndicators, DEFAULT_INDICATORS } from '../utils/indicators';
+import { DRAWING_TOOLS } from '../utils/drawings';
+import { getTickerData } from '../data/mockData';
+import { getEarningsReports } from '../utils/fundamentals';
+import { REPORT_TIMES } from '../utils/earnings';
+import ChartDrawings from './ChartDrawings';
 import './StockChart.css';
 
 /* ── Candlestick renderer ────────────────────────────────────────────────── */
@@ -57,7 +73,17 @@ const CandlestickSeries = (props) => {
 
 /* ── Tooltip ─────────────────────────────────────────────────────────────── */
 
-const ChartTooltip = ({ active, payload }) => {
+// Indicator fields shown in the tooltip, with their labels.
+const INDICATOR_FIELDS = [
+  { id: 'sma',       fields: [['sma', cfg => `SMA ${cfg.period}`]] },
+  { id: 'ema',       fields: [['ema', cfg => `EMA ${cfg.period}`]] },
+  { id: 'vwap',      fields: [['vwap', () => 'VWAP']] },
+  { id: 'bollinger', fields: [['bbUpper', () => 'BB upper'], ['bbMiddle', () => 'BB middle'], ['bbLower', () => 'BB lower']] },
+  { id: 'rsi',       fields: [['rsi', cfg => `RSI ${cfg.period}`]] },
+  { id: 'macd',      fields: [['macd', () => 'MACD'], ['macdSignal', () => 'Signal'], ['macdHist', () => 'Histogram']] },
+];
+
+const ChartTooltip = ({ active, payload, indicators = DEFAULT_INDICATORS }) => {
   if (!active || !payload?.length) return null;
   const d = payload[0]?.payload;
   if (!d) return null;
@@ -77,6 +103,38 @@ const ChartTooltip = ({ active, payload }) => {
       <p className="tooltip-label">Low:</p>   <p className="tooltip-value">{lo.toFixed(2)}</p>
       <p className="tooltip-label">Close:</p> <p className="tooltip-value">{cl.toFixed(2)}</p>
       <p className="tooltip-label">Volume:</p><p className="tooltip-value">{vol.toLocaleString()}</p>
+      {INDICATOR_FIELDS.filter(ind => indicators[ind.id]?.enabled).flatMap(ind =>
+        ind.fields.map(([key, label]) => (
+          <React.Fragment key={key}>
+            <p className="tooltip-label">{label(indicators[ind.id])}:</p>
+            <p className="tooltip-value">{d[key] == null ? '—' : d[key].toFixed(2)}</p>
+          </React.Fragment>
+        )))}
+    </div>
+  );
+};
+
+// Line colours of comparison symbols, in the order they were added.
+const COMPARE_COLORS = ['#ff8c00', '#009999', '#cc00cc', '#999900', '#cc0000'];
+
+const fmtPct = (v) => (v == null ? '—' : `${v >= 0 ? '+' : ''}${v.toFixed(2)}%`);
+
+/* Comparison-mode tooltip: every series' change and price at the hovered bar. */
+const CompareTooltip = ({ active, payload, series }) => {
+  if (!active || !payload?.length) return null;
+  const d = payload[0]?.payload;
+  if (!d) return null;
+  return (
+    <div className="custom-tooltip">
+      <p className="tooltip-label">Time:</p><p className="tooltip-value">{d.time || d.date || 'N/A'}</p>
+      {series.map(({ symbol, key, closeKey, color }) => (
+        <React.Fragment key={key}>
+          <p className="tooltip-label" style={{ color }}>{symbol}:</p>
+          <p className="tooltip-value">
+            {fmtPct(d[key])} ({d[closeKey] == null ? '—' : d[closeKey].toFixed(2)})
+          </p>
+        </React.Fragment>
+      ))}
     </div>
   );
 };
@@ -87,6 +145,82 @@ const ChartTooltip = ({ active, payload }) => {
 const HOUR_TICKS  = [0, 60, 120, 180, 240, 300, 360];
 const HOUR_LABELS = ['9:30', '10:30', '11:30', '12:30', '1:30', '2:30', '3:30'];
 
+// Extended-hours axis: 4:00 AM to 8:00 PM, ticks every 2 hours on the hour
+const PRE_MINUTES   = PRE_MARKET_SEC / 60;   // 330
+const AFTER_MINUTES = AFTER_HOURS_SEC / 60;  // 240
+const EXT_TICKS     = [-330, -210, -90, 30, 150, 270, 390, 510, 630];
+const fmtExtTick    = (v) => fmtMinuteTime(v).replace(':00', '');
+
+/* ── Indicator panes ─────────────────────────────────────────────────────── */
+
+// Shared by every pane so their plot areas line up under the price chart.
+const CHART_MARGIN = { top: 5, right: 20, bottom: 5, left: 10 };
+const Y_AXIS_WIDTH = 60;
+
+/** 1234567 → "1.2M", for the volume axis. */
+const fmtVolumeTick = (v) => {
+  if (v >= 1e9) return `${+(v / 1e9).toFixed(1)}B`;
+  if (v >= 1e6) return `${+(v / 1e6).toFixed(1)}M`;
+  if (v >= 1e3) return `${+(v / 1e3).toFixed(1)}K`;
+  return String(v);
+};
+
+const overlayLine = (dataKey, stroke, extra = {}) => (
+  <Line
+    type="linear"
+    dataKey={dataKey}
+    stroke={stroke}
+    strokeWidth={1}
+    dot={false}
+    activeDot={false}
+    isAnimationActive={false}
+    connectNulls={false}
+    {...extra}
+  />
+);
+
+/* ── Earnings markers ─────────────────────────────────────────────────────── */
+
+/**
+ * X value of a report's marker.  On the 1D axes (`minuteDomain` set) it is
+ * the release minute, clamped into the domain, if the report came out on
+ * the chart's day.  Otherwise it is the bar holding the report day; with
+ * hourly bars a before-open report marks the day's first bar.  null when
+ * the report is outside the chart.
+ */
+function earningsMarkerX(report, bars, dayNum, minuteDomain) {
+  if (minuteDomain) {
+    if (report.reportDay !== dayNum) return null;
+    const minute = (REPORT_TIMES[report.time].sec - MARKET_OPEN_SEC) / 60;
+    return Math.min(Math.max(minute, minuteDomain[0]), minuteDomain[1]);
+  }
+  let i = -1;
+  for (let k = 0; k < bars.length && bars[k].dayNum <= report.reportDay; k++) i = k;
+  if (i < 0) return null;
+  if (report.time === 'bmo') {
+    while (i > 0 && bars[i].minuteIdx !== undefined && bars[i - 1].dayNum === bars[i].dayNum) i--;
+  }
+  return bars[i].date;
+}
+
+/* "E" badge at the foot of an earnings marker; the title gives the result. */
+const EarningsMarkerLabel = ({ viewBox, report }) => {
+  if (!viewBox) return null;
+  const cx = viewBox.x, cy = viewBox.y + viewBox.height - 9;
+  const color = report.surprisePct >= 0 ? '#009900' : '#cc0000';
+  return (
+    <g className="earnings-marker">
+      <title>
+        {`${report.label} earnings · ${REPORT_TIMES[report.time].label}\n` +
+          `EPS ${report.actual.toFixed(2)} vs ${report.estimate.toFixed(2)} est. ` +
+          `(${report.surprisePct >= 0 ? '+' : ''}${report.surprisePct}%)`}
+      </title>
+      <circle cx={cx} cy={cy} r={7} fill="#ffffff" stroke={color} />
+      <text x={cx} y={cy} dy="0.35em" textAnchor="middle" fontSize={9} fontWeight="bold" fill={color}>E</text>
+    </g>
+  );
+};
+
 /* ── Main chart component ─────────────────────────────────────────────────── */
 
 /**
@@ -95,25 +229,96 @@ const HOUR_LABELS = ['9:30', '10:30', '11:30', '12:30', '1:30', '2:30', '3:30'];
  * Props:
  *   symbol          {string}  ticker symbol
  *   basePrice       {number}  reference price for the procedural engine
- *   timeRange       {string}  '1d' | '5d' | '1m'
+ *   timeRange       {string}  '1d' | '5d' | '1m' | '3m' | '6m' | 'ytd' | '1y' | '5y' | 'max'
  *   chartMode       {string}  'line' | 'candlestick'
- *   currentTimestamp {number} Unix timestamp in seconds (drives live updates)
+ *   extendedHours   {boolean} 1D only: include shaded pre-market / after-hours
+ *   adjustment      {string}  'raw' | 'split' | 'total' — corporate-action adjustment
+ *   indicators      {object}  indicator settings, shaped like DEFAULT_INDICATORS
+ *                             (utils/indicators); RSI and MACD get their own panes
+ *
+ *   compareSymbols  {string[]} symbols to compare against; when set, every symbol
+ *                             is drawn as a % change line from the first bar in
+ *                             the Brush window (candles and overlays are hidden)
+ *
+ *   Reported earnings are marked with an "E" at the foot of the price chart,
+ *   except in comparison mode.
+ *
+ *   drawings        {object[]} the symbol's drawings (utils/drawings), drawn over
+ *                             the price chart except in comparison mode
+ *   drawingTool     {string}  'select' or a DRAWING_TOOLS key
+ *   onDrawingToolChange {function} called with 'select' when a drawing is
+ *                             finished or the tool is cancelled with Esc
+ *   onAddDrawing    {function} called with { type, anchors, text? }
+ *   onDeleteDrawing {function} called with a drawing id
+ *   currentTimestamp {number} simulated market-local timestamp in seconds (see utils/clock)
+ *
+ * A volume pane sits under the price chart; it and the indicator panes
+ * follow the Brush window.  With the chart focused, ←/→ cycle the selected
+ * drawing, Delete or Backspace removes it and Esc cancels.
  */
-function StockChart({ symbol, basePrice, timeRange, chartMode = 'line', currentTimestamp }) {
-  // getCurrentMarketState reads Date.now() — call directly so it re-reads every render.
-  // currentTimestamp prop drives re-renders each second via App.js setInterval.
-  const { dayNum, marketSec } = getCurrentMarketState();
+function StockChart({
+  symbol, basePrice, timeRange, chartMode = 'line', extendedHours = false,
+  adjustment = 'split', indicators = DEFAULT_INDICATORS, compareSymbols = [],
+  drawings = [], drawingTool = 'select', onDrawingToolChange, onAddDrawing, onDeleteDrawing,
+  currentTimestamp,
+}) {
+  // Market state for the simulated instant App.js passes down every tick.
+  const { dayNum, marketSec, daySec } = getCurrentMarketState(currentTimestamp);
+
+  const showExtended  = timeRange === '1d' && extendedHours;
+  const lastMinute    = getLastMinuteIdx(dayNum);
+  const currentMinute = Math.floor((showExtended ? daySec : marketSec) / 60);
 
-  const currentMinute = Math.floor(marketSec / 60);
+  // Bars of one symbol for the selected range and adjustment.
+  const rangeBars = (sym, base) => {
+    let bars;
+    if (timeRange === '1d') {
+      bars = showExtended
+        ? generate1DData(sym, base, dayNum, daySec, true)
+        : generate1DData(sym, base, dayNum, marketSec);
+    } else if (timeRange === '5d') {
+      bars = generate5DData(sym, base, dayNum, marketSec);
+    } else if (timeRange === '1m') {
+      bars = generate1MData(sym, base, dayNum, marketSec);
+    } else {
+      bars = generateRangeData(sym, base, dayNum, marketSec, timeRange);
+    }
+    return adjustBars(sym, base, bars, dayNum, adjustment);
+  };
 
   const chartData = useMemo(() => {
     if (!symbol || basePrice == null) return [];
-    if (timeRange === '1d') return generate1DData(symbol, basePrice, dayNum, marketSec);
-    if (timeRange === '5d') return generate5DData(symbol, basePrice, dayNum, marketSec);
-    return generate1MData(symbol, basePrice, dayNum, marketSec);
+    return applyIndicators(rangeBars(symbol, basePrice), indicators);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [symbol, basePrice, timeRange, showExtended, adjustment, indicators, dayNum, currentMinute]);
+  // ↑ 1D re-renders on each new minute; longer ranges only move their last bar
+
+  // Closing prices of the comparison symbols, bar for bar with chartData
+  // (every symbol trades on the same calendar).
+  const compareKey = compareSymbols.join(',');
+  const compareCloses = useMemo(
+    () => compareSymbols
+      .filter(sym => sym !== symbol && getTickerData(sym))
+      .map(sym => ({ symbol: sym, closes: rangeBars(sym, getTickerData(sym).basePrice).map(b => b.close) })),
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [symbol, basePrice, timeRange, dayNum, currentMinute]);
-  // ↑ 1D re-renders on each new minute; 5D/1M effectively stable within a day
+    [compareKey, symbol, timeRange, showExtended, adjustment, dayNum, currentMinute],
+  );
+  const compareMode = compareCloses.length > 0;
+
+  // Earnings reports out by now within the chart's span: [{ report, x }].
+  const earningsMarkers = useMemo(() => {
+    if (!chartData.length) return [];
+    const firstDay = chartData[0].dayNum;
+    const reports  = getEarningsReports(symbol, currentTimestamp, Math.ceil((dayNum - firstDay) / 91) + 2);
+    if (!reports) return [];
+    const minuteDomain = timeRange !== '1d' ? null
+      : showExtended ? [-PRE_MINUTES, lastMinute + AFTER_MINUTES] : [0, lastMinute];
+    return reports.past
+      .map(report => ({ report, x: earningsMarkerX(report, chartData, dayNum, minuteDomain) }))
+      .filter(m => m.x !== null);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [symbol, chartData, timeRange, showExtended, dayNum, lastMinute]);
+  // ↑ follows chartData, so a report shows up within a minute of its release
 
   const totalLen = chartData.length;
 
@@ -121,7 +326,9 @@ function StockChart({ symbol, basePrice, timeRange, chartMode = 'line', currentT
   const initialBrushEnd   = Math.max(0, totalLen - 1);
   const initialBrushStart = timeRange === '5d'
     ? Math.max(0, totalLen - 7)   // show most-recent trading day (7 hourly bars)
-    : Math.max(0, totalLen - 22); // show last ~month for 1M
+    : timeRange === '1m'
+      ? Math.max(0, totalLen - 22) // show last ~month for 1M
+      : 0;                         // longer ranges open fully zoomed out
 
   const [brushRange, setBrushRange] = useState([initialBrushStart, initialBrushEnd]);
   const brushRangeRef = useRef(brushRange);
@@ -132,7 +339,7 @@ function StockChart({ symbol, basePrice, timeRange, chartMode = 'line', currentT
     setBrushRange([initialBrushStart, initialBrushEnd]);
   }, [initialBrushStart, initialBrushEnd]);
 
-  /* Scroll-wheel panning (5D / 1M only) ─────────────────────────── */
+  /* Scroll-wheel panning (all ranges except 1D) ────────────────── */
   useEffect(() => {
     if (timeRange === '1d') return;
     const el = chartRef.current;
@@ -152,51 +359,176 @@ function StockChart({ symbol, basePrice, timeRange, chartMode = 'line', currentT
     return () => el.removeEventListener('wheel', handleWheel);
   }, [totalLen, timeRange]);
 
+  /* Drawing tools ────────────────────────────────────────────────── */
+  const [selectedId, setSelectedId] = useState(null);
+  const [pending, setPending]       = useState(null); // first anchor of a two-point drawing
+  const [hover, setHover]           = useState(null); // where its second point would go
+
+  useEffect(() => { setPending(null); setHover(null); }, [drawingTool, symbol]);
+  useEffect(() => { setSelectedId(null); }, [symbol]);
+
+  const finishDrawing = (drawing) => {
+    setPending(null);
+    setHover(null);
+    onAddDrawing?.(drawing);
+    onDrawingToolChange?.('select');
+  };
+
+  // A click on the plot while a tool is active.
+  const placePoint = (anchor) => {
+    if (DRAWING_TOOLS[drawingTool].points === 2 && !pending) {
+      setPending(anchor);
+      setHover(anchor);
+    } else if (pending) {
+      finishDrawing({ type: drawingTool, anchors: [pending, anchor] });
+    } else if (drawingTool === 'note') {
+      const text = window.prompt('Note text');
+      if (text && text.trim()) finishDrawing({ type: 'note', anchors: [anchor], text });
+    } else {
+      finishDrawing({ type: drawingTool, anchors: [anchor] });
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      if (drawingTool !== 'select') onDrawingToolChange?.('select');
+      else setSelectedId(null);
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && selectedId !== null) {
+      e.preventDefault();
+      onDeleteDrawing?.(selectedId);
+      setSelectedId(null);
+    } else if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && drawings.length && drawingTool === 'select') {
+      e.preventDefault();
+      const i    = drawings.findIndex(d => d.id === selectedId);
+      const step = e.key === 'ArrowRight' ? 1 : -1;
+      const next = i < 0 ? (step > 0 ? 0 : drawings.length - 1) : (i + step + drawings.length) % drawings.length;
+      setSelectedId(drawings[next].id);
+    }
+  };
+
+  // Sub-panes reuse the price chart's x-axis (hidden) so their bars line up.
+  const renderXAxis = (hide) => (
+    showExtended ? (
+      // Numeric axis: minuteIdx -330 (4:00 AM) to the end of after-hours
+      <XAxis
+        hide={hide}
+        type="number"
+        dataKey="minuteIdx"
+        domain={[-PRE_MINUTES, lastMinute + AFTER_MINUTES]}
+        ticks={EXT_TICKS.filter(t => t <= lastMinute + AFTER_MINUTES)}
+        tickFormatter={fmtExtTick}
+        stroke="#666"
+        tick={{ fontSize: 10, fontFamily: 'Arial' }}
+        interval="preserveStartEnd"
+      />
+    ) : timeRange === '1d' ? (
+      // Numeric axis: minuteIdx 0 to the session's last minute (389, or 209
+      // on an early close), ticks every 60 min
+      <XAxis
+        hide={hide}
+        type="number"
+        dataKey="minuteIdx"
+        domain={[0, lastMinute]}
+        ticks={HOUR_TICKS.filter(t => t <= lastMinute)}
+        tickFormatter={(v) => {
+          const idx = HOUR_TICKS.indexOf(v);
+          return idx >= 0 ? HOUR_LABELS[idx] : '';
+        }}
+        stroke="#666"
+        tick={{ fontSize: 10, fontFamily: 'Arial' }}
+        interval="preserveStartEnd"
+      />
+    ) : (
+      <XAxis
+        hide={hide}
+        dataKey="date"
+        stroke="#666"
+        tick={{ fontSize: 10, fontFamily: 'Arial' }}
+        interval="preserveStartEnd"
+        tickFormatter={(v) => v || ''}
+      />
+    )
+  );
+
+  // Volume and indicator panes show the bars inside the brush window.
+  const paneData = timeRange === '1d' ? chartData : chartData.slice(brushRange[0], brushRange[1] + 1);
+
+  // Comparison mode: each series as % change from the first bar in the window.
+  const compareSeries = [
+    { symbol, key: 'pct', closeKey: 'close', color: '#0000cc' },
+    ...compareCloses.map((c, i) => ({
+      symbol: c.symbol, key: `cmpPct${i}`, closeKey: `cmpClose${i}`, color: COMPARE_COLORS[i % COMPARE_COLORS.length],
+    })),
+  ];
+  const displayData = useMemo(() => {
+    if (!compareMode) return chartData;
+    const start = timeRange === '1d' ? 0 : Math.min(brushRange[0], chartData.length - 1);
+    const pct = (close, base) => (close == null || !base ? null : +(((close / base) - 1) * 100).toFixed(2));
+    return chartData.map((b, i) => {
+      const row = { ...b, pct: pct(b.close, chartData[start]?.close) };
+      compareCloses.forEach((c, k) => {
+        row[`cmpClose${k}`] = c.closes[i] ?? null;
+        row[`cmpPct${k}`]   = pct(c.closes[i], c.closes[start]);
+      });
+      return row;
+    });
+  }, [compareMode, chartData, compareCloses, timeRange, brushRange]);
+
   return (
-    <div className="stock-chart" ref={chartRef}>
+    <div className="stock-chart" ref={chartRef} tabIndex={0} onKeyDown={handleKeyDown}>
       <ResponsiveContainer width="100%" height={450}>
         <ComposedChart
-          key={`${timeRange}-${chartMode}`}
-          data={chartData}
-          margin={{ top: 5, right: 20, bottom: 5, left: 10 }}
+          key={`${timeRange}-${chartMode}-${showExtended}-${compareMode}`}
+          data={displayData}
+          margin={CHART_MARGIN}
+          onClick={() => setSelectedId(null)}
         >
           <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
 
-          {timeRange === '1d' ? (
-            // Numeric axis: minuteIdx 0-389, ticks every 60 min
-            <XAxis
-              type="number"
-              dataKey="minuteIdx"
-              domain={[0, 389]}
-              ticks={HOUR_TICKS}
-              tickFormatter={(v) => {
-                const idx = HOUR_TICKS.indexOf(v);
-                return idx >= 0 ? HOUR_LABELS[idx] : '';
-              }}
-              stroke="#666"
-              tick={{ fontSize: 10, fontFamily: 'Arial' }}
-              interval="preserveStartEnd"
-            />
-          ) : (
-            <XAxis
-              dataKey="date"
-              stroke="#666"
-              tick={{ fontSize: 10, fontFamily: 'Arial' }}
-              interval="preserveStartEnd"
-              tickFormatter={(v) => v || ''}
-            />
-          )}
+          {renderXAxis(false)}
 
           <YAxis
+            width={Y_AXIS_WIDTH}
             stroke="#666"
             tick={{ fontSize: 11, fontFamily: 'Arial' }}
             domain={['auto', 'auto']}
             padding={{ top: 10, bottom: 10 }}
+            tickFormatter={compareMode ? (v) => `${v}%` : undefined}
           />
 
-          <Tooltip content={<ChartTooltip />} />
+          {/* Shade the extended sessions so they read apart from regular hours */}
+          {showExtended && (
+            <ReferenceArea x1={-PRE_MINUTES} x2={0} fill="#d8d8e8" fillOpacity={0.5} ifOverflow="hidden" />
+          )}
+          {showExtended && (
+            <ReferenceArea x1={lastMinute + 1} x2={lastMinute + AFTER_MINUTES} fill="#d8d8e8" fillOpacity={0.5} ifOverflow="hidden" />
+          )}
 
-          {chartMode === 'line' ? (
+          {compareMode ? (
+            <Tooltip content={<CompareTooltip series={compareSeries} />} />
+          ) : (
+            <Tooltip content={<ChartTooltip indicators={indicators} />} />
+          )}
+
+          {compareMode ? (
+            <>
+              <Legend verticalAlign="top" height={24} wrapperStyle={{ fontSize: '0.85rem' }} />
+              {compareSeries.map(({ symbol: name, key, color }) => (
+                <Line
+                  key={key}
+                  name={name}
+                  type="linear"
+                  dataKey={key}
+                  stroke={color}
+                  strokeWidth={1.5}
+                  dot={false}
+                  activeDot={{ r: 3 }}
+                  isAnimationActive={false}
+                  connectNulls={false}
+                />
+              ))}
+            </>
+          ) : chartMode === 'line' ? (
             <Line
               type="linear"
               dataKey="price"
@@ -216,7 +548,44 @@ function StockChart({ symbol, basePrice, timeRange, chartMode = 'line', currentT
             </>
           )}
 
-          {/* Brush only for 5D / 1M — 1D always shows the full session */}
+          {/* Price overlays (in price units, so not in comparison mode) */}
+          {!compareMode && indicators.bollinger?.enabled && overlayLine('bbUpper',  '#888888', { strokeDasharray: '4 2' })}
+          {!compareMode && indicators.bollinger?.enabled && overlayLine('bbMiddle', '#888888')}
+          {!compareMode && indicators.bollinger?.enabled && overlayLine('bbLower',  '#888888', { strokeDasharray: '4 2' })}
+          {!compareMode && indicators.sma?.enabled  && overlayLine('sma',  '#ff8c00')}
+          {!compareMode && indicators.ema?.enabled  && overlayLine('ema',  '#009999')}
+          {!compareMode && indicators.vwap?.enabled && overlayLine('vwap', '#cc00cc')}
+
+          {/* Earnings markers */}
+          {!compareMode && earningsMarkers.map(({ report, x }) => (
+            <ReferenceLine
+              key={report.quarter}
+              x={x}
+              stroke="#6247aa"
+              strokeDasharray="2 3"
+              label={<EarningsMarkerLabel report={report} />}
+            />
+          ))}
+
+          {/* Drawings, in price units like the overlays */}
+          {!compareMode && (
+            <Customized
+              component={(
+                <ChartDrawings
+                  drawings={drawings}
+                  tool={drawingTool}
+                  pending={pending}
+                  hover={hover}
+                  selectedId={selectedId}
+                  onSelect={setSelectedId}
+                  onPoint={placePoint}
+                  onHover={setHover}
+                />
+              )}
+            />
+          )}
+
+          {/* Brush for every range except 1D — 1D always shows the full session */}
           {timeRange !== '1d' && (
             <Brush
               dataKey="date"
@@ -231,6 +600,82 @@ function StockChart({ symbol, basePrice, timeRange, chartMode = 'line', currentT
           )}
         </ComposedChart>
       </ResponsiveContainer>
+
+      <div className="indicator-pane">
+        <span className="indicator-pane-label">Volume</span>
+        <ResponsiveContainer width="100%" height={100}>
+          <ComposedChart data={paneData} margin={CHART_MARGIN}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" vertical={false} />
+            {renderXAxis(true)}
+            <YAxis
+              width={Y_AXIS_WIDTH}
+              stroke="#666"
+              tick={{ fontSize: 10, fontFamily: 'Arial' }}
+              tickFormatter={fmtVolumeTick}
+              tickCount={3}
+            />
+            <Tooltip content={<ChartTooltip indicators={indicators} />} />
+            <Bar dataKey="volume" isAnimationActive={false}>
+              {paneData.map((d, i) => (
+                <Cell key={i} fill={d.close >= d.open ? '#26a69a' : '#ef5350'} fillOpacity={0.7} />
+              ))}
+            </Bar>
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      {indicators.rsi?.enabled && (
+        <div className="indicator-pane">
+          <span className="indicator-pane-label">RSI ({indicators.rsi.period})</span>
+          <ResponsiveContainer width="100%" height={110}>
+            <ComposedChart data={paneData} margin={CHART_MARGIN}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+              {renderXAxis(true)}
+              <YAxis
+                width={Y_AXIS_WIDTH}
+                stroke="#666"
+                tick={{ fontSize: 10, fontFamily: 'Arial' }}
+                domain={[0, 100]}
+                ticks={[30, 70]}
+              />
+              <ReferenceLine y={70} stroke="#cc0000" strokeDasharray="3 3" />
+              <ReferenceLine y={30} stroke="#009900" strokeDasharray="3 3" />
+              <Tooltip content={<ChartTooltip indicators={indicators} />} />
+              {overlayLine('rsi', '#6247aa', { strokeWidth: 1.5 })}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {indicators.macd?.enabled && (
+        <div className="indicator-pane">
+          <span className="indicator-pane-label">
+            MACD ({indicators.macd.fast}, {indicators.macd.slow}, {indicators.macd.signal})
+          </span>
+          <ResponsiveContainer width="100%" height={130}>
+            <ComposedChart data={paneData} margin={CHART_MARGIN}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+              {renderXAxis(true)}
+              <YAxis
+                width={Y_AXIS_WIDTH}
+                stroke="#666"
+                tick={{ fontSize: 10, fontFamily: 'Arial' }}
+                domain={['auto', 'auto']}
+                tickFormatter={(v) => v.toFixed(2)}
+              />
+              <ReferenceLine y={0} stroke="#999999" />
+              <Tooltip content={<ChartTooltip indicators={indicators} />} />
+              <Bar dataKey="macdHist" isAnimationActive={false}>
+                {paneData.map((d, i) => (
+                  <Cell key={i} fill={d.macdHist >= 0 ? '#26a69a' : '#ef5350'} />
+                ))}
+              </Bar>
+              {overlayLine('macd', '#0000cc', { strokeWidth: 1.5 })}
+              {overlayLine('macdSignal', '#ff8c00', { strokeWidth: 1.5 })}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,35 @@
+import React from 'react';
+import './TimeAndSales.css';
+
+/* Time-and-sales tape, newest print first; buys green, sells red. */
+function TimeAndSales({ trades }) {
+  return (
+    <div className="time-and-sales">
+      <h3>Time &amp; Sales</h3>
+      {trades.length === 0 ? (
+        <div className="tape-empty">No recent trades</div>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Price</th>
+              <th>Size</th>
+            </tr>
+          </thead>
+          <tbody>
+            {trades.map(t => (
+              <tr key={t.marketSec + '-' + t.price + '-' + t.size} className={t.side === 'buy' ? 'positive' : 'negative'}>
+                <td>{t.time}</td>
+                <td>{t.price.toFixed(2)}</td>
+                <td>{t.size.toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default TimeAndSales;
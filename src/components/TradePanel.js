@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  getAccount,
+  getAccountSummary,
+  getPositions,
+  placeOrder,
+  cancelOrder,
+  resetAccount,
+  OrderValidationError,
+  ORDER_TYPES,
+} from '../utils/paperTrading';
+import { fmtLongDate, fmtMarketTime, MARKET_OPEN_SEC } from '../utils/priceEngine';
+import './TradePanel.css';
+
+const fmtMoney = (v) =>
+  `${v < 0 ? '-' : ''}$${Math.abs(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/** "Feb 20, 2026 10:26:48 AM" from market-local epoch seconds. */
+function fmtOrderTime(unixSec) {
+  const dayNum = Math.floor(unixSec / 86400);
+  return `${fmtLongDate(dayNum)} ${fmtMarketTime(unixSec - dayNum * 86400 - MARKET_OPEN_SEC)}`;
+}
+
+function orderPriceLabel(order) {
+  if (order.type === 'limit') return `Limit ${order.limitPrice.toFixed(2)}`;
+  if (order.type === 'stop')  return `Stop ${order.stopPrice.toFixed(2)}`;
+  return 'Market';
+}
+
+/* Paper-trading ticket for one symbol, with its position and orders. */
+function TradePanel({ symbol, currentTimestamp }) {
+  const [side, setSide]             = useState('buy');
+  const [type, setType]             = useState('market');
+  const [quantity, setQuantity]     = useState('');
+  const [price, setPrice]           = useState('');
+  const [timeInForce, setTimeInForce] = useState('day');
+  const [error, setError]           = useState(null);
+  const [, setRevision]             = useState(0); // bump to re-read the account
+
+  // The account lives in localStorage and fills land on clock ticks, so it
+  // is re-read on every render.
+  const account  = getAccount();
+  const summary  = getAccountSummary(currentTimestamp, account);
+  const position = getPositions(currentTimestamp, account).find(p => p.symbol === symbol);
+  const orders   = account.orders.filter(o => o.symbol === symbol).slice(-10).reverse();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const priceValue = parseFloat(price);
+    try {
+      placeOrder({
+        symbol, side, type,
+        quantity: Number(quantity),
+        limitPrice: type === 'limit' ? priceValue : undefined,
+        stopPrice:  type === 'stop'  ? priceValue : undefined,
+        timeInForce,
+      }, currentTimestamp);
+      setError(null);
+      setQuantity('');
+    } catch (err) {
+      if (!(err instanceof OrderValidationError)) throw err;
+      setError(err.message);
+    }
+    setRevision(r => r + 1);
+  };
+
+  const handleCancel = (id) => {
+    cancelOrder(id);
+    setRevision(r => r + 1);
+  };
+
+  const handleReset = () => {
+    resetAccount();
+    setError(null);
+    setRevision(r => r + 1);
+  };
+
+  return (
+    <div className="trade-panel">
+      <div className="trade-panel-header">
+        <h3>Paper Trading</h3>
+        <div>
+          <Link className="trade-reset" to="/portfolio">Portfolio</Link>
+          <button className="trade-reset" onClick={handleReset}>Reset account</button>
+        </div>
+      </div>
+
+      <div className="trade-summary">
+        <span>Cash <b>{fmtMoney(summary.cash)}</b></span>
+        <span>Buying power <b>{fmtMoney(summary.buyingPower)}</b></span>
+        <span>Equity <b>{fmtMoney(summary.equity)}</b></span>
+        {position && (
+          <span>
+            Position <b>{position.quantity} @ {position.avgCost.toFixed(2)}</b>{' '}
+            <span className={position.unrealizedPnl >= 0 ? 'positive' : 'negative'}>
+              ({position.unrealizedPnl >= 0 ? '+' : ''}{fmtMoney(position.unrealizedPnl)})
+            </span>
+          </span>
+        )}
+      </div>
+
+      <form className="trade-form" onSubmit={handleSubmit}>
+        <div className="chart-mode-toggle">
+          <button type="button" className={side === 'buy'  ? 'active' : ''} onClick={() => setSide('buy')}>Buy</button>
+          <button type="button" className={side === 'sell' ? 'active' : ''} onClick={() => setSide('sell')}>Sell</button>
+        </div>
+        <select value={type} onChange={(e) => setType(e.target.value)} aria-label="Order type">
+          {ORDER_TYPES.map(t => <option key={t} value={t}>{t[0].toUpperCase() + t.slice(1)}</option>)}
+        </select>
+        <input
+          type="number"
+          min="1"
+          step="1"
+          placeholder="Shares"
+          value={quantity}
+          onChange={(e) => setQuantity(e.target.value)}
+          aria-label="Quantity"
+        />
+        {type !== 'market' && (
+          <>
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              placeholder={type === 'limit' ? 'Limit price' : 'Stop price'}
+              value={price}
+              onChange={(e) => setPrice(e.target.value)}
+              aria-label={type === 'limit' ? 'Limit price' : 'Stop price'}
+            />
+            <select value={timeInForce} onChange={(e) => setTimeInForce(e.target.value)} aria-label="Time in force">
+              <option value="day">Day</option>
+              <option value="gtc">GTC</option>
+            </select>
+          </>
+        )}
+        <button type="submit" className="trade-submit">
+          {side === 'buy' ? 'Buy' : 'Sell'} {symbol}
+        </button>
+      </form>
+      {error && <div className="trade-error">{error}</div>}
+
+      {orders.length > 0 && (
+        <table className="trade-orders">
+          <thead>
+            <tr>
+              <th>Placed</th>
+              <th>Side</th>
+              <th>Qty</th>
+              <th>Type</th>
+              <th>Status</th>
+              <th>Fill</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map(o => (
+              <tr key={o.id}>
+                <td>{fmtOrderTime(o.placedAt)}</td>
+                <td className={o.side === 'buy' ? 'positive' : 'negative'}>{o.side.toUpperCase()}</td>
+                <td>{o.quantity}</td>
+                <td>{orderPriceLabel(o)}{o.timeInForce === 'gtc' ? ' GTC' : ''}</td>
+                <td>{o.status}</td>
+                <td>{o.fillPrice !== null ? o.fillPrice.toFixed(2) : '—'}</td>
+                <td>
+                  {o.status === 'open' && (
+                    <button className="trade-cancel" onClick={() => handleCancel(o.id)}>Cancel</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default TradePanel;
@@ -0,0 +1,88 @@
+// Corporate actions applied by the price engine to generated history.
+// Splits are listed explicitly; cash dividends follow a quarterly schedule
+// derived from each symbol's `forwardDividend` and `exDividendDate` metadata.
+// Amounts are per share as of the engine's reference day.
+
+import { STOCK_DATA, getStockMetrics } from './mockData';
+import { getSimRange, isTradingDay, nextTradingDay } from '../utils/tradingCalendar';
+
+// Forward stock splits inside the simulation range, by ex-date.
+// `ratio` is new shares per old share (4 → 4-for-1).
+export const SPLITS = {
+  'AAPL': [{ date: '2020-08-31', ratio: 4 }],
+  'NVDA': [{ date: '2021-07-20', ratio: 4 }, { date: '2024-06-10', ratio: 10 }],
+  'TSLA': [{ date: '2020-08-31', ratio: 5 }, { date: '2022-08-25', ratio: 3 }],
+  'GOOGL': [{ date: '2022-07-18', ratio: 20 }],
+  'AMZN': [{ date: '2022-06-06', ratio: 20 }],
+  'WMT':  [{ date: '2024-02-26', ratio: 3 }],
+  'NFLX': [{ date: '2025-11-17', ratio: 10 }],
+};
+
+const DAY_MS = 86400000;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/** 'YYYY-MM-DD' or 'Nov 10, 2023' → day number (UTC), or null. */
+function toDayNum(str) {
+  let m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str);
+  if (m) return Math.floor(Date.UTC(+m[1], +m[2] - 1, +m[3]) / DAY_MS);
+  m = /^([A-Z][a-z]{2}) (\d{1,2}), (\d{4})$/.exec(str);
+  if (m && MONTHS.includes(m[1])) return Math.floor(Date.UTC(+m[3], MONTHS.indexOf(m[1]), +m[2]) / DAY_MS);
+  return null;
+}
+
+/** Shift a day number by whole calendar months, keeping the day of month. */
+function addMonths(dayNum, months) {
+  const d = new Date(dayNum * DAY_MS);
+  return Math.floor(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, d.getUTCDate()) / DAY_MS);
+}
+
+/**
+ * Quarterly ex-dividend days across the simulation range, anchored on the
+ * metadata's ex-date and rolled forward to the next trading day.
+ */
+function dividendSchedule(symbol) {
+  const annual = getStockMetrics(symbol).annualDividend;
+  const anchor = toDayNum(STOCK_DATA[symbol].exDividendDate);
+  if (!annual || anchor === null) return [];
+
+  const { startDay, endDay } = getSimRange();
+  const events = [];
+  // Walk back to the first quarter inside the range, then forward to its end.
+  let q = 0;
+  while (addMonths(anchor, q * 3) >= startDay) q--;
+  for (q++; addMonths(anchor, q * 3) <= endDay; q++) {
+    const day = addMonths(anchor, q * 3);
+    events.push({
+      type: 'dividend',
+      dayNum: isTradingDay(day) ? day : nextTradingDay(day),
+      amount: +(annual / 4).toFixed(4),
+    });
+  }
+  return events;
+}
+
+const cache = new Map();
+
+/**
+ * All corporate actions for a symbol, oldest first.
+ * @returns {Array<{ type: 'split', dayNum, ratio } | { type: 'dividend', dayNum, amount }>}
+ */
+export function getCorporateActions(symbol) {
+  if (cache.has(symbol)) return cache.get(symbol);
+  const splits  = (SPLITS[symbol] || []).map(s => ({ type: 'split', dayNum: toDayNum(s.date), ratio: s.ratio }));
+  const actions = [...splits, ...(STOCK_DATA[symbol] ? dividendSchedule(symbol) : [])]
+    .sort((a, b) => a.dayNum - b.dayNum);
+  cache.set(symbol, actions);
+  return actions;
+}
+
+/** Most recent ex-dividend day on or before `dayNum`, or null if none. */
+export function getLastExDividendDay(symbol, dayNum) {
+  let last = null;
+  for (const a of getCorporateActions(symbol)) {
+    if (a.dayNum > dayNum) break;
+    if (a.type === 'dividend') last = a.dayNum;
+  }
+  return last;
+}
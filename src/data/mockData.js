@@ -26,290 +26,333 @@ export const TICKERS = [
 ];
 
 // Static stock metadata.
-// `basePrice` is the reference price used by the procedural price engine.
-// Dynamic fields (currentPrice, change, open, daysRange, volume, bid, ask)
-// are computed at render time from the price engine.
+// `basePrice` is the opening price on the price engine's reference day.
+// `beta` and `sector` set each symbol's exposure in the engine's factor model.
+// Dynamic fields (currentPrice, change, open, daysRange, 52-week range,
+// volume, bid, ask) are computed at render time from the price engine.
 export const STOCK_DATA = {
   'AAPL': {
     name: 'Apple Inc.',
+    sector: 'Technology',
     basePrice: 178.52,
-    weekRange52: '164.08 - 199.62',
     avgVolume: '58,392,847',
     marketCap: '2.785T',
     beta: '1.24',
     peRatio: '29.47',
     eps: '6.05',
-    earningsDate: 'Feb 1, 2024',
     forwardDividend: '0.96 (0.54%)',
     exDividendDate: 'Nov 10, 2023',
     targetEst: '195.34',
   },
   'GOOGL': {
     name: 'Alphabet Inc.',
+    sector: 'Communication Services',
     basePrice: 142.85,
-    weekRange52: '115.83 - 153.78',
     avgVolume: '24,182,934',
     marketCap: '1.783T',
     beta: '1.06',
     peRatio: '26.18',
     eps: '5.45',
-    earningsDate: 'Jan 30, 2024',
     forwardDividend: 'N/A',
     exDividendDate: 'N/A',
     targetEst: '155.72',
   },
   'MSFT': {
     name: 'Microsoft Corporation',
+    sector: 'Technology',
     basePrice: 405.73,
-    weekRange52: '309.45 - 420.82',
     avgVolume: '22,847,391',
     marketCap: '3.012T',
     beta: '0.89',
     peRatio: '35.82',
     eps: '11.33',
-    earningsDate: 'Jan 25, 2024',
     forwardDividend: '3.00 (0.74%)',
     exDividendDate: 'Nov 15, 2023',
     targetEst: '425.50',
   },
   'AMZN': {
     name: 'Amazon.com Inc.',
+    sector: 'Consumer Cyclical',
     basePrice: 155.32,
-    weekRange52: '101.26 - 170.49',
     avgVolume: '52,183,847',
     marketCap: '1.598T',
     beta: '1.14',
     peRatio: '52.37',
     eps: '2.97',
-    earningsDate: 'Feb 1, 2024',
     forwardDividend: 'N/A',
     exDividendDate: 'N/A',
     targetEst: '172.45',
   },
   'META': {
     name: 'Meta Platforms Inc.',
+    sector: 'Communication Services',
     basePrice: 412.18,
-    weekRange52: '197.16 - 429.07',
     avgVolume: '18,294,837',
     marketCap: '1.047T',
     beta: '1.21',
     peRatio: '28.64',
     eps: '14.39',
-    earningsDate: 'Feb 1, 2024',
     forwardDividend: 'N/A',
     exDividendDate: 'N/A',
     targetEst: '450.25',
   },
   'NVDA': {
     name: 'NVIDIA Corporation',
+    sector: 'Technology',
     basePrice: 523.68,
-    weekRange52: '138.84 - 615.30',
     avgVolume: '41,827,394',
     marketCap: '1.284T',
     beta: '1.68',
     peRatio: '68.45',
     eps: '7.65',
-    earningsDate: 'Feb 21, 2024',
     forwardDividend: '0.16 (0.03%)',
     exDividendDate: 'Dec 6, 2023',
     targetEst: '625.80',
   },
   'TSLA': {
     name: 'Tesla Inc.',
+    sector: 'Consumer Cyclical',
     basePrice: 248.92,
-    weekRange52: '138.80 - 299.29',
     avgVolume: '112,847,293',
     marketCap: '792.5B',
     beta: '2.12',
     peRatio: '64.73',
     eps: '3.85',
-    earningsDate: 'Jan 24, 2024',
     forwardDividend: 'N/A',
     exDividendDate: 'N/A',
     targetEst: '285.50',
   },
   'NFLX': {
     name: 'Netflix Inc.',
+    sector: 'Communication Services',
     basePrice: 685.43,
-    weekRange52: '344.73 - 700.00',
     avgVolume: '4,182,934',
     marketCap: '294.8B',
     beta: '1.35',
     peRatio: '42.87',
     eps: '15.98',
-    earningsDate: 'Jan 23, 2024',
     forwardDividend: 'N/A',
     exDividendDate: 'N/A',
     targetEst: '725.50',
   },
   'AMD': {
     name: 'Advanced Micro Devices Inc.',
+    sector: 'Technology',
     basePrice: 142.58,
-    weekRange52: '60.39 - 184.92',
     avgVolume: '52,847,293',
     marketCap: '230.5B',
     beta: '1.82',
     peRatio: '58.92',
     eps: '2.42',
-    earningsDate: 'Jan 30, 2024',
     forwardDividend: 'N/A',
     exDividendDate: 'N/A',
     targetEst: '165.80',
   },
   'INTC': {
     name: 'Intel Corporation',
+    sector: 'Technology',
     basePrice: 42.35,
-    weekRange52: '24.69 - 51.28',
     avgVolume: '38,294,817',
     marketCap: '178.2B',
     beta: '0.68',
     peRatio: '28.57',
     eps: '1.48',
-    earningsDate: 'Jan 25, 2024',
     forwardDividend: '0.50 (1.18%)',
     exDividendDate: 'Nov 7, 2023',
     targetEst: '48.25',
   },
   'JPM': {
     name: 'JPMorgan Chase & Co.',
+    sector: 'Financial Services',
     basePrice: 168.45,
-    weekRange52: '130.50 - 172.96',
     avgVolume: '10,283,947',
     marketCap: '482.5B',
     beta: '1.15',
     peRatio: '10.82',
     eps: '15.57',
-    earningsDate: 'Apr 12, 2024',
     forwardDividend: '4.20 (2.49%)',
     exDividendDate: 'Oct 5, 2023',
     targetEst: '175.50',
   },
   'V': {
     name: 'Visa Inc.',
+    sector: 'Financial Services',
     basePrice: 256.32,
-    weekRange52: '210.49 - 262.50',
     avgVolume: '7,184,293',
     marketCap: '528.7B',
     beta: '0.98',
     peRatio: '30.45',
     eps: '8.41',
-    earningsDate: 'Jan 25, 2024',
     forwardDividend: '2.08 (0.81%)',
     exDividendDate: 'Oct 13, 2023',
     targetEst: '275.80',
   },
   'WMT': {
     name: 'Walmart Inc.',
+    sector: 'Consumer Defensive',
     basePrice: 162.85,
-    weekRange52: '141.28 - 168.83',
     avgVolume: '8,293,471',
     marketCap: '439.2B',
     beta: '0.52',
     peRatio: '32.18',
     eps: '5.06',
-    earningsDate: 'Feb 20, 2024',
     forwardDividend: '2.28 (1.40%)',
     exDividendDate: 'Dec 8, 2023',
     targetEst: '170.25',
   },
   'DIS': {
     name: 'The Walt Disney Company',
+    sector: 'Communication Services',
     basePrice: 91.25,
-    weekRange52: '78.73 - 117.67',
     avgVolume: '16,284,738',
     marketCap: '166.7B',
     beta: '1.23',
     peRatio: '45.12',
     eps: '2.02',
-    earningsDate: 'Feb 7, 2024',
     forwardDividend: '0.30 (0.33%)',
     exDividendDate: 'Dec 11, 2023',
     targetEst: '105.80',
   },
   'BA': {
     name: 'The Boeing Company',
+    sector: 'Industrials',
     basePrice: 218.75,
-    weekRange52: '159.70 - 267.54',
     avgVolume: '8,192,834',
     marketCap: '134.2B',
     beta: '1.68',
     peRatio: 'N/A',
     eps: '-2.35',
-    earningsDate: 'Jan 31, 2024',
     forwardDividend: 'N/A',
     exDividendDate: 'N/A',
     targetEst: '245.60',
   },
   'GS': {
     name: 'The Goldman Sachs Group Inc.',
+    sector: 'Financial Services',
     basePrice: 387.92,
-    weekRange52: '295.10 - 399.00',
     avgVolume: '2,847,391',
     marketCap: '129.8B',
     beta: '1.42',
     peRatio: '13.24',
     eps: '29.30',
-    earningsDate: 'Apr 15, 2024',
     forwardDividend: '11.00 (2.84%)',
     exDividendDate: 'Nov 30, 2023',
     targetEst: '415.50',
   },
   'COIN': {
     name: 'Coinbase Global Inc.',
+    sector: 'Financial Services',
     basePrice: 142.58,
-    weekRange52: '31.96 - 195.50',
     avgVolume: '12,847,293',
     marketCap: '33.4B',
     beta: '3.15',
     peRatio: 'N/A',
     eps: '-2.13',
-    earningsDate: 'Feb 15, 2024',
     forwardDividend: 'N/A',
     exDividendDate: 'N/A',
     targetEst: '165.80',
   },
   'PYPL': {
     name: 'PayPal Holdings Inc.',
+    sector: 'Financial Services',
     basePrice: 62.18,
-    weekRange52: '50.25 - 91.49',
     avgVolume: '18,293,847',
     marketCap: '67.2B',
     beta: '1.58',
     peRatio: '17.82',
     eps: '3.49',
-    earningsDate: 'Feb 7, 2024',
     forwardDividend: 'N/A',
     exDividendDate: 'N/A',
     targetEst: '75.40',
   },
   'UBER': {
     name: 'Uber Technologies Inc.',
+    sector: 'Technology',
     basePrice: 68.94,
-    weekRange52: '25.52 - 70.71',
     avgVolume: '28,192,847',
     marketCap: '141.3B',
     beta: '1.72',
     peRatio: '38.42',
     eps: '1.79',
-    earningsDate: 'Feb 7, 2024',
     forwardDividend: 'N/A',
     exDividendDate: 'N/A',
     targetEst: '78.25',
   },
   'SPOT': {
     name: 'Spotify Technology S.A.',
+    sector: 'Communication Services',
     basePrice: 232.45,
-    weekRange52: '109.60 - 241.08',
     avgVolume: '2,384,719',
     marketCap: '46.8B',
     beta: '1.64',
     peRatio: 'N/A',
     eps: '-2.14',
-    earningsDate: 'Feb 6, 2024',
     forwardDividend: 'N/A',
     exDividendDate: 'N/A',
     targetEst: '258.40',
   },
 };
 
-export const getTickerData = (symbol) => STOCK_DATA[symbol] || null;
+// Synthetic market indices computed by the price engine from every symbol
+// in STOCK_DATA.  `basePrice` is the index level at the reference day's
+// open; `weighting` is 'cap' (by `marketCap`) or 'equal'.
+export const INDICES = [
+  { symbol: '^BENCH',   name: 'Benchmark 20 Index' },
+  { symbol: '^BENCHEW', name: 'Benchmark 20 Equal Weight' },
+];
+
+export const INDEX_DATA = {
+  '^BENCH': {
+    name: 'Benchmark 20 Index',
+    basePrice: 5000,
+    weighting: 'cap',
+  },
+  '^BENCHEW': {
+    name: 'Benchmark 20 Equal Weight',
+    basePrice: 1000,
+    weighting: 'equal',
+  },
+};
+
+const CAP_UNITS = { T: 1e12, B: 1e9, M: 1e6 };
+
+/** Market cap string like '2.785T' or '792.5B' → dollars (NaN if unparseable). */
+export function parseMarketCap(str) {
+  const m = /^([\d.]+)([TBM])$/.exec(str || '');
+  return m ? parseFloat(m[1]) * CAP_UNITS[m[2]] : NaN;
+}
+
+/** Display number like '58,392,847', '1.24' or '-2.14' → number; null for 'N/A'. */
+export function parseNumber(str) {
+  const n = parseFloat(String(str ?? '').replace(/,/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Numeric view of a stock's display-string metadata, as of the reference
+ * day.  Missing values ('N/A') are null; `annualDividend` and
+ * `dividendYield` (%) come from `forwardDividend` like '0.96 (0.54%)'.
+ *
+ * @returns {{ marketCap, avgVolume, beta, peRatio, eps, targetEst,
+ *             annualDividend, dividendYield } | null}  null for indices
+ */
+export function getStockMetrics(symbol) {
+  const info = STOCK_DATA[symbol];
+  if (!info) return null;
+  const cap      = parseMarketCap(info.marketCap);
+  const yieldPct = /\(([\d.]+)%\)/.exec(info.forwardDividend || '');
+  return {
+    marketCap:      Number.isFinite(cap) ? cap : null,
+    avgVolume:      parseNumber(info.avgVolume),
+    beta:           parseNumber(info.beta),
+    peRatio:        parseNumber(info.peRatio),
+    eps:            parseNumber(info.eps),
+    targetEst:      parseNumber(info.targetEst),
+    annualDividend: parseNumber(info.forwardDividend) ?? 0,
+    dividendYield:  yieldPct ? parseFloat(yieldPct[1]) : 0,
+  };
+}
+
+export const isIndexSymbol = (symbol) => Object.prototype.hasOwnProperty.call(INDEX_DATA, symbol);
+
+export const getTickerData = (symbol) => STOCK_DATA[symbol] || INDEX_DATA[symbol] || null;
@@ -0,0 +1,88 @@
+// Word lists and routine-story templates for the generated news feed
+// (utils/news.js).  Every choice is drawn from the feed's seeded hashes, so
+// an article always reads the same.
+
+export const NEWS_SOURCES = [
+  'MarketWire',
+  'The Financial Ledger',
+  'StreetBeat',
+  'Capital Desk',
+  'Ticker Daily',
+  'Global Markets Report',
+];
+
+export const ANALYST_FIRMS = [
+  'Harborview Securities',
+  'Northgate Capital',
+  'Meridian Research',
+  'Bancroft & Co.',
+  'Summit Peak Partners',
+  'Lindqvist Brothers',
+];
+
+// Verbs for a price move, the first whose `min` (absolute %) it reaches:
+// [present, past] tense for each direction.
+export const MOVE_VERBS = [
+  { min: 7, up: ['soar', 'soared'], down: ['plunge', 'plunged'] },
+  { min: 4, up: ['jump', 'jumped'], down: ['tumble', 'tumbled'] },
+  { min: 0, up: ['rise', 'rose'],   down: ['fall', 'fell'] },
+];
+
+/*
+ * Routine company stories, one drawn now and then per symbol and trading
+ * day.  Each gets a context
+ *   { name, short, symbol, sector, firm, price, up }
+ * where `price` is the previous close and `up` a seeded fraction in [0, 1)
+ * for sizing figures.
+ */
+export const BRIEF_TEMPLATES = [
+  {
+    headline: (c) => `${c.firm} upgrades ${c.short} to Buy, sets $${(c.price * (1.12 + c.up * 0.2)).toFixed(0)} price target`,
+    body: (c) => [
+      `${c.firm} raised its rating on ${c.name} (${c.symbol}) to Buy from Hold, with a price target of ` +
+        `$${(c.price * (1.12 + c.up * 0.2)).toFixed(0)}, against a previous close of $${c.price.toFixed(2)}.`,
+      `The firm's analysts cited improving demand trends across the ${c.sector.toLowerCase()} sector and ` +
+        'said the company is well placed to gain share over the coming year.',
+    ],
+  },
+  {
+    headline: (c) => `${c.firm} downgrades ${c.short} to Hold, sees limited upside`,
+    body: (c) => [
+      `${c.firm} cut its rating on ${c.name} (${c.symbol}) to Hold from Buy and set a price target of ` +
+        `$${(c.price * (0.98 + c.up * 0.08)).toFixed(0)}, close to the previous close of $${c.price.toFixed(2)}.`,
+      'The analysts said the valuation already reflects the company\'s near-term growth prospects.',
+    ],
+  },
+  {
+    headline: (c) => `${c.firm} initiates coverage of ${c.short} at Outperform`,
+    body: (c) => [
+      `${c.firm} began covering ${c.name} (${c.symbol}) with an Outperform rating and a ` +
+        `$${(c.price * (1.08 + c.up * 0.15)).toFixed(0)} price target.`,
+      `The note highlights the company's position in ${c.sector.toLowerCase()} and its balance sheet strength.`,
+    ],
+  },
+  {
+    headline: (c) => `${c.short} to present at the ${c.firm} ${c.sector} Conference`,
+    body: (c) => [
+      `${c.name} (${c.symbol}) said members of its management team will present at the ` +
+        `${c.firm} ${c.sector} Conference next week.`,
+      'A live webcast will be available on the company\'s investor relations website.',
+    ],
+  },
+  {
+    headline: (c) => `${c.short} board authorizes $${(1 + Math.floor(c.up * 20)).toFixed(0)} billion share buyback`,
+    body: (c) => [
+      `The board of ${c.name} (${c.symbol}) approved a new share repurchase program of up to ` +
+        `$${(1 + Math.floor(c.up * 20)).toFixed(0)} billion, with no set expiration date.`,
+      'The company said the program reflects confidence in its long-term cash generation.',
+    ],
+  },
+  {
+    headline: (c) => `${c.short} names new chief financial officer`,
+    body: (c) => [
+      `${c.name} (${c.symbol}) appointed a new chief financial officer, effective at the start of next month.`,
+      'The incoming executive joins from a large industry peer; the outgoing CFO will stay on as an adviser ' +
+        'through the transition.',
+    ],
+  },
+];
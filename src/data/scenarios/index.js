@@ -0,0 +1,12 @@
+// Bundled market scenarios, selectable with `?scenario=<id>` (see
+// utils/scenarios.js for the event format).  Add a scenario by dropping a
+// JSON file in this directory and listing it here.
+
+import nvdaEarningsGap from './nvda-earnings-gap.json';
+import flashCrash from './flash-crash.json';
+import tslaHalt from './tsla-halt.json';
+import volatileWeek from './volatile-week.json';
+
+export const SCENARIOS = Object.fromEntries(
+  [nvdaEarningsGap, flashCrash, tslaHalt, volatileWeek].map(s => [s.id, s])
+);
@@ -2,6 +2,16 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { initClockFromSearch } from './utils/clock';
+import { initScenarioFromSearch } from './utils/scenarios';
+import { initReferenceDayFromSearch } from './utils/priceEngine';
+
+// ?t=…, ?speed=…, ?frozen=1 and ?from=…&to=… configure the simulated clock and
+// its date range for this session, ?scenario=… the scripted market events
+// and ?ref=… the price anchor day.
+initClockFromSearch(window.location.search);
+initScenarioFromSearch(window.location.search);
+initReferenceDayFromSearch(window.location.search);
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -0,0 +1,151 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getTickerData } from '../data/mockData';
+import { getEarningsCalendar } from '../utils/fundamentals';
+import { REPORT_TIMES } from '../utils/earnings';
+import { fmtLongDate } from '../utils/priceEngine';
+import './CalendarPage.css';
+
+// Calendar days ahead, and back, the page covers.
+const UPCOMING_DAYS = 28;
+const RECENT_DAYS   = 14;
+
+const fmtSigned = (v, suffix = '') => `${v >= 0 ? '+' : ''}${v.toFixed(2)}${suffix}`;
+
+const signClass = (v) => (v === null ? '' : v >= 0 ? 'positive' : 'negative');
+
+/** "Mon, Feb 23, 2026" */
+function fmtDayHeading(dayNum) {
+  const weekday = new Date(dayNum * 86400000).toLocaleString('en-US', { weekday: 'short', timeZone: 'UTC' });
+  return `${weekday}, ${fmtLongDate(dayNum)}`;
+}
+
+/** Reports grouped by report day, keeping their order: [[dayNum, reports], …]. */
+function groupByDay(reports) {
+  const groups = [];
+  for (const r of reports) {
+    const last = groups[groups.length - 1];
+    if (last && last[0] === r.reportDay) last[1].push(r);
+    else groups.push([r.reportDay, [r]]);
+  }
+  return groups;
+}
+
+/* One day's reports: a heading row, then a row per report. */
+function DayRows({ dayNum, reports, columns, onOpen }) {
+  return (
+    <>
+      <tr className="calendar-day-row">
+        <td colSpan={4 + columns.length}>{fmtDayHeading(dayNum)}</td>
+      </tr>
+      {reports.map(r => (
+        <tr key={`${r.symbol}|${r.quarter}`} onClick={() => onOpen(r.symbol)}>
+          <td><b>{r.symbol}</b></td>
+          <td className="calendar-name">{getTickerData(r.symbol).name}</td>
+          <td>{REPORT_TIMES[r.time].label}</td>
+          <td>{r.label}</td>
+          {columns.map(c => <td key={c.id} className={c.className?.(r)}>{c.render(r)}</td>)}
+        </tr>
+      ))}
+    </>
+  );
+}
+
+const UPCOMING_COLUMNS = [
+  { id: 'estimate', label: 'EPS Est.', render: (r) => r.estimate.toFixed(2) },
+];
+
+const RECENT_COLUMNS = [
+  { id: 'estimate', label: 'EPS Est.',    render: (r) => r.estimate.toFixed(2) },
+  { id: 'actual',   label: 'EPS Actual',  render: (r) => r.actual.toFixed(2) },
+  {
+    id: 'surprise',
+    label: 'Surprise',
+    render: (r) => fmtSigned(r.surprisePct, '%'),
+    className: (r) => signClass(r.surprisePct),
+  },
+  {
+    id: 'reaction',
+    label: 'Reaction',
+    render: (r) => (r.reactionPct === null ? '—' : fmtSigned(r.reactionPct, '%')),
+    className: (r) => signClass(r.reactionPct),
+  },
+];
+
+/* A table of reports grouped by day. */
+function ReportTable({ reports, columns, empty, onOpen }) {
+  if (!reports.length) return <p className="calendar-empty">{empty}</p>;
+  return (
+    <table className="calendar-table">
+      <thead>
+        <tr>
+          <th>Symbol</th>
+          <th>Name</th>
+          <th>Time</th>
+          <th>Quarter</th>
+          {columns.map(c => <th key={c.id}>{c.label}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {groupByDay(reports).map(([dayNum, group]) => (
+          <DayRows key={dayNum} dayNum={dayNum} reports={group} columns={columns} onOpen={onOpen} />
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/*
+ * Earnings calendar: every stock's reports due in the next UPCOMING_DAYS,
+ * then the ones out in the last RECENT_DAYS with their results.  Reports
+ * move from one list to the other as the simulated clock passes their
+ * release time.
+ */
+function CalendarPage({ currentTimestamp }) {
+  const navigate = useNavigate();
+  const today = Math.floor(currentTimestamp / 86400);
+
+  const reports  = getEarningsCalendar(today - RECENT_DAYS, today + UPCOMING_DAYS, currentTimestamp);
+  const upcoming = reports.filter(r => !r.reported);
+  const recent   = reports.filter(r => r.reported).reverse();
+  const open = (symbol) => navigate(`/tickers/${symbol}`);
+
+  return (
+    <div className="calendar-page">
+      <div className="container">
+        <button className="back-button" onClick={() => navigate('/')}>
+          ← Back to Search
+        </button>
+
+        <div className="calendar-header">
+          <h1>Earnings Calendar</h1>
+          <p className="calendar-subtitle">
+            {upcoming.length} reports in the next {UPCOMING_DAYS} days
+          </p>
+        </div>
+
+        <div className="calendar-section">
+          <h2>Upcoming</h2>
+          <ReportTable
+            reports={upcoming}
+            columns={UPCOMING_COLUMNS}
+            empty="No reports scheduled."
+            onOpen={open}
+          />
+        </div>
+
+        <div className="calendar-section">
+          <h2>Recent</h2>
+          <ReportTable
+            reports={recent}
+            columns={RECENT_COLUMNS}
+            empty={`No reports in the last ${RECENT_DAYS} days.`}
+            onOpen={open}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CalendarPage;
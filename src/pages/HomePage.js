@@ -1,44 +1,86 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useMemo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import SearchBar from '../components/SearchBar';
-import { TICKERS, getTickerData } from '../data/mockData';
-import { getWatchlist, removeFromWatchlist } from '../utils/watchlist';
+import MarketSummary from '../components/MarketSummary';
+import NewsList from '../components/NewsList';
+import { TICKERS, getTickerData, isIndexSymbol } from '../data/mockData';
+import {
+  getWatchlists,
+  getTargetWatchlistId,
+  createWatchlist,
+  renameWatchlist,
+  deleteWatchlist,
+  setWatchlistSort,
+  reorderWatchlist,
+  removeFromWatchlist,
+  exportWatchlists,
+  importWatchlists,
+  WATCHLIST_SORTS,
+} from '../utils/watchlist';
 import {
   getCurrentMarketState,
-  getPriceAtSecond,
+  getLastPrice,
   getPreviousClose,
 } from '../utils/priceEngine';
+import { getMarketNews } from '../utils/news';
 import './HomePage.css';
 
+/* Price, change and change % of a symbol at the given market instant. */
+function getQuote(symbol, dayNum, marketSec) {
+  const basePrice = getTickerData(symbol)?.basePrice ?? 0;
+  if (!basePrice) return { currentPrice: 0, change: 0, changePercent: 0, isUp: true };
+  const price         = getLastPrice(symbol, basePrice, dayNum, marketSec);
+  const previousClose = getPreviousClose(symbol, basePrice, dayNum);
+  const chg           = +(price - previousClose).toFixed(2);
+  const chgPct        = previousClose
+    ? +(((price - previousClose) / previousClose) * 100).toFixed(2)
+    : 0;
+  return { currentPrice: price, change: chg, changePercent: chgPct, isUp: chg >= 0 };
+}
+
+const SORT_LABELS = { manual: 'My order', change: 'Change %', price: 'Price', name: 'Name' };
+
+/* Symbols of a list in its display order: manual, or by live quote. */
+function sortSymbols(symbols, sort, dayNum, marketSec) {
+  if (sort === 'manual') return symbols;
+  if (sort === 'name') return [...symbols].sort((a, b) => a.localeCompare(b));
+  const key = sort === 'change' ? 'changePercent' : 'currentPrice';
+  const quotes = Object.fromEntries(symbols.map(s => [s, getQuote(s, dayNum, marketSec)[key]]));
+  return [...symbols].sort((a, b) => quotes[b] - quotes[a]);
+}
+
+/** Offer `text` as a file download. */
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 /* Render a price card for a given symbol, driven by currentTimestamp. */
-function StockCard({ symbol, name, currentTimestamp, onRemove, onClick }) {
+function StockCard({ symbol, name, currentTimestamp, onRemove, onClick, dragging, dragProps }) {
   const info = getTickerData(symbol);
-  const basePrice = info?.basePrice ?? 0;
-
-  // getCurrentMarketState reads Date.now() — no memoization needed; re-renders
-  // are driven by currentTimestamp prop changing every second.
-  const { dayNum, marketSec } = getCurrentMarketState();
-
-  const { currentPrice, change, changePercent, isUp } = useMemo(() => {
-    if (!basePrice) return { currentPrice: 0, change: 0, changePercent: 0, isUp: true };
-    const price         = getPriceAtSecond(symbol, basePrice, dayNum, marketSec);
-    const previousClose = getPreviousClose(symbol, basePrice, dayNum);
-    const chg           = +(price - previousClose).toFixed(2);
-    const chgPct        = previousClose
-      ? +(((price - previousClose) / previousClose) * 100).toFixed(2)
-      : 0;
-    return { currentPrice: price, change: chg, changePercent: chgPct, isUp: chg >= 0 };
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [symbol, basePrice, dayNum, marketSec]);
+
+  // Market state for the simulated instant App.js passes down every tick.
+  const { dayNum, marketSec } = getCurrentMarketState(currentTimestamp);
+
+  const { currentPrice, change, changePercent, isUp } = useMemo(
+    () => getQuote(symbol, dayNum, marketSec),
+    [symbol, dayNum, marketSec],
+  );
 
   return (
-    <div className="stock-card" onClick={onClick}>
+    <div className={`stock-card ${dragging ? 'dragging' : ''}`} onClick={onClick} {...dragProps}>
       {onRemove && (
         <span className="remove-x" onClick={(e) => { e.stopPropagation(); onRemove(); }}>×</span>
       )}
       <span className="stock-symbol">{symbol}</span>
       <span className="stock-name">{name || info?.name}</span>
-      <span className="stock-price">${currentPrice.toFixed(2)}</span>
+      <span className="stock-price">
+        {isIndexSymbol(symbol) ? '' : '$'}{currentPrice.toFixed(2)}
+      </span>
       <span className={`stock-change ${isUp ? 'positive' : 'negative'}`}>
         {isUp ? '+' : ''}{change} ({isUp ? '+' : ''}{changePercent}%)
       </span>
@@ -46,49 +88,187 @@ function StockCard({ symbol, name, currentTimestamp, onRemove, onClick }) {
   );
 }
 
-function HomePage({ currentTimestamp = 0 }) {
-  const navigate   = useNavigate();
-  const [watchlist, setWatchlist] = useState([]);
+/* Named watchlists: tabs, list management, sorting, drag-to-reorder, import and export. */
+function WatchlistSection({ currentTimestamp, onSelect }) {
+  const [lists, setLists]       = useState(getWatchlists);
+  const [activeId, setActiveId] = useState(getTargetWatchlistId);
+  const [editing, setEditing]   = useState(null); // null | 'new' | 'rename'
+  const [nameInput, setNameInput] = useState('');
+  const [error, setError]       = useState(null);
+  const [dragSymbol, setDragSymbol] = useState(null);
+  const fileInput = useRef(null);
 
-  useEffect(() => {
-    setWatchlist(getWatchlist());
-  }, []);
+  const { dayNum, marketSec } = getCurrentMarketState(currentTimestamp);
+  const active  = lists.find(l => l.id === activeId) || lists[0];
+  const symbols = sortSymbols(active.symbols, active.sort, dayNum, marketSec);
 
-  const handleSearch = (symbol) => navigate(`/tickers/${symbol}`);
+  // Run a watchlist operation, then re-read the lists (or show its error).
+  const update = (fn) => {
+    try {
+      fn();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLists(getWatchlists());
+  };
+
+  const handleNameSubmit = (e) => {
+    e.preventDefault();
+    update(() => {
+      if (editing === 'new') setActiveId(createWatchlist(nameInput));
+      else renameWatchlist(active.id, nameInput);
+      setEditing(null);
+    });
+  };
+
+  const handleDelete = () => update(() => {
+    deleteWatchlist(active.id);
+    setActiveId(getWatchlists()[0].id);
+  });
 
-  const handleRemove = (symbol) => {
-    removeFromWatchlist(symbol);
-    setWatchlist(getWatchlist());
+  const handleDrop = (target) => {
+    if (!dragSymbol || dragSymbol === target) return;
+    const order = symbols.filter(s => s !== dragSymbol);
+    order.splice(order.indexOf(target), 0, dragSymbol);
+    update(() => reorderWatchlist(active.id, order));
+    setDragSymbol(null);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const text = await file.text();
+    update(() => {
+      importWatchlists(text);
+      setActiveId(getTargetWatchlistId());
+    });
   };
 
+  return (
+    <div className="watchlist-section">
+      <h2>My Watchlists</h2>
+
+      <div className="watchlist-tabs">
+        {lists.map(l => (
+          <button
+            key={l.id}
+            className={l.id === active.id ? 'active' : ''}
+            onClick={() => { setActiveId(l.id); setEditing(null); }}
+          >
+            {l.name} ({l.symbols.length})
+          </button>
+        ))}
+        <button onClick={() => { setEditing('new'); setNameInput(''); }}>+ New list</button>
+      </div>
+
+      <div className="watchlist-toolbar">
+        {editing ? (
+          <form className="watchlist-name-form" onSubmit={handleNameSubmit}>
+            <input
+              autoFocus
+              value={nameInput}
+              onChange={(e) => setNameInput(e.target.value)}
+              placeholder="Watchlist name"
+              aria-label="Watchlist name"
+            />
+            <button type="submit">{editing === 'new' ? 'Create' : 'Save'}</button>
+            <button type="button" onClick={() => setEditing(null)}>Cancel</button>
+          </form>
+        ) : (
+          <div className="watchlist-actions">
+            <button onClick={() => { setEditing('rename'); setNameInput(active.name); }}>Rename</button>
+            <button onClick={handleDelete} disabled={lists.length === 1}>Delete</button>
+          </div>
+        )}
+        <label className="watchlist-sort">
+          Sort by{' '}
+          <select value={active.sort} onChange={(e) => update(() => setWatchlistSort(active.id, e.target.value))}>
+            {WATCHLIST_SORTS.map(s => <option key={s} value={s}>{SORT_LABELS[s]}</option>)}
+          </select>
+        </label>
+        <div className="watchlist-actions">
+          <button onClick={() => fileInput.current.click()}>Import</button>
+          <button onClick={() => download('watchlists.json', exportWatchlists('json'), 'application/json')}>Export JSON</button>
+          <button onClick={() => download('watchlists.csv', exportWatchlists('csv'), 'text/csv')}>Export CSV</button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            onChange={handleImport}
+            hidden
+          />
+        </div>
+      </div>
+      {error && <div className="watchlist-error">{error}</div>}
+
+      {symbols.length === 0 ? (
+        <p className="watchlist-empty">No symbols yet. Use the star on a ticker page to add some.</p>
+      ) : (
+        <div className="stock-grid">
+          {symbols.map(symbol => (
+            <StockCard
+              key={symbol}
+              symbol={symbol}
+              currentTimestamp={currentTimestamp}
+              onRemove={() => update(() => removeFromWatchlist(symbol, active.id))}
+              onClick={() => onSelect(symbol)}
+              dragging={dragSymbol === symbol}
+              dragProps={{
+                draggable: true,
+                onDragStart: () => setDragSymbol(symbol),
+                onDragEnd: () => setDragSymbol(null),
+                onDragOver: (e) => e.preventDefault(),
+                onDrop: (e) => { e.preventDefault(); handleDrop(symbol); },
+              }}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function HomePage({ currentTimestamp }) {
+  const navigate = useNavigate();
+
+  const handleSearch = (symbol) => navigate(`/tickers/${symbol}`);
+
+  // Market-wide news, re-read each minute
+  const minute = Math.floor(currentTimestamp / 60);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  const news = useMemo(() => getMarketNews(currentTimestamp), [minute]);
+
   return (
     <div className="home-page">
       <div className="container">
         <header className="header">
           <h1>Stock Market Benchmark</h1>
           <p className="subtitle">Search for stock tickers and view interactive charts</p>
+          <button className="header-link" onClick={() => navigate('/portfolio')}>
+            View paper-trading portfolio →
+          </button>
+          <button className="header-link" onClick={() => navigate('/screener')}>
+            Screen stocks →
+          </button>
+          <button className="header-link" onClick={() => navigate('/calendar')}>
+            Earnings calendar →
+          </button>
         </header>
 
+        <MarketSummary currentTimestamp={currentTimestamp} onSelect={handleSearch} />
+
         <div className="search-container">
           <SearchBar onSearch={handleSearch} />
         </div>
 
-        {watchlist.length > 0 && (
-          <div className="watchlist-section">
-            <h2>My Watchlist</h2>
-            <div className="stock-grid">
-              {watchlist.map(symbol => (
-                <StockCard
-                  key={symbol}
-                  symbol={symbol}
-                  currentTimestamp={currentTimestamp}
-                  onRemove={() => handleRemove(symbol)}
-                  onClick={() => handleSearch(symbol)}
-                />
-              ))}
-            </div>
-          </div>
-        )}
+        <WatchlistSection currentTimestamp={currentTimestamp} onSelect={handleSearch} />
+
+        <div className="market-news">
+          <h2>Market News</h2>
+          <NewsList articles={news} limit={10} />
+        </div>
 
         <div className="popular-stocks">
           <h2>Popular Stocks</h2>
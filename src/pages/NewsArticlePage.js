@@ -0,0 +1,81 @@
+import React, { useMemo } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { getTickerData } from '../data/mockData';
+import { getArticle, getSymbolNews, fmtPublished } from '../utils/news';
+import NewsList from '../components/NewsList';
+import './NewsArticlePage.css';
+
+/*
+ * One news article (`/news/:id`): headline, source and time, the story, the
+ * tickers it mentions and the articles it follows up, then more news on its
+ * symbol.  Unknown ids, and stories not yet published at the simulated time,
+ * show a not-found message.
+ */
+function NewsArticlePage({ currentTimestamp }) {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const minute = Math.floor(currentTimestamp / 60);
+
+  const { article, seeAlso, more } = useMemo(() => {
+    const found = getArticle(id, currentTimestamp);
+    if (!found) return { article: null, seeAlso: [], more: [] };
+    return {
+      article: found,
+      seeAlso: found.seeAlso.map(ref => getArticle(ref, currentTimestamp)).filter(Boolean),
+      more:    found.symbol ? getSymbolNews(found.symbol, currentTimestamp).filter(a => a.id !== id) : [],
+    };
+  // currentTimestamp is read at minute resolution
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id, minute]);
+
+  return (
+    <div className="news-article-page">
+      <div className="container">
+        <button className="back-button" onClick={() => navigate('/')}>
+          ← Back to Search
+        </button>
+
+        {!article ? (
+          <div className="news-article">
+            <h1>Article not found</h1>
+            <p>There is no published article with id "{id}".</p>
+          </div>
+        ) : (
+          <>
+            <article className="news-article">
+              <h1>{article.headline}</h1>
+              <p className="news-article-meta">
+                {article.source} · {fmtPublished(article.publishedSec)}
+              </p>
+              {article.body.map((paragraph, i) => <p key={i}>{paragraph}</p>)}
+
+              {article.related.length > 0 && (
+                <div className="news-article-tickers">
+                  <span>Mentioned:</span>
+                  {article.related.map(s => (
+                    <Link key={s} to={`/tickers/${s}`}>
+                      {s} · {getTickerData(s)?.name}
+                    </Link>
+                  ))}
+                </div>
+              )}
+
+              {seeAlso.length > 0 && (
+                <div className="news-article-see-also">
+                  <span>Related coverage:</span>
+                  {seeAlso.map(a => <Link key={a.id} to={`/news/${a.id}`}>{a.headline}</Link>)}
+                </div>
+              )}
+            </article>
+
+            {article.symbol && (
+              <NewsList title={`More ${article.symbol} news`} articles={more} limit={5} />
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default NewsArticlePage;
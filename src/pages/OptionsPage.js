@@ -0,0 +1,149 @@
+import React, { useEffect, useMemo } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { getTickerData, isIndexSymbol } from '../data/mockData';
+import { getOptionExpirations, getOptionChain } from '../utils/options';
+import { fmtLongDate } from '../utils/priceEngine';
+import './OptionsPage.css';
+
+const DAY_MS = 86400000;
+
+/** "2026-03-20" from dayNum (the `?exp=` format) */
+const fmtIsoDay = (dayNum) => new Date(dayNum * DAY_MS).toISOString().slice(0, 10);
+
+/** "Mar 20" from dayNum */
+function fmtShortDay(dayNum) {
+  const d = new Date(dayNum * DAY_MS);
+  return `${d.toLocaleString('en-US', { month: 'short', timeZone: 'UTC' })} ${d.getUTCDate()}`;
+}
+
+const fmtPct = (v) => (v === null ? '—' : `${(v * 100).toFixed(1)}%`);
+
+/** Fixed decimals without a "-0.000" for values that round to zero. */
+const fmtGreek = (v, digits) => (Math.abs(v) < 0.5 * 10 ** -digits ? 0 : v).toFixed(digits);
+
+// Columns shown for each side of the chain, calls and puts alike.
+const CONTRACT_COLUMNS = [
+  { id: 'last',  label: 'Last',  render: (c) => c.last.toFixed(2) },
+  { id: 'bid',   label: 'Bid',   render: (c) => c.bid.toFixed(2) },
+  { id: 'ask',   label: 'Ask',   render: (c) => c.ask.toFixed(2) },
+  { id: 'iv',    label: 'IV',    render: (c) => fmtPct(c.iv) },
+  { id: 'oi',    label: 'OI',    render: (c) => c.openInterest.toLocaleString() },
+  { id: 'delta', label: 'Delta', render: (c) => fmtGreek(c.delta, 3) },
+  { id: 'gamma', label: 'Gamma', render: (c) => fmtGreek(c.gamma, 4) },
+  { id: 'theta', label: 'Theta', render: (c) => fmtGreek(c.theta, 3) },
+  { id: 'vega',  label: 'Vega',  render: (c) => fmtGreek(c.vega, 3) },
+];
+
+/* One side of a strike's row; in-the-money contracts are shaded. */
+function ContractCells({ contract }) {
+  return CONTRACT_COLUMNS.map(col => (
+    <td key={col.id} className={contract.inTheMoney ? 'itm' : ''}>{col.render(contract)}</td>
+  ));
+}
+
+/*
+ * Option chain for one symbol (`/tickers/:symbol/options`): the listed
+ * expirations, then calls and puts either side of each strike around the
+ * current price, priced by utils/options.  The chosen expiration lives in
+ * the URL (`?exp=2026-03-20`); without one the nearest is shown.
+ */
+function OptionsPage({ currentTimestamp }) {
+  const { symbol } = useParams();
+  const navigate   = useNavigate();
+  const info       = getTickerData(symbol);
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  useEffect(() => {
+    if (!info) navigate('/');
+  }, [info, navigate]);
+
+  const expirations = getOptionExpirations(currentTimestamp);
+  const expiry = expirations.find(e => fmtIsoDay(e.dayNum) === searchParams.get('exp')) || expirations[0];
+
+  const chooseExpiry = (dayNum) => {
+    const next = new URLSearchParams(searchParams);
+    next.set('exp', fmtIsoDay(dayNum));
+    setSearchParams(next, { replace: true });
+  };
+
+  const expiryDay = expiry ? expiry.dayNum : null;
+  const chain = useMemo(
+    () => (info && expiryDay !== null ? getOptionChain(symbol, expiryDay, currentTimestamp) : null),
+    [info, symbol, expiryDay, currentTimestamp],
+  );
+
+  if (!info) return null;
+
+  const fmtQuote = (price) => (isIndexSymbol(symbol) ? price.toFixed(2) : `$${price.toFixed(2)}`);
+
+  return (
+    <div className="options-page">
+      <div className="container">
+        <button className="back-button" onClick={() => navigate(`/tickers/${symbol}`)}>
+          ← Back to {symbol}
+        </button>
+
+        <div className="options-header">
+          <h1>{symbol} Options</h1>
+          <p className="options-subtitle">{info.name}</p>
+        </div>
+
+        {!chain ? (
+          <p className="options-empty">No options are listed at this time.</p>
+        ) : (
+          <div className="options-section">
+            <div className="options-expirations">
+              {expirations.map(e => (
+                <button
+                  key={e.dayNum}
+                  className={e.dayNum === expiry.dayNum ? 'active' : ''}
+                  onClick={() => chooseExpiry(e.dayNum)}
+                  title={e.monthly ? 'Monthly expiration' : 'Weekly expiration'}
+                >
+                  {fmtShortDay(e.dayNum)}{e.monthly ? '' : ' (W)'}
+                </button>
+              ))}
+            </div>
+
+            <p className="options-summary">
+              Underlying {fmtQuote(chain.spot)} · Expires {fmtLongDate(expiry.dayNum)}{' '}
+              ({expiry.days === 0 ? 'today' : `${expiry.days} days`}) · 30-day realized vol{' '}
+              {fmtPct(chain.histVol)} · ATM IV {fmtPct(chain.atmVol)} · Rate {fmtPct(chain.rate)}
+            </p>
+
+            <div className="options-table-wrap">
+              <table className="options-table">
+                <thead>
+                  <tr>
+                    <th colSpan={CONTRACT_COLUMNS.length} className="options-side">Calls</th>
+                    <th />
+                    <th colSpan={CONTRACT_COLUMNS.length} className="options-side">Puts</th>
+                  </tr>
+                  <tr>
+                    {CONTRACT_COLUMNS.map(c => <th key={`call-${c.id}`}>{c.label}</th>)}
+                    <th className="options-strike">Strike</th>
+                    {CONTRACT_COLUMNS.map(c => <th key={`put-${c.id}`}>{c.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {chain.rows.map(row => (
+                    <tr key={row.strike}>
+                      <ContractCells contract={row.call} />
+                      <td className="options-strike">{row.strike.toFixed(2)}</td>
+                      <ContractCells contract={row.put} />
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="options-note">
+              Shaded contracts are in the money. Theta is per calendar day, vega per volatility point.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OptionsPage;
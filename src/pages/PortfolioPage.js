@@ -0,0 +1,265 @@
+import React, { useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { INDEX_DATA } from '../data/mockData';
+import { getAccount, getAccountSummary } from '../utils/paperTrading';
+import {
+  getAllocation,
+  getPortfolioSeries,
+  BENCHMARK_SYMBOL,
+  PORTFOLIO_RANGES,
+} from '../utils/portfolio';
+import { getCurrentMarketState } from '../utils/priceEngine';
+import './PortfolioPage.css';
+
+const fmtMoney = (v) =>
+  `${v < 0 ? '-' : ''}$${Math.abs(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const fmtSigned = (v, suffix = '') => `${v >= 0 ? '+' : ''}${v.toFixed(2)}${suffix}`;
+
+/* ── Performance chart ────────────────────────────────────────────────────── */
+
+const PerformanceTooltip = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const d = payload[0]?.payload;
+  if (!d) return null;
+  return (
+    <div className="custom-tooltip">
+      <p className="tooltip-label">Time:</p>      <p className="tooltip-value">{d.time || d.date}</p>
+      <p className="tooltip-label">Value:</p>     <p className="tooltip-value">{fmtMoney(d.value)}</p>
+      <p className="tooltip-label">Return:</p>    <p className="tooltip-value">{fmtSigned(d.returnPct, '%')}</p>
+      <p className="tooltip-label">{BENCHMARK_SYMBOL}:</p>
+      <p className="tooltip-value">{d.benchmark.toFixed(2)} ({fmtSigned(d.benchmarkPct, '%')})</p>
+    </div>
+  );
+};
+
+/* Portfolio and benchmark returns over one range, both from the range's first bar. */
+function PerformanceChart({ data, range }) {
+  return (
+    <div className="stock-chart">
+      <ResponsiveContainer width="100%" height={350}>
+        <LineChart data={data} margin={{ top: 5, right: 20, bottom: 5, left: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+          <XAxis
+            dataKey={range === '1d' ? 'time' : 'date'}
+            stroke="#666"
+            tick={{ fontSize: 10, fontFamily: 'Arial' }}
+            interval="preserveStartEnd"
+          />
+          <YAxis
+            stroke="#666"
+            tick={{ fontSize: 11, fontFamily: 'Arial' }}
+            domain={['auto', 'auto']}
+            tickFormatter={(v) => `${v}%`}
+          />
+          <Tooltip content={<PerformanceTooltip />} />
+          <Legend wrapperStyle={{ fontSize: '0.85rem' }} />
+          <Line
+            name="Portfolio"
+            type="linear"
+            dataKey="returnPct"
+            stroke="#0000cc"
+            strokeWidth={1.5}
+            dot={false}
+            isAnimationActive={false}
+          />
+          <Line
+            name={INDEX_DATA[BENCHMARK_SYMBOL].name}
+            type="linear"
+            dataKey="benchmarkPct"
+            stroke="#999999"
+            strokeWidth={1.5}
+            strokeDasharray="4 2"
+            dot={false}
+            isAnimationActive={false}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+/* ── Allocation ───────────────────────────────────────────────────────────── */
+
+/* One row of an allocation breakdown: label, value and a bar for its weight. */
+function AllocationRow({ label, value, weight, onClick }) {
+  return (
+    <div className={`allocation-row ${onClick ? 'clickable' : ''}`} onClick={onClick}>
+      <span className="allocation-label">{label}</span>
+      <span className="allocation-bar"><span style={{ width: `${Math.min(100, weight)}%` }} /></span>
+      <span className="allocation-weight">{weight.toFixed(1)}%</span>
+      <span className="allocation-value">{fmtMoney(value)}</span>
+    </div>
+  );
+}
+
+/* ── Page ─────────────────────────────────────────────────────────────────── */
+
+function PortfolioPage({ currentTimestamp }) {
+  const navigate = useNavigate();
+  const [range, setRange] = useState('1d');
+
+  // The account lives in localStorage and fills land on clock ticks, so it
+  // is re-read on every render.
+  const account    = getAccount();
+  const summary    = getAccountSummary(currentTimestamp, account);
+  const allocation = getAllocation(currentTimestamp, account);
+  const fillCount  = account.orders.filter(o => o.status === 'filled').length;
+
+  const { dayNum, marketSec } = getCurrentMarketState(currentTimestamp);
+  const currentMinute = Math.floor(marketSec / 60);
+
+  const series = useMemo(
+    () => getPortfolioSeries(range, currentTimestamp, account),
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+    [range, dayNum, currentMinute, fillCount, account.cash],
+  );
+  // ↑ recomputed on each new minute and after every fill, like StockChart
+
+  const last = series[series.length - 1];
+  const totalReturn = summary.equity - summary.startingCash;
+
+  return (
+    <div className="portfolio-page">
+      <div className="container">
+        <button className="back-button" onClick={() => navigate('/')}>
+          ← Back to Search
+        </button>
+
+        <div className="portfolio-header">
+          <div>
+            <h1>Portfolio</h1>
+            <p className="portfolio-subtitle">Paper-trading account</p>
+          </div>
+          <div className="portfolio-equity">
+            <div className="portfolio-value">{fmtMoney(summary.equity)}</div>
+            <div className={totalReturn >= 0 ? 'positive' : 'negative'}>
+              {totalReturn >= 0 ? '+' : ''}{fmtMoney(totalReturn)}{' '}
+              ({fmtSigned((totalReturn / summary.startingCash) * 100, '%')}) since start
+            </div>
+          </div>
+        </div>
+
+        <div className="stats-table">
+          <div className="stat-row">
+            <div className="stat-cell">
+              <span className="stat-label">Cash</span>
+              <span className="stat-value">{fmtMoney(summary.cash)}</span>
+            </div>
+            <div className="stat-cell">
+              <span className="stat-label">Positions</span>
+              <span className="stat-value">{fmtMoney(summary.positionsValue)}</span>
+            </div>
+            <div className="stat-cell">
+              <span className="stat-label">Unrealized P&amp;L</span>
+              <span className={`stat-value ${summary.unrealizedPnl >= 0 ? 'positive' : 'negative'}`}>
+                {fmtMoney(summary.unrealizedPnl)}
+              </span>
+            </div>
+            <div className="stat-cell">
+              <span className="stat-label">Realized P&amp;L</span>
+              <span className={`stat-value ${summary.realizedPnl >= 0 ? 'positive' : 'negative'}`}>
+                {fmtMoney(summary.realizedPnl)}
+              </span>
+            </div>
+          </div>
+        </div>
+
+        {/* Performance */}
+        <div className="chart-section">
+          <div className="chart-controls">
+            <div className="time-range-selector">
+              {PORTFOLIO_RANGES.map(r => (
+                <button key={r} className={range === r ? 'active' : ''} onClick={() => setRange(r)}>
+                  {r.toUpperCase()}
+                </button>
+              ))}
+            </div>
+            {last && (
+              <div className="performance-summary">
+                Portfolio{' '}
+                <span className={last.returnPct >= 0 ? 'positive' : 'negative'}>{fmtSigned(last.returnPct, '%')}</span>
+                {' '}vs {BENCHMARK_SYMBOL}{' '}
+                <span className={last.benchmarkPct >= 0 ? 'positive' : 'negative'}>{fmtSigned(last.benchmarkPct, '%')}</span>
+              </div>
+            )}
+          </div>
+          <PerformanceChart data={series} range={range} />
+        </div>
+
+        {/* Holdings */}
+        <div className="portfolio-section">
+          <h2>Holdings</h2>
+          {allocation.positions.length === 0 ? (
+            <p className="portfolio-empty">No open positions. Trade from any ticker page.</p>
+          ) : (
+            <table className="holdings-table">
+              <thead>
+                <tr>
+                  <th>Symbol</th>
+                  <th>Shares</th>
+                  <th>Avg cost</th>
+                  <th>Price</th>
+                  <th>Market value</th>
+                  <th>Unrealized P&amp;L</th>
+                  <th>Weight</th>
+                </tr>
+              </thead>
+              <tbody>
+                {allocation.positions.map(p => (
+                  <tr key={p.symbol} onClick={() => navigate(`/tickers/${p.symbol}`)}>
+                    <td><b>{p.symbol}</b> <span className="holding-name">{p.name}</span></td>
+                    <td>{p.quantity}</td>
+                    <td>{p.avgCost.toFixed(2)}</td>
+                    <td>{p.price.toFixed(2)}</td>
+                    <td>{fmtMoney(p.marketValue)}</td>
+                    <td className={p.unrealizedPnl >= 0 ? 'positive' : 'negative'}>
+                      {fmtMoney(p.unrealizedPnl)} ({fmtSigned((p.price / p.avgCost - 1) * 100, '%')})
+                    </td>
+                    <td>{p.weight.toFixed(1)}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Allocation */}
+        <div className="allocation-grid">
+          <div className="portfolio-section">
+            <h2>By Position</h2>
+            {allocation.positions.map(p => (
+              <AllocationRow
+                key={p.symbol}
+                label={p.symbol}
+                value={p.marketValue}
+                weight={p.weight}
+                onClick={() => navigate(`/tickers/${p.symbol}`)}
+              />
+            ))}
+            <AllocationRow label="Cash" value={allocation.cash} weight={allocation.cashWeight} />
+          </div>
+          <div className="portfolio-section">
+            <h2>By Sector</h2>
+            {allocation.sectors.map(s => (
+              <AllocationRow key={s.sector} label={s.sector} value={s.marketValue} weight={s.weight} />
+            ))}
+            <AllocationRow label="Cash" value={allocation.cash} weight={allocation.cashWeight} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PortfolioPage;
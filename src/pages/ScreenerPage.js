@@ -0,0 +1,258 @@
+import React, { useMemo, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  SCREENER_FIELDS,
+  SECTORS,
+  DEFAULT_SCREEN,
+  getScreenerRows,
+  applyScreen,
+  parseScreen,
+  screenToParams,
+  getSavedScreens,
+  saveScreen,
+  deleteSavedScreen,
+} from '../utils/screener';
+import './ScreenerPage.css';
+
+/** 2785000000000 → "2.79T", for market caps. */
+const fmtCap = (v) => {
+  if (v >= 1e12) return `${(v / 1e12).toFixed(2)}T`;
+  if (v >= 1e9)  return `${(v / 1e9).toFixed(1)}B`;
+  return `${(v / 1e6).toFixed(1)}M`;
+};
+
+const fmtSigned = (v, suffix = '') => `${v >= 0 ? '+' : ''}${v.toFixed(2)}${suffix}`;
+
+// Result table columns after Symbol and Name; `format` renders a non-null value.
+const COLUMNS = [
+  { id: 'sector',        label: 'Sector',     format: (v) => v },
+  { id: 'price',         label: 'Price',      format: (v) => v.toFixed(2) },
+  { id: 'changePct',     label: 'Change %',   format: (v) => fmtSigned(v, '%') },
+  { id: 'volume',        label: 'Volume',     format: (v) => v.toLocaleString() },
+  { id: 'marketCap',     label: 'Market Cap', format: fmtCap },
+  { id: 'peRatio',       label: 'P/E',        format: (v) => v.toFixed(2) },
+  { id: 'beta',          label: 'Beta',       format: (v) => v.toFixed(2) },
+  { id: 'dividendYield', label: 'Div Yield',  format: (v) => `${v.toFixed(2)}%` },
+];
+
+/* ── Filters ──────────────────────────────────────────────────────────────── */
+
+/* Min / max inputs for one field, in the field's display units. */
+function RangeFilter({ field, range = [null, null], onChange }) {
+  const set = (i, raw) => {
+    const next = [...range];
+    next[i] = raw === '' ? null : Number(raw);
+    onChange(next);
+  };
+  return (
+    <div className="screener-range">
+      <span className="screener-range-label">
+        {field.label}{field.unit && field.unit !== '$' ? ` (${field.unit})` : ''}
+      </span>
+      <input
+        type="number"
+        step="any"
+        placeholder="Min"
+        value={range[0] ?? ''}
+        onChange={(e) => set(0, e.target.value)}
+        aria-label={`${field.label} minimum`}
+      />
+      <span>–</span>
+      <input
+        type="number"
+        step="any"
+        placeholder="Max"
+        value={range[1] ?? ''}
+        onChange={(e) => set(1, e.target.value)}
+        aria-label={`${field.label} maximum`}
+      />
+    </div>
+  );
+}
+
+/* ── Page ─────────────────────────────────────────────────────────────────── */
+
+/*
+ * Stock screener.  The screen lives in the URL (see utils/screener), so any
+ * filtered view can be linked to; saved screens store that query string.
+ */
+function ScreenerPage({ currentTimestamp }) {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const screen = useMemo(() => parseScreen(searchParams), [searchParams]);
+  const setScreen = (next) => setSearchParams(screenToParams(next), { replace: true });
+
+  const [screenName, setScreenName] = useState('');
+  const [saveError, setSaveError]   = useState(null);
+  const [savedScreens, setSavedScreens] = useState(getSavedScreens);
+
+  // Live quotes: recomputed every tick.
+  const rows    = useMemo(() => getScreenerRows(currentTimestamp), [currentTimestamp]);
+  const results = applyScreen(rows, screen);
+
+  const toggleSector = (sector) => {
+    const sectors = screen.sectors.includes(sector)
+      ? screen.sectors.filter(s => s !== sector)
+      : [...screen.sectors, sector];
+    setScreen({ ...screen, sectors });
+  };
+
+  const setRange = (id, range) => {
+    const ranges = { ...screen.ranges };
+    if (range[0] === null && range[1] === null) delete ranges[id];
+    else ranges[id] = range;
+    setScreen({ ...screen, ranges });
+  };
+
+  // Clicking the sorted column flips the direction; another column starts
+  // descending for numbers and ascending for text.
+  const sortBy = (id) => {
+    if (screen.sort === id) setScreen({ ...screen, dir: screen.dir === 'asc' ? 'desc' : 'asc' });
+    else setScreen({ ...screen, sort: id, dir: ['symbol', 'name', 'sector'].includes(id) ? 'asc' : 'desc' });
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      saveScreen(screenName, screen);
+      setScreenName('');
+      setSaveError(null);
+    } catch (err) {
+      setSaveError(err.message);
+    }
+    setSavedScreens(getSavedScreens());
+  };
+
+  const handleDelete = (id) => {
+    deleteSavedScreen(id);
+    setSavedScreens(getSavedScreens());
+  };
+
+  const currentQuery = searchParams.toString();
+
+  const header = (id, label) => (
+    <th
+      key={id}
+      className={screen.sort === id ? 'sorted' : ''}
+      onClick={() => sortBy(id)}
+      aria-sort={screen.sort === id ? (screen.dir === 'asc' ? 'ascending' : 'descending') : 'none'}
+    >
+      {label}{screen.sort === id ? (screen.dir === 'asc' ? ' ▲' : ' ▼') : ''}
+    </th>
+  );
+
+  return (
+    <div className="screener-page">
+      <div className="container">
+        <button className="back-button" onClick={() => navigate('/')}>
+          ← Back to Search
+        </button>
+
+        <div className="screener-header">
+          <h1>Stock Screener</h1>
+          <p className="screener-subtitle">
+            {results.length} of {rows.length} stocks match
+          </p>
+        </div>
+
+        {/* Filters */}
+        <div className="screener-section">
+          <div className="screener-section-header">
+            <h2>Filters</h2>
+            <button className="screener-reset" onClick={() => setScreen(DEFAULT_SCREEN)}>Reset</button>
+          </div>
+          <div className="screener-sectors">
+            {SECTORS.map(sector => (
+              <label key={sector} className={screen.sectors.includes(sector) ? 'active' : ''}>
+                <input
+                  type="checkbox"
+                  checked={screen.sectors.includes(sector)}
+                  onChange={() => toggleSector(sector)}
+                />
+                {sector}
+              </label>
+            ))}
+          </div>
+          <div className="screener-ranges">
+            {SCREENER_FIELDS.map(field => (
+              <RangeFilter
+                key={field.id}
+                field={field}
+                range={screen.ranges[field.id]}
+                onChange={(range) => setRange(field.id, range)}
+              />
+            ))}
+          </div>
+        </div>
+
+        {/* Saved screens */}
+        <div className="screener-section">
+          <h2>Saved Screens</h2>
+          <form className="screener-save" onSubmit={handleSave}>
+            <input
+              type="text"
+              placeholder="Name this screen"
+              value={screenName}
+              onChange={(e) => setScreenName(e.target.value)}
+              aria-label="Screen name"
+            />
+            <button type="submit">Save</button>
+            {saveError && <span className="screener-error">{saveError}</span>}
+          </form>
+          {savedScreens.length > 0 && (
+            <ul className="saved-screens">
+              {savedScreens.map(s => (
+                <li key={s.id} className={s.query === currentQuery ? 'active' : ''}>
+                  <button
+                    className="saved-screen-name"
+                    onClick={() => setSearchParams(new URLSearchParams(s.query), { replace: true })}
+                  >
+                    {s.name}
+                  </button>
+                  <button className="saved-screen-delete" onClick={() => handleDelete(s.id)} aria-label={`Delete ${s.name}`}>
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Results */}
+        <div className="screener-section">
+          {results.length === 0 ? (
+            <p className="screener-empty">No stocks match these filters.</p>
+          ) : (
+            <table className="screener-table">
+              <thead>
+                <tr>
+                  {header('symbol', 'Symbol')}
+                  {header('name', 'Name')}
+                  {COLUMNS.map(c => header(c.id, c.label))}
+                </tr>
+              </thead>
+              <tbody>
+                {results.map(r => (
+                  <tr key={r.symbol} onClick={() => navigate(`/tickers/${r.symbol}`)}>
+                    <td><b>{r.symbol}</b></td>
+                    <td className="screener-name">{r.name}</td>
+                    {COLUMNS.map(c => (
+                      <td
+                        key={c.id}
+                        className={c.id === 'changePct' ? (r.changePct >= 0 ? 'positive' : 'negative') : ''}
+                      >
+                        {r[c.id] === null ? 'N/A' : c.format(r[c.id])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ScreenerPage;
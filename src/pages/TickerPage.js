@@ -1,43 +1,164 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { getTickerData } from '../data/mockData';
-import { addToWatchlist, removeFromWatchlist, isInWatchlist } from '../utils/watchlist';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { getTickerData, isIndexSymbol } from '../data/mockData';
+import { getLastExDividendDay } from '../data/corporateActions';
+import {
+  addToWatchlist,
+  removeFromWatchlist,
+  isInWatchlist,
+  getWatchlists,
+  getTargetWatchlistId,
+  setTargetWatchlist,
+} from '../utils/watchlist';
+import { getHalt } from '../utils/scenarios';
 import StockChart from '../components/StockChart';
+import OrderBook from '../components/OrderBook';
+import TimeAndSales from '../components/TimeAndSales';
+import TradePanel from '../components/TradePanel';
+import AlertsPanel from '../components/AlertsPanel';
+import FundamentalsPanel from '../components/FundamentalsPanel';
+import EarningsPanel from '../components/EarningsPanel';
+import NewsList from '../components/NewsList';
+import IndicatorControls from '../components/IndicatorControls';
+import CompareControls from '../components/CompareControls';
+import DrawingToolbar from '../components/DrawingToolbar';
+import { DEFAULT_INDICATORS } from '../utils/indicators';
+import { getDrawings, addDrawing, deleteDrawing, clearDrawings } from '../utils/drawings';
+import { getOrderBook, getTimeAndSales } from '../utils/orderBook';
+import { getNextEarnings } from '../utils/fundamentals';
+import { getSymbolNews, getMarketNews } from '../utils/news';
+import { REPORT_TIMES } from '../utils/earnings';
 import {
   getCurrentMarketState,
-  getPriceAtSecond,
+  getLastPrice,
   getPreviousClose,
-  getTodayOpen,
-  getTodayDaysRange,
-  getDayVolume,
+  getDayBar,
+  getExtendedQuote,
+  get52WeekRange,
+  getIndexConstituents,
   fmtMinuteTime,
+  fmtLongDate,
+  LONG_RANGES,
 } from '../utils/priceEngine';
 import './TickerPage.css';
 
-function TickerPage({ currentTimestamp = 0 }) {
+const TIME_RANGES = ['1d', '5d', '1m', ...Object.keys(LONG_RANGES)];
+
+const ADJUSTMENTS = [
+  { id: 'raw',   label: 'Raw' },
+  { id: 'split', label: 'Split adj.' },
+  { id: 'total', label: 'Split + div adj.' },
+];
+
+// Most symbols the chart compares against at once.
+const MAX_COMPARE = 5;
+
+/** `?compare=MSFT,GOOGL` → known symbols other than `symbol`, upper-cased, at most MAX_COMPARE. */
+function parseCompareParam(value, symbol) {
+  const symbols = [];
+  for (const raw of (value || '').split(',')) {
+    const s = raw.trim().toUpperCase();
+    if (s && s !== symbol && getTickerData(s) && !symbols.includes(s)) symbols.push(s);
+  }
+  return symbols.slice(0, MAX_COMPARE);
+}
+
+/** Header status line for a market state, e.g. "As of 11:42 AM ET" or "Market Closed · Good Friday". */
+function marketStatusLabel({ marketSec, session, holiday, earlyClose, sessionDuration }) {
+  const closeTime = fmtMinuteTime(sessionDuration / 60);
+  if (session === 'open') {
+    const asOf = `As of ${fmtMinuteTime(Math.floor(marketSec / 60))} ET`;
+    return earlyClose ? `${asOf} · Early close ${closeTime}` : asOf;
+  }
+  if (session === 'pre')  return 'Market Closed · Opens 9:30 AM ET';
+  if (session === 'post') return `Market Closed · At close ${closeTime} ET`;
+  return `Market Closed · ${holiday || 'Weekend'}`;
+}
+
+function TickerPage({ currentTimestamp }) {
   const { symbol }   = useParams();
   const navigate     = useNavigate();
   const [tickerInfo, setTickerInfo] = useState(null);
   const [timeRange,  setTimeRange]  = useState('1d');
   const [chartMode,  setChartMode]  = useState('line');
+  const [extendedHours, setExtendedHours] = useState(false);
+  const [adjustment, setAdjustment] = useState('split');
+  const [indicators, setIndicators] = useState(DEFAULT_INDICATORS);
+  const [compareError, setCompareError] = useState(null);
+
+  // The comparison set lives in the URL so a chart can be shared.
+  const [searchParams, setSearchParams] = useSearchParams();
+  const compareSymbols = useMemo(
+    () => parseCompareParam(searchParams.get('compare'), symbol),
+    [searchParams, symbol],
+  );
+  const setCompareSymbols = (list) => {
+    const next = new URLSearchParams(searchParams);
+    if (list.length) next.set('compare', list.join(','));
+    else next.delete('compare');
+    setSearchParams(next, { replace: true });
+  };
+  const addCompare = (s) => {
+    if (!getTickerData(s))               setCompareError(`Unknown symbol: ${s}`);
+    else if (s === symbol)               setCompareError(`${s} is already charted`);
+    else if (compareSymbols.includes(s)) setCompareError(`${s} is already compared`);
+    else {
+      setCompareError(null);
+      setCompareSymbols([...compareSymbols, s]);
+    }
+  };
+  const removeCompare = (s) => {
+    setCompareError(null);
+    setCompareSymbols(compareSymbols.filter(c => c !== s));
+  };
   const [inWatchlist, setInWatchlist] = useState(false);
+  const [targetList, setTargetList]   = useState(getTargetWatchlistId);
+
+  // Chart drawings, stored per symbol; re-read after every change.
+  const [drawings, setDrawings]         = useState(() => getDrawings(symbol));
+  const [drawingTool, setDrawingTool]   = useState('select');
+  const [drawingError, setDrawingError] = useState(null);
+  useEffect(() => {
+    setDrawings(getDrawings(symbol));
+    setDrawingError(null);
+  }, [symbol]);
+  const updateDrawings = (change) => {
+    try {
+      change();
+      setDrawingError(null);
+    } catch (err) {
+      setDrawingError(err.message);
+    }
+    setDrawings(getDrawings(symbol));
+  };
+
+  // Drawings are in price units, so comparison mode turns the tools off.
+  useEffect(() => {
+    if (compareSymbols.length) setDrawingTool('select');
+  }, [compareSymbols.length]);
 
   useEffect(() => {
     const info = getTickerData(symbol);
     if (!info) { navigate('/'); return; }
     setTickerInfo(info);
-    setInWatchlist(isInWatchlist(symbol));
-  }, [symbol, navigate]);
+    setInWatchlist(isInWatchlist(symbol, targetList));
+  }, [symbol, navigate, targetList]);
 
   const toggleWatchlist = () => {
-    if (inWatchlist) removeFromWatchlist(symbol);
-    else             addToWatchlist(symbol);
+    if (inWatchlist) removeFromWatchlist(symbol, targetList);
+    else             addToWatchlist(symbol, targetList);
     setInWatchlist(!inWatchlist);
   };
 
-  // getCurrentMarketState reads Date.now() — call directly; re-renders are driven
-  // by currentTimestamp prop changing every second from App.js.
-  const { dayNum, marketSec, isOpen } = getCurrentMarketState();
+  // The star adds to the chosen list, which stays the target across pages.
+  const chooseTargetList = (id) => {
+    setTargetWatchlist(id);
+    setTargetList(id);
+  };
+
+  // Market state for the simulated instant App.js passes down every tick.
+  const marketState = getCurrentMarketState(currentTimestamp);
+  const { dayNum, marketSec, isOpen, session, holiday, earlyClose, sessionDuration } = marketState;
 
   // All price-derived values — recomputed every second because currentTimestamp changes
   // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -45,48 +166,72 @@ function TickerPage({ currentTimestamp = 0 }) {
     if (!tickerInfo) return null;
     const { basePrice } = tickerInfo;
 
-    const currentPrice   = getPriceAtSecond(symbol, basePrice, dayNum, marketSec);
+    const currentPrice   = getLastPrice(symbol, basePrice, dayNum, marketSec);
     const previousClose  = getPreviousClose(symbol, basePrice, dayNum);
-    const todayOpen      = getTodayOpen(symbol, basePrice, dayNum);
+    const dayBar         = getDayBar(symbol, basePrice, dayNum, marketSec);
+    const todayOpen      = dayBar.open;
+    const daysRange      = `${dayBar.low.toFixed(2)} - ${dayBar.high.toFixed(2)}`;
+    const volume         = dayBar.volume.toLocaleString();
     const change         = +(currentPrice - previousClose).toFixed(2);
     const changePercent  = previousClose
       ? +(((currentPrice - previousClose) / previousClose) * 100).toFixed(2)
       : 0;
     const isPositive     = change >= 0;
-    const currentMinute  = Math.floor(marketSec / 60);
-    const timeLabel      = isOpen
-      ? `As of ${fmtMinuteTime(currentMinute)} ET`
-      : 'Market Closed';
+    const halt           = getHalt(symbol, marketState.unixSec);
+    const timeLabel      = halt
+      ? `Trading halted · ${halt.reason}`
+      : marketStatusLabel({ marketSec, session, holiday, earlyClose, sessionDuration });
+    const extended       = getExtendedQuote(symbol, basePrice, marketState);
 
-    // Bid / ask: spread of $0.01 on each side of current price
-    const bid = `${(currentPrice - 0.01).toFixed(2)} x 200`;
-    const ask = `${(currentPrice + 0.01).toFixed(2)} x 200`;
+    // Depth and tape at the latest quote: the regular session while it is
+    // open, otherwise the extended-hours second the header quotes.
+    const quoteDay = marketState.extendedDay ?? dayNum;
+    const quoteSec = marketState.extendedDay == null ? marketSec : marketState.extendedSec;
+    const book   = isIndexSymbol(symbol) ? null : getOrderBook(symbol, basePrice, quoteDay, quoteSec);
+    const trades = book ? getTimeAndSales(symbol, basePrice, quoteDay, quoteSec) : [];
+    const quoteSide = (price, size) => (price === null ? '—' : `${price.toFixed(2)} x ${size.toLocaleString()}`);
+    const bid = book ? quoteSide(book.bid, book.bidSize) : '—';
+    const ask = book ? quoteSide(book.ask, book.askSize) : '—';
 
     return {
-      currentPrice, previousClose, todayOpen,
-      change, changePercent, isPositive, timeLabel, bid, ask,
+      currentPrice, previousClose, todayOpen, daysRange, volume,
+      change, changePercent, isPositive, timeLabel, extended, book, trades, bid, ask,
     };
   // currentTimestamp intentionally included to trigger re-compute every second
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [symbol, tickerInfo, dayNum, marketSec, isOpen, currentTimestamp]);
+  }, [symbol, tickerInfo, dayNum, marketSec, isOpen, session, currentTimestamp]);
 
-  // Day range and volume: update each minute (expensive to recompute every second)
+  // 52-week range: update each minute (too costly every second)
   const currentMinute = Math.floor(marketSec / 60);
-  const slowData = useMemo(() => {
-    if (!tickerInfo) return null;
-    const { basePrice } = tickerInfo;
-    const daysRange = getTodayDaysRange(symbol, basePrice, dayNum, marketSec);
-    const volume    = getDayVolume(symbol, basePrice, dayNum, marketSec)
-      .toLocaleString();
-    return { daysRange, volume };
+  const weekRange52 = useMemo(() => {
+    if (!tickerInfo) return '—';
+    return get52WeekRange(symbol, tickerInfo.basePrice, dayNum, marketSec);
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [symbol, tickerInfo, dayNum, currentMinute]);
 
+  // News: stock stories, or the market feed on an index page; re-read each minute
+  const clockMinute = Math.floor(marketState.unixSec / 60);
+  const news = useMemo(
+    () => (isIndexSymbol(symbol) ? getMarketNews(marketState.unixSec) : getSymbolNews(symbol, marketState.unixSec)),
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+    [symbol, clockMinute],
+  );
+
   if (!tickerInfo || !priceData) return null;
 
-  const { currentPrice, previousClose, todayOpen, change, changePercent,
-          isPositive, timeLabel, bid, ask } = priceData;
-  const { daysRange, volume } = slowData || { daysRange: '—', volume: '—' };
+  const isIndex = isIndexSymbol(symbol);
+  const fmtQuote = (price) => (isIndex ? price.toFixed(2) : `$${price.toFixed(2)}`);
+
+  const lastExDiv      = getLastExDividendDay(symbol, dayNum);
+  const exDividendDate = lastExDiv === null ? 'N/A' : fmtLongDate(lastExDiv);
+
+  const nextEarnings = getNextEarnings(symbol, marketState.unixSec);
+  const earningsDate = nextEarnings
+    ? `${fmtLongDate(nextEarnings.reportDay)} · ${REPORT_TIMES[nextEarnings.time].label}`
+    : 'N/A';
+
+  const { currentPrice, previousClose, todayOpen, daysRange, volume, change,
+          changePercent, isPositive, timeLabel, extended, book, trades, bid, ask } = priceData;
 
   return (
     <div className="ticker-page">
@@ -102,26 +247,47 @@ function TickerPage({ currentTimestamp = 0 }) {
             <p className="company-name">{tickerInfo.name}</p>
           </div>
           <div className="price-info">
-            <div className="current-price">${currentPrice.toFixed(2)}</div>
+            <div className="current-price">{fmtQuote(currentPrice)}</div>
             <div className={`price-change ${isPositive ? 'positive' : 'negative'}`}>
               {isPositive ? '+' : ''}{change} ({isPositive ? '+' : ''}{changePercent}%)
             </div>
             <div className="current-time">{timeLabel}</div>
+            {extended && (
+              <div className="extended-quote">
+                {extended.label}: {fmtQuote(extended.price)}{' '}
+                <span className={extended.change >= 0 ? 'positive' : 'negative'}>
+                  ({extended.change >= 0 ? '+' : ''}{extended.changePercent}%)
+                </span>
+              </div>
+            )}
           </div>
         </div>
 
-        <button
-          className={`watchlist-btn ${inWatchlist ? 'active' : ''}`}
-          onClick={toggleWatchlist}
-        >
-          {inWatchlist ? '★ Remove from Watchlist' : '☆ Add to Watchlist'}
-        </button>
+        <div className="watchlist-controls">
+          <button
+            className={`watchlist-btn ${inWatchlist ? 'active' : ''}`}
+            onClick={toggleWatchlist}
+          >
+            {inWatchlist ? '★ Remove from Watchlist' : '☆ Add to Watchlist'}
+          </button>
+          <select
+            className="watchlist-target"
+            value={targetList}
+            onChange={(e) => chooseTargetList(Number(e.target.value))}
+            aria-label="Watchlist"
+          >
+            {getWatchlists().map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+          </select>
+          <button className="options-link" onClick={() => navigate(`/tickers/${symbol}/options`)}>
+            Options chain →
+          </button>
+        </div>
 
         {/* Chart section */}
         <div className="chart-section">
           <div className="chart-controls">
             <div className="time-range-selector">
-              {['1d', '5d', '1m'].map(r => (
+              {TIME_RANGES.map(r => (
                 <button
                   key={r}
                   className={timeRange === r ? 'active' : ''}
@@ -131,99 +297,203 @@ function TickerPage({ currentTimestamp = 0 }) {
                 </button>
               ))}
             </div>
+            {timeRange === '1d' && (
+              <label className="extended-toggle">
+                <input
+                  type="checkbox"
+                  checked={extendedHours}
+                  onChange={(e) => setExtendedHours(e.target.checked)}
+                />
+                Extended hours
+              </label>
+            )}
+            {!isIndex && (
+              <div className="chart-mode-toggle">
+                {ADJUSTMENTS.map(a => (
+                  <button
+                    key={a.id}
+                    className={adjustment === a.id ? 'active' : ''}
+                    onClick={() => setAdjustment(a.id)}
+                  >
+                    {a.label}
+                  </button>
+                ))}
+              </div>
+            )}
             <div className="chart-mode-toggle">
               <button className={chartMode === 'line'        ? 'active' : ''} onClick={() => setChartMode('line')}>Line</button>
               <button className={chartMode === 'candlestick' ? 'active' : ''} onClick={() => setChartMode('candlestick')}>Candle</button>
             </div>
           </div>
 
+          <IndicatorControls value={indicators} onChange={setIndicators} />
+          <CompareControls
+            symbols={compareSymbols}
+            max={MAX_COMPARE}
+            onAdd={addCompare}
+            onRemove={removeCompare}
+            error={compareError}
+          />
+          <DrawingToolbar
+            tool={drawingTool}
+            onToolChange={setDrawingTool}
+            count={drawings.length}
+            onClear={() => updateDrawings(() => clearDrawings(symbol))}
+            error={drawingError}
+            disabled={compareSymbols.length > 0}
+          />
+
           <StockChart
             symbol={symbol}
             basePrice={tickerInfo.basePrice}
             timeRange={timeRange}
             chartMode={chartMode}
+            extendedHours={extendedHours}
+            adjustment={adjustment}
+            indicators={indicators}
+            compareSymbols={compareSymbols}
+            drawings={drawings}
+            drawingTool={drawingTool}
+            onDrawingToolChange={setDrawingTool}
+            onAddDrawing={(d) => updateDrawings(() => addDrawing(symbol, d))}
+            onDeleteDrawing={(id) => updateDrawings(() => deleteDrawing(symbol, id))}
             currentTimestamp={currentTimestamp}
           />
         </div>
 
         {/* Stats table */}
-        <div className="stats-table">
-          <div className="stat-row">
-            <div className="stat-cell">
-              <span className="stat-label">Previous Close</span>
-              <span className="stat-value">{previousClose.toFixed(2)}</span>
-            </div>
-            <div className="stat-cell">
-              <span className="stat-label">Day's Range</span>
-              <span className="stat-value">{daysRange}</span>
+        {isIndex ? (
+          <div className="stats-table index-stats">
+            <div className="stat-row">
+              <div className="stat-cell">
+                <span className="stat-label">Previous Close</span>
+                <span className="stat-value">{previousClose.toFixed(2)}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">Day's Range</span>
+                <span className="stat-value">{daysRange}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">Volume</span>
+                <span className="stat-value">{volume}</span>
+              </div>
             </div>
-            <div className="stat-cell">
-              <span className="stat-label">Market Cap</span>
-              <span className="stat-value">{tickerInfo.marketCap}</span>
-            </div>
-            <div className="stat-cell">
-              <span className="stat-label">Earnings Date</span>
-              <span className="stat-value">{tickerInfo.earningsDate}</span>
-            </div>
-          </div>
 
-          <div className="stat-row">
-            <div className="stat-cell">
-              <span className="stat-label">Open</span>
-              <span className="stat-value">{todayOpen.toFixed(2)}</span>
-            </div>
-            <div className="stat-cell">
-              <span className="stat-label">52 Week Range</span>
-              <span className="stat-value">{tickerInfo.weekRange52}</span>
-            </div>
-            <div className="stat-cell">
-              <span className="stat-label">Beta (5Y Monthly)</span>
-              <span className="stat-value">{tickerInfo.beta}</span>
-            </div>
-            <div className="stat-cell">
-              <span className="stat-label">Forward Dividend</span>
-              <span className="stat-value">{tickerInfo.forwardDividend}</span>
+            <div className="stat-row">
+              <div className="stat-cell">
+                <span className="stat-label">Open</span>
+                <span className="stat-value">{todayOpen.toFixed(2)}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">52 Week Range</span>
+                <span className="stat-value">{weekRange52}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">Constituents</span>
+                <span className="stat-value">
+                  {getIndexConstituents(symbol).length}
+                  {tickerInfo.weighting === 'cap' ? ' · Cap-weighted' : ' · Equal-weighted'}
+                </span>
+              </div>
             </div>
           </div>
-
-          <div className="stat-row">
-            <div className="stat-cell">
-              <span className="stat-label">Bid</span>
-              <span className="stat-value">{bid}</span>
+        ) : (
+          <div className="stats-table">
+            <div className="stat-row">
+              <div className="stat-cell">
+                <span className="stat-label">Previous Close</span>
+                <span className="stat-value">{previousClose.toFixed(2)}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">Day's Range</span>
+                <span className="stat-value">{daysRange}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">Market Cap</span>
+                <span className="stat-value">{tickerInfo.marketCap}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">Earnings Date</span>
+                <span className="stat-value">{earningsDate}</span>
+              </div>
             </div>
-            <div className="stat-cell">
-              <span className="stat-label">Volume</span>
-              <span className="stat-value">{volume}</span>
+
+            <div className="stat-row">
+              <div className="stat-cell">
+                <span className="stat-label">Open</span>
+                <span className="stat-value">{todayOpen.toFixed(2)}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">52 Week Range</span>
+                <span className="stat-value">{weekRange52}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">Beta (5Y Monthly)</span>
+                <span className="stat-value">{tickerInfo.beta}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">Forward Dividend</span>
+                <span className="stat-value">{tickerInfo.forwardDividend}</span>
+              </div>
             </div>
-            <div className="stat-cell">
-              <span className="stat-label">PE Ratio (TTM)</span>
-              <span className="stat-value">{tickerInfo.peRatio}</span>
+
+            <div className="stat-row">
+              <div className="stat-cell">
+                <span className="stat-label">Bid</span>
+                <span className="stat-value">{bid}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">Volume</span>
+                <span className="stat-value">{volume}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">PE Ratio (TTM)</span>
+                <span className="stat-value">{tickerInfo.peRatio}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">Ex-Dividend Date</span>
+                <span className="stat-value">{exDividendDate}</span>
+              </div>
             </div>
-            <div className="stat-cell">
-              <span className="stat-label">Ex-Dividend Date</span>
-              <span className="stat-value">{tickerInfo.exDividendDate}</span>
+
+            <div className="stat-row">
+              <div className="stat-cell">
+                <span className="stat-label">Ask</span>
+                <span className="stat-value">{ask}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">Avg. Volume</span>
+                <span className="stat-value">{tickerInfo.avgVolume}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">EPS (TTM)</span>
+                <span className="stat-value">{tickerInfo.eps}</span>
+              </div>
+              <div className="stat-cell">
+                <span className="stat-label">1y Target Est</span>
+                <span className="stat-value">{tickerInfo.targetEst}</span>
+              </div>
             </div>
           </div>
+        )}
 
-          <div className="stat-row">
-            <div className="stat-cell">
-              <span className="stat-label">Ask</span>
-              <span className="stat-value">{ask}</span>
-            </div>
-            <div className="stat-cell">
-              <span className="stat-label">Avg. Volume</span>
-              <span className="stat-value">{tickerInfo.avgVolume}</span>
-            </div>
-            <div className="stat-cell">
-              <span className="stat-label">EPS (TTM)</span>
-              <span className="stat-value">{tickerInfo.eps}</span>
-            </div>
-            <div className="stat-cell">
-              <span className="stat-label">1y Target Est</span>
-              <span className="stat-value">{tickerInfo.targetEst}</span>
-            </div>
+        {/* Level 2 depth and time & sales */}
+        {book && (
+          <div className="depth-section">
+            <OrderBook book={book} />
+            <TimeAndSales trades={trades} />
           </div>
-        </div>
+        )}
+
+        <NewsList title={isIndex ? 'Market News' : `${symbol} News`} articles={news} />
+
+        {!isIndex && <EarningsPanel symbol={symbol} currentTimestamp={currentTimestamp} />}
+
+        {!isIndex && <FundamentalsPanel symbol={symbol} currentTimestamp={currentTimestamp} />}
+
+        {!isIndex && <TradePanel symbol={symbol} currentTimestamp={currentTimestamp} />}
+
+        <AlertsPanel symbol={symbol} currentTimestamp={currentTimestamp} />
       </div>
     </div>
   );
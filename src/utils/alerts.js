@@ -0,0 +1,260 @@
+/* ─── alerts.js ─────────────────────────────────────────────────────────────
+ * Price alerts and the notification history, persisted in localStorage
+ * next to the watchlists.
+ *
+ * Alert types (each fires once, then stays in the list as triggered):
+ *   above    price at or above `value`
+ *   below    price at or below `value`
+ *   change   change from the previous close reaches `value` percent
+ *            (+3 fires at +3% or more, -2 at -2% or less)
+ *   volume   a minute's volume reaches `value` times the average of the
+ *            previous 20 minutes (from 9:50 AM on); fires on the minute's
+ *            last second
+ *
+ * evaluateAlerts(), called on every clock tick, checks every regular-session
+ * second since the last call, so an alert fires at the exact second its
+ * condition is first met after it was created — the same second on every
+ * run, since the engine is deterministic.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+import { nowSec } from './clock';
+import { getTickerData } from '../data/mockData';
+import {
+  getPriceAtSecond,
+  getMinuteBar,
+  getDaySeries,
+  getPreviousClose,
+  fmtMarketTime,
+  MARKET_OPEN_SEC,
+} from './priceEngine';
+import { isTradingDay, getSessionDuration } from './tradingCalendar';
+
+const KEY = 'stock_alerts';
+
+export const ALERT_TYPES = ['above', 'below', 'change', 'volume'];
+
+const MAX_NOTIFICATIONS = 200;
+
+// Minutes whose sampled range comes within this fraction of an alert's
+// level are checked second by second; others are skipped.
+const SCAN_MARGIN = 0.005;
+
+// Volume spikes compare a minute with the average of this many before it.
+const VOLUME_LOOKBACK = 20;
+
+/* ── Storage ──────────────────────────────────────────────────────────────── */
+
+function newState() {
+  return {
+    alerts: [],         // oldest first
+    notifications: [],  // newest first
+    nextId: 1,
+    processedAt: null,
+  };
+}
+
+function load() {
+  try {
+    const data = localStorage.getItem(KEY);
+    return data ? JSON.parse(data) : newState();
+  } catch (e) {
+    return newState();
+  }
+}
+
+function save(state) {
+  localStorage.setItem(KEY, JSON.stringify(state));
+}
+
+/* ── Rules ────────────────────────────────────────────────────────────────── */
+
+/** "Above 180.00", "Change ≥ +3%", "Volume 3× average", … */
+export function describeAlert({ type, value }) {
+  if (type === 'above')  return `Above ${value.toFixed(2)}`;
+  if (type === 'below')  return `Below ${value.toFixed(2)}`;
+  if (type === 'change') return `Change ${value >= 0 ? '≥ +' : '≤ '}${value}%`;
+  return `Volume ${value}× average`;
+}
+
+/** Every alert, optionally only those for one symbol. */
+export function getAlerts(symbol) {
+  const { alerts } = load();
+  return symbol ? alerts.filter(a => a.symbol === symbol) : alerts;
+}
+
+/**
+ * Create an alert, armed from `unixSec` on.  Throws if the symbol, type or
+ * value is invalid.
+ *
+ * @param {{ symbol, type: 'above'|'below'|'change'|'volume', value: number }} rule
+ * @param {number} [unixSec]  market-local epoch seconds; defaults to the clock
+ * @returns {object} the stored alert
+ */
+export function createAlert({ symbol, type, value }, unixSec = nowSec()) {
+  if (!getTickerData(symbol))       throw new Error(`Unknown symbol: ${symbol}`);
+  if (!ALERT_TYPES.includes(type))  throw new Error(`Unknown alert type: ${type}`);
+  if (!Number.isFinite(value))      throw new Error('Alert value must be a number');
+  if ((type === 'above' || type === 'below') && value <= 0) throw new Error('Price must be greater than 0');
+  if (type === 'change' && (value === 0 || value <= -100)) {
+    throw new Error('Change must be non-zero and above -100%');
+  }
+  if (type === 'volume' && value <= 1) throw new Error('Volume multiple must be greater than 1');
+
+  const state = load();
+  const alert = {
+    id: state.nextId++,
+    symbol, type, value,
+    createdAt: unixSec,
+    firedAt: null,
+  };
+  state.alerts.push(alert);
+  if (state.processedAt === null) state.processedAt = unixSec;
+  save(state);
+  return alert;
+}
+
+export function deleteAlert(id) {
+  const state = load();
+  state.alerts = state.alerts.filter(a => a.id !== id);
+  save(state);
+}
+
+/* ── Evaluation ───────────────────────────────────────────────────────────── */
+
+/** Price level an alert is watching on one day (change alerts move with the previous close). */
+function alertLevel(alert, basePrice, dayNum) {
+  if (alert.type !== 'change') return alert.value;
+  return getPreviousClose(alert.symbol, basePrice, dayNum) * (1 + alert.value / 100);
+}
+
+const firesAbove = (alert) => alert.type === 'above' || (alert.type === 'change' && alert.value > 0);
+
+/** First second of one minute, within [first, last], at which a price alert fires; or null. */
+function scanMinute(alert, basePrice, dayNum, m, first, last, level) {
+  const bar = getMinuteBar(alert.symbol, basePrice, dayNum, m);
+  const up  = firesAbove(alert);
+  if (up ? bar.high * (1 + SCAN_MARGIN) < level : bar.low * (1 - SCAN_MARGIN) > level) return null;
+  for (let sec = Math.max(first, m * 60); sec <= Math.min(last, m * 60 + 59); sec++) {
+    const price = getPriceAtSecond(alert.symbol, basePrice, dayNum, sec);
+    if (up ? price >= level : price <= level) return { sec, price };
+  }
+  return null;
+}
+
+/** Last second of minute `m` if its volume is a spike for the alert; or null. */
+function volumeSpike(alert, basePrice, dayNum, m) {
+  if (m < VOLUME_LOOKBACK) return null;
+  const { cumVolume } = getDaySeries(alert.symbol, basePrice, dayNum, m);
+  const before  = m > VOLUME_LOOKBACK ? cumVolume[m - 1 - VOLUME_LOOKBACK] : 0;
+  const average = (cumVolume[m - 1] - before) / VOLUME_LOOKBACK;
+  const volume  = cumVolume[m] - cumVolume[m - 1];
+  if (!(average > 0) || volume < alert.value * average) return null;
+  return { sec: m * 60 + 59, volume, average: Math.round(average) };
+}
+
+/**
+ * First regular-session second in (fromSec, toSec] at which an alert fires,
+ * or null.
+ * @returns {{ unixSec, price?, volume?, average? } | null}
+ */
+function findTrigger(alert, fromSec, toSec) {
+  const { basePrice } = getTickerData(alert.symbol);
+  for (let day = Math.floor((fromSec + 1) / 86400); day <= Math.floor(toSec / 86400); day++) {
+    if (!isTradingDay(day)) continue;
+    const open  = day * 86400 + MARKET_OPEN_SEC;
+    const first = Math.max(fromSec + 1, open) - open;
+    const last  = Math.min(toSec, open + getSessionDuration(day) - 1) - open;
+    if (first > last) continue;
+    const level = alertLevel(alert, basePrice, day);
+    for (let m = Math.floor(first / 60); m <= Math.floor(last / 60); m++) {
+      if (alert.type === 'volume') {
+        const hit = m * 60 + 59 <= last && volumeSpike(alert, basePrice, day, m);
+        if (hit) return { ...hit, unixSec: open + hit.sec };
+      } else {
+        const hit = scanMinute(alert, basePrice, day, m, first, last, level);
+        if (hit) return { ...hit, unixSec: open + hit.sec };
+      }
+    }
+  }
+  return null;
+}
+
+/** Notification text for a fired alert. */
+function notificationMessage(alert, trigger) {
+  const time = fmtMarketTime(trigger.unixSec % 86400 - MARKET_OPEN_SEC);
+  if (alert.type === 'volume') {
+    return `${alert.symbol} volume spike: ${trigger.volume.toLocaleString()} shares in a minute ` +
+      `(${(trigger.volume / trigger.average).toFixed(1)}× the ${trigger.average.toLocaleString()} average) at ${time}`;
+  }
+  const { basePrice } = getTickerData(alert.symbol);
+  const prevClose = getPreviousClose(alert.symbol, basePrice, Math.floor(trigger.unixSec / 86400));
+  const change    = ((trigger.price - prevClose) / prevClose) * 100;
+  const verb      = firesAbove(alert) ? 'rose' : 'fell';
+  const what      = alert.type === 'change'
+    ? `${verb} ${change >= 0 ? '+' : ''}${change.toFixed(2)}% from the previous close`
+    : `${verb} ${alert.type} ${alert.value.toFixed(2)}`;
+  return `${alert.symbol} ${what} (${trigger.price.toFixed(2)}) at ${time}`;
+}
+
+/**
+ * Fire alerts for everything that traded since the last call, up to
+ * `unixSec`.  If the clock has moved backwards, evaluation restarts from
+ * the new time; alerts that already fired stay fired.
+ *
+ * @param {number} [unixSec]  market-local epoch seconds; defaults to the clock
+ * @returns {object[]} notifications created in this pass, oldest first
+ */
+export function evaluateAlerts(unixSec = nowSec()) {
+  const state = load();
+  if (state.processedAt === null || unixSec <= state.processedAt) {
+    if (unixSec !== state.processedAt) {
+      state.processedAt = unixSec;
+      save(state);
+    }
+    return [];
+  }
+
+  const fired = [];
+  for (const alert of state.alerts) {
+    if (alert.firedAt !== null || alert.createdAt >= unixSec) continue;
+    const trigger = findTrigger(alert, Math.max(state.processedAt, alert.createdAt), unixSec);
+    if (trigger) fired.push({ alert, trigger });
+  }
+
+  fired.sort((a, b) => a.trigger.unixSec - b.trigger.unixSec || a.alert.id - b.alert.id);
+  const created = fired.map(({ alert, trigger }) => {
+    alert.firedAt = trigger.unixSec;
+    return {
+      id: state.nextId++,
+      alertId: alert.id,
+      symbol: alert.symbol,
+      message: notificationMessage(alert, trigger),
+      firedAt: trigger.unixSec,
+      read: false,
+    };
+  });
+
+  state.notifications = [...created].reverse().concat(state.notifications).slice(0, MAX_NOTIFICATIONS);
+  state.processedAt = unixSec;
+  save(state);
+  return created;
+}
+
+/* ── Notifications ────────────────────────────────────────────────────────── */
+
+/** Notification history, newest first. */
+export function getNotifications() {
+  return load().notifications;
+}
+
+export function markNotificationsRead() {
+  const state = load();
+  state.notifications.forEach(n => { n.read = true; });
+  save(state);
+}
+
+export function clearNotifications() {
+  const state = load();
+  state.notifications = [];
+  save(state);
+}
@@ -0,0 +1,88 @@
+import { createAlert, evaluateAlerts, getAlerts, getNotifications } from './alerts';
+import { getPriceAtSecond, getPreviousClose, SIMULATED_DAY_NUM } from './priceEngine';
+import { STOCK_DATA } from '../data/mockData';
+
+// Fri Feb 20, 2026 — a regular trading day.
+const DAY = SIMULATED_DAY_NUM;
+const at = (h, m, s = 0) => DAY * 86400 + (h * 60 + m) * 60 + s;
+
+const priceAt = (symbol, unixSec) =>
+  getPriceAtSecond(symbol, STOCK_DATA[symbol].basePrice, DAY, unixSec - at(9, 30));
+
+const firedAt = (alert) => getAlerts().find(a => a.id === alert.id).firedAt;
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('firing seconds', () => {
+  // AAPL closed at 179.27 on Thursday; at 10:00 it trades at 180.50.
+  const RULES = [
+    [{ symbol: 'AAPL', type: 'above',  value: 182.5 }, at(11, 38, 47)],
+    [{ symbol: 'AAPL', type: 'below',  value: 179 },   at(10, 19, 47)],
+    [{ symbol: 'AAPL', type: 'change', value: 2 },     at(11, 40, 56)],
+    [{ symbol: 'AAPL', type: 'change', value: -1 },    at(10, 40, 10)],
+    [{ symbol: 'INTC', type: 'volume', value: 2 },     at(14, 57, 59)],
+  ];
+
+  test('the rules start from Thursday\'s close and the 10:00 price', () => {
+    expect(getPreviousClose('AAPL', STOCK_DATA.AAPL.basePrice, DAY)).toBe(179.27);
+    expect(priceAt('AAPL', at(10, 0))).toBe(180.5);
+  });
+
+  test.each(RULES)('%o fires at the pinned second', (rule, expected) => {
+    const alert = createAlert(rule, at(10, 0));
+    const [notification] = evaluateAlerts(at(16, 0));
+    expect(firedAt(alert)).toBe(expected);
+    expect(notification).toMatchObject({ alertId: alert.id, firedAt: expected, read: false });
+  });
+
+  test('price alerts fire on the first second the price crosses', () => {
+    const prevClose = getPreviousClose('AAPL', STOCK_DATA.AAPL.basePrice, DAY);
+    const crossed = {
+      above:  (p) => p >= 182.5,
+      below:  (p) => p <= 179,
+      change: (p) => p >= prevClose * 1.02,
+    };
+    RULES.slice(0, 3).forEach(([rule, expected]) => {
+      expect(crossed[rule.type](priceAt('AAPL', expected))).toBe(true);
+      expect(crossed[rule.type](priceAt('AAPL', expected - 1))).toBe(false);
+    });
+  });
+
+  test('evaluating tick by tick fires at the same seconds as one pass', () => {
+    const alerts = RULES.map(([rule]) => createAlert(rule, at(10, 0)));
+    for (let t = at(10, 0); t < at(16, 0); t += 97) evaluateAlerts(t);
+    evaluateAlerts(at(16, 0));
+    expect(alerts.map(firedAt)).toEqual(RULES.map(([, expected]) => expected));
+    expect(getNotifications().map(n => n.firedAt)).toEqual(RULES.map(([, expected]) => expected).sort((a, b) => b - a));
+  });
+});
+
+describe('clock rewind', () => {
+  test('moving backwards restarts evaluation from the new time without firing', () => {
+    const alert = createAlert({ symbol: 'AAPL', type: 'above', value: 182.5 }, at(10, 0));
+    evaluateAlerts(at(11, 0));
+    expect(evaluateAlerts(at(10, 0))).toEqual([]);
+    expect(JSON.parse(localStorage.getItem('stock_alerts')).processedAt).toBe(at(10, 0));
+
+    evaluateAlerts(at(12, 0));
+    expect(firedAt(alert)).toBe(at(11, 38, 47));
+  });
+
+  test('alerts that fired stay fired, and new ones fire again on the replay', () => {
+    const first = createAlert({ symbol: 'AAPL', type: 'below', value: 179 }, at(10, 0));
+    evaluateAlerts(at(11, 0));
+    expect(firedAt(first)).toBe(at(10, 19, 47));
+
+    // Reloaded at 10:00 with a new alert on the same level.
+    evaluateAlerts(at(10, 0));
+    const second = createAlert({ symbol: 'AAPL', type: 'below', value: 179 }, at(10, 0));
+    const created = evaluateAlerts(at(10, 30));
+
+    expect(created.map(n => n.alertId)).toEqual([second.id]);
+    expect(firedAt(second)).toBe(at(10, 19, 47));
+    expect(firedAt(first)).toBe(at(10, 19, 47));
+    expect(getNotifications()).toHaveLength(2);
+  });
+});
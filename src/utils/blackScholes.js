@@ -0,0 +1,114 @@
+/* ─── blackScholes.js ───────────────────────────────────────────────────────
+ * Black-Scholes-Merton pricing for European options on a stock with a
+ * continuous dividend yield, with the Greeks and an implied-volatility
+ * solver.  Pure functions of their inputs; the simulated chains in
+ * options.js are built on them.
+ *
+ * Inputs are annualized: `years` to expiry, `rate` and `dividendYield` as
+ * continuously compounded decimals, `vol` as a decimal (0.25 = 25%).
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+/* ── Normal distribution ──────────────────────────────────────────────────── */
+
+const INV_SQRT_2PI = 1 / Math.sqrt(2 * Math.PI);
+
+/** Standard normal density. */
+export function normPdf(x) {
+  return INV_SQRT_2PI * Math.exp(-0.5 * x * x);
+}
+
+/**
+ * Standard normal cumulative distribution, from the complementary error
+ * function (Numerical Recipes' erfc Chebyshev fit, |error| < 1.2e-7).
+ */
+export function normCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.5 * z);
+  const erfc = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 +
+    t * (0.09678418 + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 +
+    t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? 1 - erfc / 2 : erfc / 2;
+}
+
+/* ── Pricing ──────────────────────────────────────────────────────────────── */
+
+/**
+ * Price and Greeks of a European call or put.
+ *
+ * `theta` is the value lost per calendar day and `vega` the change for one
+ * volatility point (1%), the way option chains quote them.  At or past
+ * expiry, or with zero volatility, the option is worth its discounted
+ * intrinsic value and only delta is non-zero.
+ *
+ * @param {'call'|'put'} type
+ * @param {{ spot: number, strike: number, years: number, rate: number,
+ *           vol: number, dividendYield?: number }} inputs
+ * @returns {{ price, delta, gamma, theta, vega }}
+ */
+export function blackScholes(type, { spot, strike, years, rate, vol, dividendYield = 0 }) {
+  const isCall  = type === 'call';
+  const discR   = Math.exp(-rate * Math.max(years, 0));
+  const discQ   = Math.exp(-dividendYield * Math.max(years, 0));
+  const forward = spot * discQ;
+
+  if (years <= 0 || vol <= 0) {
+    const intrinsic = isCall ? forward - strike * discR : strike * discR - forward;
+    const inMoney   = intrinsic > 0;
+    return {
+      price: Math.max(0, intrinsic),
+      delta: inMoney ? (isCall ? discQ : -discQ) : 0,
+      gamma: 0, theta: 0, vega: 0,
+    };
+  }
+
+  const sqrtT = Math.sqrt(years);
+  const d1 = (Math.log(spot / strike) + (rate - dividendYield + vol * vol / 2) * years) / (vol * sqrtT);
+  const d2 = d1 - vol * sqrtT;
+  const pdf1 = normPdf(d1);
+
+  const price = isCall
+    ? forward * normCdf(d1) - strike * discR * normCdf(d2)
+    : strike * discR * normCdf(-d2) - forward * normCdf(-d1);
+  const delta = isCall ? discQ * normCdf(d1) : -discQ * normCdf(-d1);
+  const gamma = discQ * pdf1 / (spot * vol * sqrtT);
+  const vega  = forward * pdf1 * sqrtT;
+
+  // Annual theta: time decay, plus the carry of the strike and dividends.
+  const decay = -forward * pdf1 * vol / (2 * sqrtT);
+  const theta = isCall
+    ? decay - rate * strike * discR * normCdf(d2) + dividendYield * forward * normCdf(d1)
+    : decay + rate * strike * discR * normCdf(-d2) - dividendYield * forward * normCdf(-d1);
+
+  return { price, delta, gamma, theta: theta / 365, vega: vega / 100 };
+}
+
+/* ── Implied volatility ───────────────────────────────────────────────────── */
+
+const IV_MIN = 1e-4;
+const IV_MAX = 5;
+const IV_TOLERANCE = 1e-6;
+
+/**
+ * Volatility at which blackScholes reproduces `price`, by bisection (the
+ * price rises monotonically with volatility).  Returns null when no
+ * volatility in (0, 500%] fits: a price below the no-arbitrage floor, above
+ * the ceiling, or at expiry.
+ *
+ * @param {'call'|'put'} type
+ * @param {number} price
+ * @param {{ spot, strike, years, rate, dividendYield? }} inputs
+ * @returns {number|null}
+ */
+export function impliedVolatility(type, price, inputs) {
+  if (inputs.years <= 0) return null;
+  const at = (vol) => blackScholes(type, { ...inputs, vol }).price;
+  let lo = IV_MIN, hi = IV_MAX;
+  if (price < at(lo) || price > at(hi)) return null;
+
+  for (let i = 0; i < 100 && hi - lo > IV_TOLERANCE; i++) {
+    const mid = (lo + hi) / 2;
+    if (at(mid) < price) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
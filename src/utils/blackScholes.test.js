@@ -0,0 +1,97 @@
+import { blackScholes, impliedVolatility, normCdf, normPdf } from './blackScholes';
+
+// Hull, Options, Futures, and Other Derivatives: examples 15.6 and 19.1–19.6.
+const HULL_PRICE  = { spot: 42, strike: 40, years: 0.5, rate: 0.1, vol: 0.2 };
+const HULL_GREEKS = { spot: 49, strike: 50, years: 20 / 52, rate: 0.05, vol: 0.2 };
+
+describe('normCdf', () => {
+  test('matches standard normal tables', () => {
+    expect(normCdf(0)).toBeCloseTo(0.5, 7);
+    expect(normCdf(1.96)).toBeCloseTo(0.975, 4);
+    expect(normCdf(-1)).toBeCloseTo(0.158655, 6);
+  });
+
+  test('has normPdf as its slope', () => {
+    const h = 0.01;
+    for (const x of [-2, -0.5, 0, 0.7, 1.5]) {
+      expect((normCdf(x + h) - normCdf(x - h)) / (2 * h)).toBeCloseTo(normPdf(x), 4);
+    }
+  });
+});
+
+describe('blackScholes', () => {
+  test('reproduces the reference prices', () => {
+    expect(blackScholes('call', HULL_PRICE).price).toBeCloseTo(4.7594, 3);
+    expect(blackScholes('put', HULL_PRICE).price).toBeCloseTo(0.8086, 3);
+  });
+
+  test('satisfies put-call parity, with and without dividends', () => {
+    for (const dividendYield of [0, 0.03]) {
+      for (const strike of [30, 40, 55]) {
+        const inputs = { ...HULL_PRICE, strike, dividendYield };
+        const call = blackScholes('call', inputs).price;
+        const put  = blackScholes('put', inputs).price;
+        const forward = inputs.spot * Math.exp(-dividendYield * inputs.years);
+        expect(call - put).toBeCloseTo(forward - strike * Math.exp(-inputs.rate * inputs.years), 6);
+      }
+    }
+  });
+
+  test('reproduces the reference Greeks, theta per day and vega per point', () => {
+    const g = blackScholes('call', HULL_GREEKS);
+    expect(g.delta).toBeCloseTo(0.522, 3);
+    expect(g.gamma).toBeCloseTo(0.066, 3);
+    expect(g.theta).toBeCloseTo(-4.31 / 365, 4);
+    expect(g.vega).toBeCloseTo(0.121, 3);
+  });
+
+  test.each(['call', 'put'])('%s Greeks are the price derivatives', (type) => {
+    const inputs = { ...HULL_GREEKS, dividendYield: 0.02 };
+    const price  = (over) => blackScholes(type, { ...inputs, ...over }).price;
+    const g = blackScholes(type, inputs);
+    // Steps wide enough that normCdf's 1e-7 error doesn't swamp the difference.
+    const dS = 0.5, dT = 1 / 365, dV = 0.01;
+
+    expect((price({ spot: inputs.spot + dS }) - price({ spot: inputs.spot - dS })) / (2 * dS)).toBeCloseTo(g.delta, 3);
+    expect((price({ spot: inputs.spot + dS }) - 2 * g.price + price({ spot: inputs.spot - dS })) / (dS * dS))
+      .toBeCloseTo(g.gamma, 4);
+    expect(price({ years: inputs.years - dT }) - g.price).toBeCloseTo(g.theta, 4);
+    expect((price({ vol: inputs.vol + dV }) - price({ vol: inputs.vol - dV })) / (2 * dV) / 100).toBeCloseTo(g.vega, 4);
+  });
+
+  test('is the discounted intrinsic value at expiry or with zero volatility', () => {
+    expect(blackScholes('call', { ...HULL_PRICE, years: 0 })).toEqual({ price: 2, delta: 1, gamma: 0, theta: 0, vega: 0 });
+    expect(blackScholes('put', { ...HULL_PRICE, years: 0 })).toEqual({ price: 0, delta: 0, gamma: 0, theta: 0, vega: 0 });
+
+    const flat = blackScholes('call', { ...HULL_PRICE, vol: 0 });
+    expect(flat.price).toBeCloseTo(42 - 40 * Math.exp(-0.05), 10);
+    expect(flat.delta).toBe(1);
+  });
+});
+
+describe('impliedVolatility', () => {
+  // Far from the money at low volatility vega vanishes and the price no
+  // longer pins the volatility down, so the strikes stay within ~20% of spot.
+  test.each([
+    ['call', 35], ['call', 40], ['call', 48],
+    ['put', 35], ['put', 40], ['put', 48],
+  ])('recovers the volatility behind a %s price at strike %d', (type, strike) => {
+    for (const vol of [0.15, 0.3, 0.8, 2]) {
+      const inputs = { ...HULL_PRICE, strike, dividendYield: 0.01 };
+      const price  = blackScholes(type, { ...inputs, vol }).price;
+      expect(impliedVolatility(type, price, inputs)).toBeCloseTo(vol, 4);
+    }
+  });
+
+  test('is null for prices no volatility can produce', () => {
+    // Below the discounted intrinsic value, and above the spot for a call.
+    expect(impliedVolatility('call', 1, HULL_PRICE)).toBeNull();
+    expect(impliedVolatility('call', 43, HULL_PRICE)).toBeNull();
+    expect(impliedVolatility('put', 40, HULL_PRICE)).toBeNull();
+  });
+
+  test('is null at or past expiry', () => {
+    expect(impliedVolatility('call', 2, { ...HULL_PRICE, years: 0 })).toBeNull();
+    expect(impliedVolatility('call', 2, { ...HULL_PRICE, years: -0.1 })).toBeNull();
+  });
+});
@@ -0,0 +1,166 @@
+/* ─── clock.js ──────────────────────────────────────────────────────────────
+ * Simulated market clock.
+ * Every price-driven component reads "now" from here instead of Date.now(),
+ * so a run can be pinned to an exact market second, paused, stepped or sped up.
+ *
+ * Simulated time is expressed in "market-local" epoch milliseconds: the UTC
+ * fields of the timestamp are the exchange wall-clock fields.  2026-02-20
+ * 11:42:00 on the exchange is Date.UTC(2026, 1, 20, 11, 42), independent of the
+ * browser's time zone.
+ *
+ * URL parameters (read once at startup by initClockFromSearch):
+ *   ?t=2026-02-20T11:42:00   start the clock at that market-local time
+ *   ?speed=10                simulated seconds per real second
+ *   ?frozen=1                start paused (time only moves when stepped)
+ *   ?from=2020-01-01         first simulated day (default 2016-01-01)
+ *   ?to=2025-12-31           last simulated day (default 2026-12-31)
+ *
+ * `from` and `to` fall back to REACT_APP_SIM_FROM / REACT_APP_SIM_TO.
+ *
+ * While the app runs, components/ClockControls pauses, steps and speeds it.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+import { configureSimRange, DEFAULT_SIM_START, DEFAULT_SIM_END } from './tradingCalendar';
+
+// Default simulation date — combined with the real local time of day when no
+// `?t=` is given, so an unconfigured run behaves like a live market.
+export const DEFAULT_SIM_DATE_MS = Date.UTC(2026, 1, 20);
+
+const MAX_SPEED = 3600;
+
+const state = {
+  anchorRealMs: Date.now(), // real time at which anchorSimMs was valid
+  anchorSimMs:  0,          // simulated time at the anchor
+  speed:        1,          // simulated ms per real ms
+  frozen:       false,
+};
+
+const listeners = new Set();
+
+/* ── Internals ───────────────────────────────────────────────────────────── */
+
+/** Real local time of day in ms — the historical default behaviour. */
+function localMsOfDay(realMs) {
+  const d = new Date(realMs);
+  return ((d.getHours() * 60 + d.getMinutes()) * 60 + d.getSeconds()) * 1000;
+}
+
+/** Re-anchor at the current simulated time so speed/freeze changes are seamless. */
+function reanchor() {
+  state.anchorSimMs  = nowMs();
+  state.anchorRealMs = Date.now();
+}
+
+function notify() {
+  listeners.forEach(fn => fn(nowSec()));
+}
+
+/**
+ * Parse a `?t=` value.  Naive ISO date-times (no zone suffix) are treated as
+ * market-local; a bare date starts at midnight.
+ * @returns {number|null} market-local epoch ms, or null if unparseable
+ */
+export function parseSimTime(value) {
+  if (!value) return null;
+  const hasZone = /(Z|[+-]\d\d:?\d\d)$/i.test(value);
+  const ms = Date.parse(hasZone ? value : value.length <= 10 ? `${value}T00:00:00Z` : `${value}Z`);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/* ── Reading the clock ───────────────────────────────────────────────────── */
+
+/** Current simulated time in market-local epoch milliseconds. */
+export function nowMs() {
+  if (state.frozen) return state.anchorSimMs;
+  return state.anchorSimMs + (Date.now() - state.anchorRealMs) * state.speed;
+}
+
+/** Current simulated time in whole market-local epoch seconds. */
+export function nowSec() {
+  return Math.floor(nowMs() / 1000);
+}
+
+/** Snapshot of the clock configuration (for controls / debugging). */
+export function getClockState() {
+  return { simMs: nowMs(), speed: state.speed, frozen: state.frozen };
+}
+
+/* ── Controlling the clock ───────────────────────────────────────────────── */
+
+/** Jump to a simulated time (market-local epoch ms). */
+export function setTime(simMs) {
+  state.anchorSimMs  = simMs;
+  state.anchorRealMs = Date.now();
+  notify();
+}
+
+/** Set the playback speed (simulated seconds per real second). */
+export function setSpeed(speed) {
+  const s = Number(speed);
+  if (!(s > 0)) return;
+  reanchor();
+  state.speed = Math.min(s, MAX_SPEED);
+  notify();
+}
+
+/** Stop time where it is. */
+export function pause() {
+  if (state.frozen) return;
+  reanchor();
+  state.frozen = true;
+  notify();
+}
+
+/** Resume from the paused instant. */
+export function resume() {
+  if (!state.frozen) return;
+  state.anchorRealMs = Date.now();
+  state.frozen = false;
+  notify();
+}
+
+/** Advance (or rewind, with a negative value) the clock by `seconds`. */
+export function step(seconds = 1) {
+  setTime(nowMs() + seconds * 1000);
+}
+
+/**
+ * Subscribe to explicit clock changes (setTime, step, speed, pause/resume).
+ * Continuous ticking is not broadcast — poll nowSec() for that.
+ * @returns {Function} unsubscribe
+ */
+export function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Configure the clock, and the calendar range it is clamped into, from a
+ * URL query string (e.g. window.location.search).  Unknown or malformed
+ * values fall back to the defaults.
+ */
+export function initClockFromSearch(search = '') {
+  const params = new URLSearchParams(search);
+  const realMs = Date.now();
+
+  const pinned = parseSimTime(params.get('t'));
+  state.anchorSimMs  = pinned ?? DEFAULT_SIM_DATE_MS + localMsOfDay(realMs);
+  state.anchorRealMs = realMs;
+
+  const speed = Number(params.get('speed'));
+  state.speed  = speed > 0 ? Math.min(speed, MAX_SPEED) : 1;
+
+  const frozen = params.get('frozen');
+  state.frozen = frozen === '1' || frozen === 'true';
+
+  const from = params.get('from') || process.env.REACT_APP_SIM_FROM || DEFAULT_SIM_START;
+  const to   = params.get('to')   || process.env.REACT_APP_SIM_TO   || DEFAULT_SIM_END;
+  try {
+    configureSimRange(from, to);
+  } catch (e) {
+    configureSimRange(DEFAULT_SIM_START, DEFAULT_SIM_END);
+  }
+}
+
+// Until initClockFromSearch runs, behave like the unconfigured default.
+initClockFromSearch();
@@ -0,0 +1,46 @@
+import { initClockFromSearch, nowSec, getClockState } from './clock';
+import { getSimRange } from './tradingCalendar';
+
+const day = (iso) => Date.parse(`${iso}T00:00:00Z`) / 86400000;
+
+afterEach(() => initClockFromSearch(''));
+
+test('?t= and ?frozen=1 pin the clock', () => {
+  initClockFromSearch('?t=2026-02-20T11:42:00&frozen=1&speed=10');
+  expect(nowSec()).toBe(Date.UTC(2026, 1, 20, 11, 42) / 1000);
+  expect(getClockState()).toMatchObject({ speed: 10, frozen: true });
+});
+
+describe('simulation range', () => {
+  test('defaults to 2016 through 2026', () => {
+    expect(getSimRange()).toEqual({ startDay: day('2016-01-01'), endDay: day('2026-12-31') });
+  });
+
+  test('?from= and ?to= set it, each falling back to its default', () => {
+    initClockFromSearch('?from=2020-01-01&to=2025-06-30');
+    expect(getSimRange()).toEqual({ startDay: day('2020-01-01'), endDay: day('2025-06-30') });
+
+    initClockFromSearch('?from=2020-01-01');
+    expect(getSimRange()).toEqual({ startDay: day('2020-01-01'), endDay: day('2026-12-31') });
+  });
+
+  test('a malformed or reversed range keeps the default', () => {
+    initClockFromSearch('?from=last-year');
+    expect(getSimRange().startDay).toBe(day('2016-01-01'));
+
+    initClockFromSearch('?from=2025-01-01&to=2024-01-01');
+    expect(getSimRange()).toEqual({ startDay: day('2016-01-01'), endDay: day('2026-12-31') });
+  });
+
+  test('REACT_APP_SIM_FROM / REACT_APP_SIM_TO apply when the URL has none', () => {
+    process.env.REACT_APP_SIM_FROM = '2018-01-01';
+    try {
+      initClockFromSearch('');
+      expect(getSimRange().startDay).toBe(day('2018-01-01'));
+      initClockFromSearch('?from=2019-01-01');
+      expect(getSimRange().startDay).toBe(day('2019-01-01'));
+    } finally {
+      delete process.env.REACT_APP_SIM_FROM;
+    }
+  });
+});
@@ -0,0 +1,117 @@
+/* ─── drawings.js ───────────────────────────────────────────────────────────
+ * Chart drawings (trendlines, horizontal levels, Fibonacci retracements and
+ * text notes), persisted per symbol in localStorage.
+ *
+ * Every point of a drawing is an anchor in data coordinates:
+ *   { dayNum, minute, price }
+ * where `minute` is a minuteIdx (0 = 9:30 AM, negative before the open), so
+ * a drawing lands on the same bar and price whatever range the chart shows.
+ * Prices are stored as drawn, in the adjustment the chart was using.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+const KEY = 'stock_drawings';
+
+/** Drawing types and how many anchors each is placed with. */
+export const DRAWING_TOOLS = {
+  trendline: { label: 'Trendline',  points: 2 },
+  hline:     { label: 'Horizontal', points: 1 },
+  fib:       { label: 'Fibonacci',  points: 2 },
+  note:      { label: 'Note',       points: 1 },
+};
+
+/** Retracement levels drawn between a Fibonacci tool's two anchors. */
+export const FIB_LEVELS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+
+const MAX_NOTE_LENGTH = 200;
+
+// Minutes from midnight to the 9:30 AM open.
+const OPEN_MINUTE = 570;
+
+/* ── Storage ──────────────────────────────────────────────────────────────── */
+
+function newState() {
+  return { bySymbol: {}, nextId: 1 };
+}
+
+function load() {
+  try {
+    const data = localStorage.getItem(KEY);
+    return data ? JSON.parse(data) : newState();
+  } catch (e) {
+    return newState();
+  }
+}
+
+function save(state) {
+  localStorage.setItem(KEY, JSON.stringify(state));
+}
+
+/* ── Anchors ──────────────────────────────────────────────────────────────── */
+
+/** Market-local epoch minutes of an anchor (or of a bar: daily bars sit at the open). */
+export function anchorTime({ dayNum, minute = 0 }) {
+  return dayNum * 1440 + OPEN_MINUTE + minute;
+}
+
+/** Anchor at market-local epoch minute `time` (rounded to the minute) and `price`. */
+export function makeAnchor(time, price) {
+  const t = Math.round(time);
+  const dayNum = Math.floor(t / 1440);
+  return { dayNum, minute: t - dayNum * 1440 - OPEN_MINUTE, price: +price.toFixed(2) };
+}
+
+function validAnchor(a) {
+  return a && Number.isInteger(a.dayNum) && Number.isInteger(a.minute)
+    && Number.isFinite(a.price) && a.price > 0;
+}
+
+/* ── Drawings ─────────────────────────────────────────────────────────────── */
+
+/** A symbol's drawings, oldest first. */
+export function getDrawings(symbol) {
+  return load().bySymbol[symbol] || [];
+}
+
+/**
+ * Save a drawing on `symbol`'s chart.  Throws if the type, anchors or note
+ * text are invalid.
+ *
+ * @param {string} symbol
+ * @param {{ type: string, anchors: Array<{ dayNum, minute, price }>, text?: string }} drawing
+ * @returns {object} the stored drawing, with its id
+ */
+export function addDrawing(symbol, { type, anchors, text }) {
+  const tool = DRAWING_TOOLS[type];
+  if (!tool) throw new Error(`Unknown drawing type: ${type}`);
+  if (!Array.isArray(anchors) || anchors.length !== tool.points || !anchors.every(validAnchor)) {
+    throw new Error(`${tool.label} needs ${tool.points} point${tool.points > 1 ? 's' : ''}`);
+  }
+  const note = String(text ?? '').trim();
+  if (type === 'note' && !note) throw new Error('Note text cannot be empty');
+
+  const state = load();
+  const drawing = {
+    id: state.nextId++,
+    type,
+    anchors: anchors.map(({ dayNum, minute, price }) => ({ dayNum, minute, price })),
+  };
+  if (type === 'note') drawing.text = note.slice(0, MAX_NOTE_LENGTH);
+  state.bySymbol[symbol] = [...(state.bySymbol[symbol] || []), drawing];
+  save(state);
+  return drawing;
+}
+
+export function deleteDrawing(symbol, id) {
+  const state = load();
+  const list = (state.bySymbol[symbol] || []).filter(d => d.id !== id);
+  if (list.length) state.bySymbol[symbol] = list;
+  else delete state.bySymbol[symbol];
+  save(state);
+}
+
+/** Remove every drawing on `symbol`'s chart. */
+export function clearDrawings(symbol) {
+  const state = load();
+  delete state.bySymbol[symbol];
+  save(state);
+}
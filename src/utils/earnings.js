@@ -0,0 +1,145 @@
+/* ─── earnings.js ───────────────────────────────────────────────────────────
+ * Earnings schedule and reactions, on the simulation calendar.
+ *
+ * Fiscal quarters are calendar quarters.  Each stock reports a quarter a
+ * few weeks after it ends, either before the open (7:00 AM) or after the
+ * close (4:05 PM) — the same slot every quarter.  Whether it beats or
+ * misses, and by how much, is drawn per symbol and quarter; the first
+ * session after the report (the report day for a before-open report, the
+ * next trading day otherwise) opens with a gap that follows the surprise,
+ * on heavy volume.  The price engine applies those gaps to its day walk, so
+ * they are part of every chart and quote.
+ *
+ * Quarters are indexed year * 4 + (quarter - 1): Q1 2026 is 8104.  The EPS
+ * figures behind a surprise live in fundamentals.js (getEarningsReports).
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+import { STOCK_DATA } from '../data/mockData';
+import { symbolSeed, rand2 } from './hash';
+import { isTradingDay, nextTradingDay } from './tradingCalendar';
+
+const DAY_MS  = 86400000;
+const DAY_SEC = 86400;
+
+/** Report slots and their market-local time of day in seconds. */
+export const REPORT_TIMES = {
+  bmo: { label: 'Before open', sec: 7 * 3600 },
+  amc: { label: 'After close', sec: 16 * 3600 + 300 },
+};
+
+// Days from a quarter's end to its report: a per-symbol base in
+// [REPORT_LAG_MIN, REPORT_LAG_MIN + REPORT_LAG_SPREAD) plus up to 3 days' jitter.
+const REPORT_LAG_MIN    = 20;
+const REPORT_LAG_SPREAD = 35;
+
+// Share of reports that beat the estimate, and the size range of surprises.
+const BEAT_RATE    = 0.72;
+const SURPRISE_MIN = 0.01;
+const SURPRISE_MAX = 0.15;
+
+// The reaction gap is this multiple of the surprise plus noise, capped.
+const GAP_PER_SURPRISE = 0.6;
+const GAP_NOISE        = 0.025;
+const GAP_CAP          = 0.15;
+
+/** Volume multiple on the reaction day. */
+export const EARNINGS_VOLUME_MULTIPLIER = 2.5;
+
+/* ── Calendar ─────────────────────────────────────────────────────────────── */
+
+/** Last calendar day of quarter `q`. */
+export function quarterEndDay(q) {
+  const year = Math.floor(q / 4), month = (q % 4) * 3 + 3;
+  return Date.UTC(year, month, 0) / DAY_MS;
+}
+
+/** Quarter containing a calendar day. */
+export function quarterOf(dayNum) {
+  const d = new Date(dayNum * DAY_MS);
+  return d.getUTCFullYear() * 4 + Math.floor(d.getUTCMonth() / 3);
+}
+
+/** "Q4 2025" */
+export function quarterLabel(q) {
+  return `Q${(q % 4) + 1} ${Math.floor(q / 4)}`;
+}
+
+/** Whether `symbol` reports before the open ('bmo') or after the close ('amc'). */
+export function getReportTime(symbol) {
+  return rand2(symbolSeed(symbol) ^ 0x7e9018, 0) < 0.45 ? 'bmo' : 'amc';
+}
+
+/** Trading day on which `symbol` reports quarter `q`. */
+export function getReportDay(symbol, q) {
+  const seed = symbolSeed(symbol) ^ 0x7e9017;
+  const lag  = REPORT_LAG_MIN + Math.floor(rand2(seed, 0) * REPORT_LAG_SPREAD) + Math.floor(rand2(seed, q) * 4);
+  const day  = quarterEndDay(q) + lag;
+  return isTradingDay(day) ? day : nextTradingDay(day);
+}
+
+/** Market-local epoch second at which `symbol`'s quarter `q` report comes out. */
+export function getReportSec(symbol, q) {
+  return getReportDay(symbol, q) * DAY_SEC + REPORT_TIMES[getReportTime(symbol)].sec;
+}
+
+/** The latest quarter `symbol` has reported by market-local second `unixSec`. */
+export function getLatestReportedQuarter(symbol, unixSec) {
+  let q = quarterOf(Math.floor(unixSec / DAY_SEC)) - 1;
+  while (getReportSec(symbol, q) > unixSec) q--;
+  return q;
+}
+
+/** First session priced after the report of quarter `q`. */
+export function getReactionDay(symbol, q) {
+  const day = getReportDay(symbol, q);
+  return getReportTime(symbol) === 'bmo' ? day : nextTradingDay(day);
+}
+
+/* ── Surprises and reactions ──────────────────────────────────────────────── */
+
+/**
+ * EPS surprise of quarter `q` as a fraction of the estimate's magnitude:
+ * positive for a beat, negative for a miss.
+ */
+export function getSurprise(symbol, q) {
+  const seed = symbolSeed(symbol) ^ 0x5e4a11;
+  const size = SURPRISE_MIN + rand2(seed, q * 2 + 1) * (SURPRISE_MAX - SURPRISE_MIN);
+  return rand2(seed, q * 2) < BEAT_RATE ? size : -size;
+}
+
+/** Open-to-open price gap the report of quarter `q` causes on its reaction day. */
+function reactionGap(symbol, q) {
+  const noise = rand2(symbolSeed(symbol) ^ 0x6a9e11, q) * 2 - 1;
+  const gap = getSurprise(symbol, q) * GAP_PER_SURPRISE + noise * GAP_NOISE;
+  return Math.max(-GAP_CAP, Math.min(GAP_CAP, gap));
+}
+
+/**
+ * The earnings reaction on `dayNum`, if it is the first session after one
+ * of `symbol`'s reports; null otherwise (and always for indices).
+ *
+ * @returns {{ quarter: number, gap: number, afterClose: boolean } | null}
+ */
+export function getEarningsReaction(symbol, dayNum) {
+  if (!STOCK_DATA[symbol]) return null;
+  const q0 = quarterOf(dayNum);
+  for (const q of [q0 - 1, q0 - 2]) {
+    if (getReactionDay(symbol, q) === dayNum) {
+      return { quarter: q, gap: reactionGap(symbol, q), afterClose: getReportTime(symbol) === 'amc' };
+    }
+  }
+  return null;
+}
+
+/**
+ * For an after-the-close report on `dayNum`, the gap it will open with the
+ * next session — after-hours trading moves towards it.  0 otherwise.
+ */
+export function getAfterHoursReaction(symbol, dayNum) {
+  if (!STOCK_DATA[symbol] || getReportTime(symbol) !== 'amc') return 0;
+  const q0 = quarterOf(dayNum);
+  for (const q of [q0 - 1, q0 - 2]) {
+    if (getReportDay(symbol, q) === dayNum) return reactionGap(symbol, q);
+  }
+  return 0;
+}
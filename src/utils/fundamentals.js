@@ -0,0 +1,338 @@
+/* ─── fundamentals.js ───────────────────────────────────────────────────────
+ * Deterministic financial statements for every stock: quarterly and annual
+ * income statement, balance sheet and cash flow.
+ *
+ * Quarters follow the earnings schedule (utils/earnings).  Every quarter is
+ * a pure function of the symbol and the quarter, so figures never change
+ * once reported; they are scaled so that at the engine's reference-day open
+ * the four latest reported quarters agree with the metadata:
+ *   - diluted shares = marketCap / basePrice
+ *   - EPS over those quarters sums to `eps` exactly (so basePrice / TTM EPS
+ *     is the P/E the metadata was built from)
+ * Per-share figures are on the reference day's share basis.
+ *
+ * getEarningsReports() adds the analyst estimate of each quarter's EPS, the
+ * surprise (from the schedule's beat / miss draw) and the stock's move on
+ * the first session after the report.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+import { STOCK_DATA, getTickerData, getStockMetrics } from '../data/mockData';
+import { symbolSeed, rand2 } from './hash';
+import {
+  getReferenceDayNum,
+  getCurrentMarketState,
+  getDayBar,
+  getPreviousClose,
+  MARKET_OPEN_SEC,
+} from './priceEngine';
+import {
+  quarterEndDay,
+  quarterOf,
+  quarterLabel,
+  getReportDay,
+  getReportTime,
+  getReportSec,
+  getLatestReportedQuarter,
+  getReactionDay,
+  getSurprise,
+} from './earnings';
+
+const TAX_RATE = 0.21;
+
+/**
+ * Typical margins and balance-sheet shape by sector: net and gross margin,
+ * total assets per dollar of annual revenue and equity as a share of assets.
+ */
+const SECTOR_PROFILES = {
+  'Technology':             { net: 0.22, gross: 0.60, assetTurn: 1.2, equity: 0.50 },
+  'Communication Services': { net: 0.18, gross: 0.55, assetTurn: 1.4, equity: 0.55 },
+  'Consumer Cyclical':      { net: 0.07, gross: 0.35, assetTurn: 0.8, equity: 0.35 },
+  'Consumer Defensive':     { net: 0.03, gross: 0.25, assetTurn: 0.4, equity: 0.35 },
+  'Financial Services':     { net: 0.25, gross: 0.85, assetTurn: 6.0, equity: 0.12 },
+  'Industrials':            { net: 0.06, gross: 0.20, assetTurn: 1.6, equity: 0.10 },
+};
+const DEFAULT_PROFILE = SECTOR_PROFILES.Technology;
+
+// Revenue weight of each calendar quarter for sectors with a holiday season.
+const HOLIDAY_SEASON = [0.94, 0.96, 0.98, 1.12];
+const SEASONAL_SECTORS = ['Consumer Cyclical', 'Consumer Defensive'];
+
+/* ── Generator ────────────────────────────────────────────────────────────── */
+
+const modelCache = new Map();
+
+/*
+ * Per-symbol constants, and the scale factors that pin the reference-day
+ * TTM to the metadata.  Cached per reference day.
+ */
+function getModel(symbol) {
+  const ref = getReferenceDayNum();
+  const key = `${symbol}|${ref}`;
+  if (modelCache.has(key)) return modelCache.get(key);
+
+  const info    = getTickerData(symbol);
+  const metrics = getStockMetrics(symbol);
+  const seed    = symbolSeed(symbol);
+  const r       = (channel) => rand2(seed ^ 0x5f3a11, channel);
+  const profile = SECTOR_PROFILES[info.sector] || DEFAULT_PROFILE;
+  const eps     = metrics.eps ?? 0;
+  const shares  = (metrics.marketCap ?? 0) / info.basePrice;
+  const losing  = eps <= 0;
+
+  const model = {
+    seed,
+    eps,
+    shares,
+    losing,
+    growth:      losing ? 0.05 + r(1) * 0.15 : 0.03 + r(1) * 0.22,   // revenue, per year
+    season:      SEASONAL_SECTORS.includes(info.sector) ? HOLIDAY_SEASON : [1, 1, 1, 1],
+    grossMargin: profile.gross * (0.9 + r(2) * 0.2),
+    assetTurn:   profile.assetTurn * (0.8 + r(3) * 0.4),
+    equityRatio: profile.equity * (0.8 + r(4) * 0.4),
+    cashRatio:   0.08 + r(5) * 0.12,
+    debtRatio:   0.25 + r(6) * 0.2,
+    cashConversion: 1.15 + r(7) * 0.2,
+    capexRatio:  0.03 + r(8) * 0.07,
+    quarterlyDividend: metrics.annualDividend / 4,
+    // The metadata is as of the reference day's open.
+    last: getLatestReportedQuarter(symbol, ref * 86400 + MARKET_OPEN_SEC),
+  };
+
+  // Pin the TTM: EPS sums to `eps`; revenue gives a typical net margin, or
+  // for loss-makers a price-to-sales ratio of 2–6.
+  const window = [0, 1, 2, 3].map(i => model.last - i);
+  const epsSum = window.reduce((s, q) => s + epsShape(model, q), 0);
+  const revSum = window.reduce((s, q) => s + revenueShape(model, q), 0);
+  model.epsScale = eps / epsSum;
+  const ttmRevenue = losing
+    ? (metrics.marketCap ?? 0) / (2 + r(9) * 4)
+    : (eps * shares) / (profile.net * (0.8 + r(10) * 0.4));
+  model.revenueScale = ttmRevenue / revSum;
+  // Rounding residual of the pinned window, carried by its latest quarter.
+  model.epsResidual = +(eps - window.reduce((s, q) => s + roundEps(model, q), 0)).toFixed(2);
+
+  modelCache.set(key, model);
+  return model;
+}
+
+const noise = (model, channel, q) => rand2(model.seed ^ channel, q) * 2 - 1;  // [-1, 1)
+
+function revenueShape(model, q) {
+  return Math.pow(1 + model.growth, (q - model.last) / 4)
+    * model.season[q % 4]
+    * (1 + 0.03 * noise(model, 0x11aa, q));
+}
+
+// Profitable companies' earnings follow revenue with margin noise; losses
+// just vary around their level.
+function epsShape(model, q) {
+  return model.losing
+    ? 1 + 0.2 * noise(model, 0x22bb, q)
+    : revenueShape(model, q) * (1 + 0.12 * noise(model, 0x22bb, q));
+}
+
+const roundEps = (model, q) => +(model.epsScale * epsShape(model, q)).toFixed(2);
+
+/** One quarter's statements for `symbol`. */
+function generateQuarter(symbol, q) {
+  const model   = getModel(symbol);
+  const { shares } = model;
+  const eps     = q === model.last ? +(roundEps(model, q) + model.epsResidual).toFixed(2) : roundEps(model, q);
+  const revenue = model.revenueScale * revenueShape(model, q);
+
+  // Income statement
+  const netIncome       = eps * shares;
+  const incomeTax       = netIncome > 0 ? (netIncome * TAX_RATE) / (1 - TAX_RATE) : 0;
+  const operatingIncome = netIncome + incomeTax;
+  const grossMargin     = Math.min(0.95, Math.max(model.grossMargin, operatingIncome / revenue + 0.1));
+  const grossProfit     = revenue * grossMargin;
+
+  // Balance sheet, sized off annualized revenue
+  const totalAssets      = revenue * 4 * model.assetTurn * (1 + 0.02 * noise(model, 0x33cc, q));
+  const totalEquity      = totalAssets * model.equityRatio;
+  const totalLiabilities = totalAssets - totalEquity;
+
+  // Cash flow
+  const operatingCashFlow  = netIncome > 0 ? netIncome * model.cashConversion : netIncome * 0.5;
+  const capitalExpenditure = -revenue * model.capexRatio * (1 + 0.1 * noise(model, 0x44dd, q));
+  const freeCashFlow       = operatingCashFlow + capitalExpenditure;
+  const dividendsPaid      = -model.quarterlyDividend * shares;
+  const shareRepurchases   = -Math.max(0, (freeCashFlow + dividendsPaid) * 0.5);
+
+  return {
+    quarter: q,
+    label: quarterLabel(q),
+    endDay: quarterEndDay(q),
+    reportDay: getReportDay(symbol, q),
+    // income statement
+    revenue,
+    costOfRevenue: revenue - grossProfit,
+    grossProfit,
+    operatingExpenses: grossProfit - operatingIncome,
+    operatingIncome,
+    incomeTax,
+    netIncome,
+    eps,
+    shares,
+    // balance sheet
+    totalAssets,
+    totalLiabilities,
+    totalEquity,
+    cash: totalAssets * model.cashRatio,
+    totalDebt: totalLiabilities * model.debtRatio,
+    // cash flow
+    operatingCashFlow,
+    capitalExpenditure,
+    freeCashFlow,
+    investingCashFlow: capitalExpenditure - revenue * 0.01,
+    dividendsPaid,
+    shareRepurchases,
+    financingCashFlow: dividendsPaid + shareRepurchases,
+  };
+}
+
+const FLOW_FIELDS = [
+  'revenue', 'costOfRevenue', 'grossProfit', 'operatingExpenses', 'operatingIncome', 'incomeTax',
+  'netIncome', 'eps', 'operatingCashFlow', 'capitalExpenditure', 'freeCashFlow', 'investingCashFlow',
+  'dividendsPaid', 'shareRepurchases', 'financingCashFlow',
+];
+
+/** Margins (%) derived from a period's income statement. */
+function withMargins(period) {
+  return {
+    ...period,
+    grossMargin:     (period.grossProfit / period.revenue) * 100,
+    operatingMargin: (period.operatingIncome / period.revenue) * 100,
+    netMargin:       (period.netIncome / period.revenue) * 100,
+  };
+}
+
+/* ── Public API ───────────────────────────────────────────────────────────── */
+
+/**
+ * The last `count` quarters `symbol` has reported by market-local second
+ * `unixSec`, oldest first.  Empty for indices.
+ *
+ * @returns {Array<object>} each period has `label` ("Q4 2025"), `endDay`,
+ *   `reportDay`, income statement, balance sheet and cash flow fields in
+ *   dollars, `eps`, `shares` and grossMargin / operatingMargin / netMargin (%)
+ */
+export function getQuarterlyFundamentals(symbol, unixSec, count = 8) {
+  if (!getStockMetrics(symbol)) return [];
+  const last = getLatestReportedQuarter(symbol, unixSec);
+  const out = [];
+  for (let q = last - count + 1; q <= last; q++) out.push(withMargins(generateQuarter(symbol, q)));
+  return out;
+}
+
+/**
+ * The last `count` fiscal years (calendar years) `symbol` has fully reported
+ * by `unixSec`, oldest first: flows summed over the four quarters, the
+ * balance sheet as of year end.
+ */
+export function getAnnualFundamentals(symbol, unixSec, count = 4) {
+  if (!getStockMetrics(symbol)) return [];
+  const last = getLatestReportedQuarter(symbol, unixSec);
+  const lastYear = Math.floor((last + 1) / 4) - 1;  // last year whose Q4 is reported
+  const out = [];
+  for (let year = lastYear - count + 1; year <= lastYear; year++) {
+    const quarters = [0, 1, 2, 3].map(i => generateQuarter(symbol, year * 4 + i));
+    const annual = { ...quarters[3], label: `FY ${year}`, quarter: null };
+    for (const f of FLOW_FIELDS) annual[f] = quarters.reduce((s, p) => s + p[f], 0);
+    annual.eps = +annual.eps.toFixed(2);
+    out.push(withMargins(annual));
+  }
+  return out;
+}
+
+/** Trailing-twelve-month EPS as of `unixSec`. */
+export function getTtmEps(symbol, unixSec) {
+  return +getQuarterlyFundamentals(symbol, unixSec, 4).reduce((s, p) => s + p.eps, 0).toFixed(2);
+}
+
+/* ── Earnings reports ─────────────────────────────────────────────────────── */
+
+/** The consensus estimate `actual` beats (or misses) by `surprise`. */
+function estimateEps(actual, surprise) {
+  // (actual - estimate) / |estimate| = surprise, with the estimate's sign
+  return +(actual / (actual >= 0 ? 1 + surprise : 1 - surprise)).toFixed(2);
+}
+
+/**
+ * Percent change from the previous close over the reaction session, up to
+ * `unixSec` if it is in progress; null before it opens.
+ */
+function reactionPct(symbol, reactionDay, unixSec) {
+  const { dayNum, marketSec } = getCurrentMarketState(unixSec);
+  if (reactionDay > dayNum) return null;
+  const { basePrice } = getTickerData(symbol);
+  const close = getDayBar(symbol, basePrice, reactionDay, reactionDay === dayNum ? marketSec : Infinity).close;
+  const prev  = getPreviousClose(symbol, basePrice, reactionDay);
+  return +(((close - prev) / prev) * 100).toFixed(2);
+}
+
+/**
+ * One earnings report as known at `unixSec`.  Before it comes out only the
+ * estimate is known: `actual` and `surprisePct` are null, as is
+ * `reactionPct` until the reaction session opens.
+ *
+ * @returns {{ symbol, quarter, label, reportDay, reportSec, time: 'bmo'|'amc',
+ *             reactionDay, estimate, actual, surprisePct, reactionPct, reported }}
+ */
+export function getEarningsReport(symbol, q, unixSec) {
+  const actual    = generateQuarter(symbol, q).eps;
+  const estimate  = estimateEps(actual, getSurprise(symbol, q));
+  const reportSec = getReportSec(symbol, q);
+  const reactionDay = getReactionDay(symbol, q);
+  const reported  = unixSec >= reportSec;
+  return {
+    symbol,
+    quarter: q,
+    label: quarterLabel(q),
+    reportDay: getReportDay(symbol, q),
+    reportSec,
+    time: getReportTime(symbol),
+    reactionDay,
+    estimate,
+    actual:      reported ? actual : null,
+    surprisePct: reported && estimate ? +(((actual - estimate) / Math.abs(estimate)) * 100).toFixed(1) : null,
+    reactionPct: reported ? reactionPct(symbol, reactionDay, unixSec) : null,
+    reported,
+  };
+}
+
+/**
+ * `symbol`'s last `count` reports as of `unixSec` (newest first) and the
+ * next one.  Null for indices.
+ *
+ * @returns {{ past: Array<object>, next: object } | null}
+ */
+export function getEarningsReports(symbol, unixSec, count = 8) {
+  if (!getStockMetrics(symbol)) return null;
+  const last = getLatestReportedQuarter(symbol, unixSec);
+  const past = [];
+  for (let q = last; q > last - count; q--) past.push(getEarningsReport(symbol, q, unixSec));
+  return { past, next: getNextEarnings(symbol, unixSec) };
+}
+
+/** `symbol`'s next report after `unixSec` (estimate only); null for indices. */
+export function getNextEarnings(symbol, unixSec) {
+  if (!getStockMetrics(symbol)) return null;
+  return getEarningsReport(symbol, getLatestReportedQuarter(symbol, unixSec) + 1, unixSec);
+}
+
+/**
+ * Every stock's reports due on calendar days `fromDay`..`toDay` (inclusive),
+ * in report order, as known at `unixSec`.
+ */
+export function getEarningsCalendar(fromDay, toDay, unixSec) {
+  const out = [];
+  for (const symbol of Object.keys(STOCK_DATA)) {
+    // A report falls at most two quarters after the quarter it covers.
+    for (let q = quarterOf(fromDay) - 2; q <= quarterOf(toDay); q++) {
+      const day = getReportDay(symbol, q);
+      if (day >= fromDay && day <= toDay) out.push(getEarningsReport(symbol, q, unixSec));
+    }
+  }
+  return out.sort((a, b) => a.reportSec - b.reportSec || a.symbol.localeCompare(b.symbol));
+}
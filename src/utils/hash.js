@@ -0,0 +1,25 @@
+/* ─── hash.js ───────────────────────────────────────────────────────────────
+ * Integer hashing shared by the generators.  Everything simulated is a pure
+ * function of these hashes, which is what keeps the market reproducible.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+/** FNV-1a 32-bit hash of a string → unsigned 32-bit integer. */
+export function symbolSeed(symbol) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < symbol.length; i++) {
+    h ^= symbol.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * Mix two integers into a float in [0, 1).
+ * Two-round xorshift-multiply hash — fast and well-distributed.
+ */
+export function rand2(a, b) {
+  let x = (Math.imul((a | 0) ^ 0xdeadbeef, 0x9e3779b9) + (b | 0)) | 0;
+  x = Math.imul(((x >>> 16) ^ x) | 0, 0x45d9f3b) | 0;
+  x = Math.imul(((x >>> 16) ^ x) | 0, 0x45d9f3b) | 0;
+  return (((x >>> 16) ^ x) >>> 0) / 4294967296;
+}
@@ -0,0 +1,172 @@
+/* ─── indicators.js ─────────────────────────────────────────────────────────
+ * Technical indicators over the bar arrays the generate*Data functions
+ * return ({ open, high, low, close, volume, dayNum, … }, oldest first).
+ *
+ * Every function is pure and returns arrays aligned with its input, with
+ * null where there is not yet enough history (the warm-up bars).
+ * applyIndicators() merges the enabled ones into the bars for charting.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Indicator settings: which are shown and their parameters.  `pane` is
+ * 'price' for overlays drawn on the price chart, 'sub' for indicators that
+ * get their own pane below it.
+ */
+export const DEFAULT_INDICATORS = {
+  sma:       { enabled: false, pane: 'price', period: 20 },
+  ema:       { enabled: false, pane: 'price', period: 12 },
+  vwap:      { enabled: false, pane: 'price' },
+  bollinger: { enabled: false, pane: 'price', period: 20, stdDev: 2 },
+  rsi:       { enabled: false, pane: 'sub',   period: 14 },
+  macd:      { enabled: false, pane: 'sub',   fast: 12, slow: 26, signal: 9 },
+};
+
+/* ── Moving averages ──────────────────────────────────────────────────────── */
+
+/** Simple moving average of the last `period` values. */
+export function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+/**
+ * Exponential moving average with smoothing 2 / (period + 1), seeded with
+ * the SMA of the first `period` values.  Leading nulls in `values` are
+ * skipped, so an EMA of another indicator starts where that one does.
+ */
+export function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  const k = 2 / (period + 1);
+  const start = values.findIndex(v => v !== null);
+  if (start < 0) return out;
+  let prev = null, sum = 0;
+  for (let i = start; i < values.length; i++) {
+    if (i - start < period) {
+      sum += values[i];
+      if (i - start === period - 1) prev = out[i] = sum / period;
+    } else {
+      prev = out[i] = values[i] * k + prev * (1 - k);
+    }
+  }
+  return out;
+}
+
+/* ── Price overlays ───────────────────────────────────────────────────────── */
+
+/**
+ * Volume-weighted average price of the typical price (high + low + close) / 3.
+ * Intraday bars restart it at each session (each `dayNum`); on daily or
+ * longer bars it is anchored at the first bar.
+ */
+export function vwap(bars) {
+  const intraday = bars.some(b => b.minuteIdx !== undefined);
+  const out = new Array(bars.length).fill(null);
+  let pv = 0, vol = 0;
+  bars.forEach((b, i) => {
+    if (intraday && i > 0 && b.dayNum !== bars[i - 1].dayNum) pv = vol = 0;
+    pv  += ((b.high + b.low + b.close) / 3) * b.volume;
+    vol += b.volume;
+    out[i] = vol > 0 ? pv / vol : null;
+  });
+  return out;
+}
+
+/**
+ * Bollinger Bands: the `period` SMA and bands `stdDev` population standard
+ * deviations above and below it.
+ * @returns {{ middle: Array, upper: Array, lower: Array }}
+ */
+export function bollinger(values, period, stdDev) {
+  const middle = sma(values, period);
+  const upper  = new Array(values.length).fill(null);
+  const lower  = new Array(values.length).fill(null);
+  for (let i = period - 1; i < values.length; i++) {
+    let sq = 0;
+    for (let j = i - period + 1; j <= i; j++) sq += (values[j] - middle[i]) ** 2;
+    const band = stdDev * Math.sqrt(sq / period);
+    upper[i] = middle[i] + band;
+    lower[i] = middle[i] - band;
+  }
+  return { middle, upper, lower };
+}
+
+/* ── Oscillators ──────────────────────────────────────────────────────────── */
+
+/**
+ * Relative Strength Index (0–100) with Wilder's smoothing.  A window with
+ * no moves either way reads 50, neither overbought nor oversold.
+ */
+export function rsi(values, period) {
+  const out = new Array(values.length).fill(null);
+  let gain = 0, loss = 0;
+  for (let i = 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    const up = Math.max(change, 0), down = Math.max(-change, 0);
+    if (i <= period) {
+      gain += up / period;
+      loss += down / period;
+      if (i < period) continue;
+    } else {
+      gain = (gain * (period - 1) + up) / period;
+      loss = (loss * (period - 1) + down) / period;
+    }
+    if (gain === 0 && loss === 0) out[i] = 50;
+    else out[i] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+  }
+  return out;
+}
+
+/**
+ * MACD: the fast EMA minus the slow EMA, its `signal`-period EMA, and the
+ * difference between the two (the histogram).
+ * @returns {{ macd: Array, signal: Array, histogram: Array }}
+ */
+export function macd(values, fast, slow, signal) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, i) =>
+    (fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]));
+  const signalLine = ema(line, signal);
+  const histogram  = line.map((v, i) => (v === null || signalLine[i] === null ? null : v - signalLine[i]));
+  return { macd: line, signal: signalLine, histogram };
+}
+
+/* ── Chart data ───────────────────────────────────────────────────────────── */
+
+/**
+ * Copy of `bars` with the enabled indicators added as fields: sma, ema,
+ * vwap, bbUpper / bbMiddle / bbLower, rsi, macd / macdSignal / macdHist.
+ *
+ * @param {Array} bars
+ * @param {object} [config]  shaped like DEFAULT_INDICATORS
+ */
+export function applyIndicators(bars, config = DEFAULT_INDICATORS) {
+  const closes = bars.map(b => b.close);
+  const series = {};
+  if (config.sma?.enabled)  series.sma  = sma(closes, config.sma.period);
+  if (config.ema?.enabled)  series.ema  = ema(closes, config.ema.period);
+  if (config.vwap?.enabled) series.vwap = vwap(bars);
+  if (config.bollinger?.enabled) {
+    const bb = bollinger(closes, config.bollinger.period, config.bollinger.stdDev);
+    Object.assign(series, { bbUpper: bb.upper, bbMiddle: bb.middle, bbLower: bb.lower });
+  }
+  if (config.rsi?.enabled) series.rsi = rsi(closes, config.rsi.period);
+  if (config.macd?.enabled) {
+    const m = macd(closes, config.macd.fast, config.macd.slow, config.macd.signal);
+    Object.assign(series, { macd: m.macd, macdSignal: m.signal, macdHist: m.histogram });
+  }
+
+  const keys = Object.keys(series);
+  if (!keys.length) return bars;
+  return bars.map((b, i) => {
+    const out = { ...b };
+    for (const k of keys) out[k] = series[k][i] === null ? null : +series[k][i].toFixed(4);
+    return out;
+  });
+}
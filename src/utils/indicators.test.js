@@ -0,0 +1,121 @@
+import { sma, ema, vwap, bollinger, rsi, macd, applyIndicators, DEFAULT_INDICATORS } from './indicators';
+
+/** Rounds every non-null entry so hand-computed values compare exactly. */
+const round = (xs, digits = 4) => xs.map(v => (v === null ? null : +v.toFixed(digits)));
+
+const RISING  = [1, 2, 3, 4, 5];
+const DOUBLING = [1, 2, 4, 8, 16];
+
+describe('sma', () => {
+  test('averages the last `period` values after the warm-up', () => {
+    expect(sma(RISING, 3)).toEqual([null, null, 2, 3, 4]);
+  });
+
+  test('is all nulls when the series is shorter than the period', () => {
+    expect(sma([1, 2], 3)).toEqual([null, null]);
+  });
+});
+
+describe('ema', () => {
+  test('is seeded with the SMA and smoothed by 2 / (period + 1)', () => {
+    expect(ema(RISING, 3)).toEqual([null, null, 2, 3, 4]);
+    expect(round(ema(DOUBLING, 2))).toEqual([null, 1.5, 3.1667, 6.3889, 12.7963]);
+  });
+
+  test('starts after leading nulls', () => {
+    expect(round(ema([null, 1, 2, 3, 4], 2))).toEqual([null, null, 1.5, 2.5, 3.5]);
+  });
+});
+
+describe('vwap', () => {
+  const bar = (dayNum, high, low, close, volume, minuteIdx) => ({ dayNum, high, low, close, volume, minuteIdx });
+
+  test('weights the typical price by volume and restarts at each session', () => {
+    const bars = [
+      bar(1, 3, 1, 2, 10, 0),    // typical 2
+      bar(1, 6, 3, 3, 30, 1),    // typical 4
+      bar(2, 12, 8, 10, 5, 0),   // typical 10, new session
+      bar(2, 9, 6, 6, 5, 1),     // typical 7
+    ];
+    expect(vwap(bars)).toEqual([2, 3.5, 10, 8.5]);
+  });
+
+  test('is anchored at the first bar on daily bars', () => {
+    const bars = [bar(1, 3, 1, 2, 10), bar(2, 6, 3, 3, 30)];
+    expect(vwap(bars)).toEqual([2, 3.5]);
+  });
+
+  test('is null until there is volume', () => {
+    expect(vwap([bar(1, 3, 1, 2, 0, 0), bar(1, 3, 1, 2, 10, 1)])).toEqual([null, 2]);
+  });
+});
+
+describe('bollinger', () => {
+  test('puts bands stdDev population deviations around the SMA', () => {
+    const { middle, upper, lower } = bollinger(RISING, 3, 2);
+    expect(middle).toEqual([null, null, 2, 3, 4]);
+    expect(round(upper)).toEqual([null, null, 3.633, 4.633, 5.633]);
+    expect(round(lower)).toEqual([null, null, 0.367, 1.367, 2.367]);
+  });
+
+  test('collapses onto the SMA for a flat series', () => {
+    const { middle, upper, lower } = bollinger([5, 5, 5], 2, 2);
+    expect(upper).toEqual(middle);
+    expect(lower).toEqual(middle);
+  });
+});
+
+describe('rsi', () => {
+  test('averages gains and losses with Wilder smoothing', () => {
+    // Changes +1, +1, -1, +1: averages (1, 0), then (0.5, 0.5), then (0.75, 0.25).
+    expect(rsi([1, 2, 3, 2, 3], 2)).toEqual([null, null, 100, 50, 75]);
+  });
+
+  test('is 0 when every move is down', () => {
+    expect(rsi([5, 4, 3, 2], 2)).toEqual([null, null, 0, 0]);
+  });
+
+  test('is 50 for a flat series', () => {
+    expect(rsi([5, 5, 5, 5], 2)).toEqual([null, null, 50, 50]);
+  });
+});
+
+describe('macd', () => {
+  test('is the fast EMA minus the slow EMA, with its signal EMA and the histogram', () => {
+    // fast = 1 is the series itself; the slow EMA(2) is [-, 1.5, 3.1667, 6.3889, 12.7963].
+    const { macd: line, signal, histogram } = macd(DOUBLING, 1, 2, 2);
+    expect(round(line)).toEqual([null, 0.5, 0.8333, 1.6111, 3.2037]);
+    expect(round(signal)).toEqual([null, null, 0.6667, 1.2963, 2.5679]);
+    expect(round(histogram)).toEqual([null, null, 0.1667, 0.3148, 0.6358]);
+  });
+
+  test('warms up for slow + signal - 2 bars', () => {
+    const values = Array.from({ length: 40 }, (_, i) => 100 + Math.sin(i));
+    const { macd: line, signal } = macd(values, 12, 26, 9);
+    expect(line.findIndex(v => v !== null)).toBe(25);
+    expect(signal.findIndex(v => v !== null)).toBe(33);
+  });
+});
+
+describe('applyIndicators', () => {
+  const bars = DOUBLING.map((close, i) => ({ close, high: close, low: close, volume: 1, dayNum: i }));
+
+  test('returns the bars untouched when nothing is enabled', () => {
+    expect(applyIndicators(bars)).toBe(bars);
+  });
+
+  test('adds the enabled series, rounded to 4 places, with nulls for the warm-up', () => {
+    const config = {
+      ...DEFAULT_INDICATORS,
+      ema:  { ...DEFAULT_INDICATORS.ema,  enabled: true, period: 2 },
+      macd: { ...DEFAULT_INDICATORS.macd, enabled: true, fast: 1, slow: 2, signal: 2 },
+    };
+    const out = applyIndicators(bars, config);
+
+    expect(out.map(b => b.ema)).toEqual([null, 1.5, 3.1667, 6.3889, 12.7963]);
+    expect(out.map(b => b.macdHist)).toEqual([null, null, 0.1667, 0.3148, 0.6358]);
+    expect(out[0]).not.toHaveProperty('sma');
+    expect(out[4]).toMatchObject(bars[4]);
+    expect(bars[4]).not.toHaveProperty('ema');
+  });
+});
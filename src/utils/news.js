@@ -0,0 +1,452 @@
+/* ─── news.js ───────────────────────────────────────────────────────────────
+ * Deterministic news feed.  Stories are derived from what the simulation
+ * already knows, so every headline can be checked against the rest of the
+ * app:
+ *   move      a stock closing MOVE_THRESHOLD % or more from the previous
+ *             close, published after the close, with the cause it can see
+ *             (an earnings reaction, a scenario event, the whole market)
+ *   market    the ^BENCH index doing the same by MARKET_MOVE_THRESHOLD %
+ *   earnings  each quarterly report, minutes after its release
+ *   event     shocks, drifts, halts and volatility spikes of the active
+ *             scenario (utils/scenarios)
+ *   brief     routine company stories (analyst calls, buybacks, …) on a
+ *             few seeded trading days per symbol
+ *
+ * An article id says how to regenerate it — "<SYMBOL>-<kind>-<n>", with
+ * "market" for market-wide stories and `n` a day number, a quarter or a
+ * scenario event index — so articles can be looked up from a URL alone.
+ * Nothing exists before it is published: every lookup takes the current
+ * market-local second.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+import { STOCK_DATA, INDICES, getTickerData } from '../data/mockData';
+import { NEWS_SOURCES, ANALYST_FIRMS, MOVE_VERBS, BRIEF_TEMPLATES } from '../data/newsTemplates';
+import { symbolSeed, rand2 } from './hash';
+import { isTradingDay, previousTradingDay, getSessionDuration, getSimRange } from './tradingCalendar';
+import {
+  getDayBar,
+  getPreviousClose,
+  getPriceAtSecond,
+  fmtLongDate,
+  fmtMinuteTime,
+  MARKET_OPEN_SEC,
+} from './priceEngine';
+import { getScenarioEvents } from './scenarios';
+import { getEarningsReaction, getReportDay, quarterOf } from './earnings';
+import { getEarningsReport, getQuarterlyFundamentals } from './fundamentals';
+
+const DAY_SEC = 86400;
+
+// Close-to-close moves (%) that make a story.
+const MOVE_THRESHOLD        = 3;
+const MARKET_MOVE_THRESHOLD = 1.5;
+
+// Share of trading days with a routine story, per symbol.
+const BRIEF_RATE = 0.12;
+
+// Sessions a move's volume is compared against.
+const VOLUME_LOOKBACK = 10;
+
+const MARKET_SYMBOL = '^BENCH';
+const MARKET_NAME   = INDICES.find(i => i.symbol === MARKET_SYMBOL).name;
+
+const ID_PATTERN = /^(market|[A-Z]+)-(move|earnings|event|brief)-(\d+)$/;
+
+/* ── Wording ──────────────────────────────────────────────────────────────── */
+
+const pick = (list, r) => list[Math.floor(r * list.length)];
+
+const newsSeed = (symbol) => symbolSeed(`news:${symbol}`);
+
+/** "Apple Inc." → "Apple", "The Goldman Sachs Group Inc." → "Goldman Sachs" */
+function shortName(symbol) {
+  return getTickerData(symbol).name
+    .replace(/^The /, '')
+    .replace(/( (Platforms|Holdings|Technologies|Technology|Global|Group))?( Inc\.| Corporation| Company| S\.A\.| & Co\.)$/, '')
+    .replace(/\.com$/, '');
+}
+
+/** [present, past] verbs for a % move. */
+function moveVerbs(pct) {
+  const verbs = MOVE_VERBS.find(v => Math.abs(pct) >= v.min);
+  return pct >= 0 ? verbs.up : verbs.down;
+}
+
+const fmtAbsPct = (pct) => `${Math.abs(pct).toFixed(1)}%`;
+const fmtSignedPct = (pct) => `${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%`;
+
+/** "Fri, Feb 20, 2026" */
+function fmtDay(dayNum) {
+  const weekday = new Date(dayNum * DAY_SEC * 1000).toLocaleString('en-US', { weekday: 'short', timeZone: 'UTC' });
+  return `${weekday}, ${fmtLongDate(dayNum)}`;
+}
+
+/** "10:15 AM" for a market-local epoch second. */
+function fmtClock(unixSec) {
+  return fmtMinuteTime(Math.floor((unixSec % DAY_SEC - MARKET_OPEN_SEC) / 60));
+}
+
+/** "Feb 20, 2026 · 4:23 PM ET" — an article's dateline. */
+export function fmtPublished(unixSec) {
+  return `${fmtLongDate(Math.floor(unixSec / DAY_SEC))} · ${fmtClock(unixSec)} ET`;
+}
+
+/** "$94.93 billion" */
+function fmtBillions(v) {
+  return Math.abs(v) >= 1e9 ? `$${(v / 1e9).toFixed(2)} billion` : `$${(v / 1e6).toFixed(1)} million`;
+}
+
+/**
+ * Assemble an article; the source follows from its id.  `related` lists
+ * the symbols it mentions, `seeAlso` the ids of articles it follows up.
+ *
+ * @returns {{ id, kind, symbol: string|null, related: string[], headline,
+ *             source, publishedSec, body: string[], seeAlso: string[] }}
+ */
+function article(id, kind, symbol, related, publishedSec, headline, body, seeAlso = []) {
+  const source = pick(NEWS_SOURCES, rand2(symbolSeed(id), 0));
+  return { id, kind, symbol, related, headline, source, publishedSec, body, seeAlso };
+}
+
+/* ── Price moves ──────────────────────────────────────────────────────────── */
+
+/** Second after `dayNum`'s close at which its move story is published. */
+function afterClose(symbol, dayNum) {
+  const offset = 300 + Math.floor(rand2(newsSeed(symbol) ^ 0x1001, dayNum) * 2400);
+  return dayNum * DAY_SEC + MARKET_OPEN_SEC + getSessionDuration(dayNum) + offset;
+}
+
+/** `dayNum`'s completed bar, the previous close and the % change. */
+function dayMove(symbol, dayNum) {
+  const { basePrice } = getTickerData(symbol);
+  const bar  = getDayBar(symbol, basePrice, dayNum);
+  const prev = getPreviousClose(symbol, basePrice, dayNum);
+  return { bar, prev, pct: ((bar.close - prev) / prev) * 100 };
+}
+
+/** Mean volume of the VOLUME_LOOKBACK sessions before `dayNum`. */
+function averageVolume(symbol, dayNum) {
+  const { basePrice } = getTickerData(symbol);
+  let total = 0;
+  let d = dayNum;
+  for (let i = 0; i < VOLUME_LOOKBACK; i++) {
+    d = previousTradingDay(d);
+    total += getDayBar(symbol, basePrice, d).volume;
+  }
+  return total / VOLUME_LOOKBACK;
+}
+
+/** Halts, shocks and drifts of the active scenario touching `symbol` on `dayNum`, with their indices. */
+function scenarioMovesOn(symbol, dayNum) {
+  const dayStart = dayNum * DAY_SEC;
+  return getScenarioEvents()
+    .map((ev, index) => ({ ev, index }))
+    .filter(({ ev }) => ev.type !== 'volatility' &&
+      ev.start < dayStart + DAY_SEC && ev.end > dayStart &&
+      (ev.symbols === '*' || ev.symbols.includes(symbol)));
+}
+
+/*
+ * The cause of a stock's move the story can name: a headline phrase, a
+ * paragraph and related article ids.  Earnings come first, then scenario
+ * events, then the market; otherwise none.
+ */
+function moveCause(symbol, dayNum, pct, unixSec) {
+  const reaction = getEarningsReaction(symbol, dayNum);
+  if (reaction) {
+    const r = getEarningsReport(symbol, reaction.quarter, unixSec);
+    const beat = r.surprisePct >= 0;
+    return {
+      phrase: `after ${r.label} earnings ${beat ? 'beat' : 'miss'}`,
+      text: `The move followed the company's ${r.label} report ${reaction.afterClose ? 'after the previous close' : 'before the open'}: ` +
+        `earnings of $${r.actual.toFixed(2)} a share against the $${r.estimate.toFixed(2)} analysts expected, ` +
+        `a ${fmtAbsPct(r.surprisePct)} ${beat ? 'beat' : 'miss'}.`,
+      related: [`${symbol}-earnings-${reaction.quarter}`],
+    };
+  }
+
+  const events = scenarioMovesOn(symbol, dayNum);
+  if (events.length) {
+    const { ev, index } = events[0];
+    const marketWide = ev.symbols === '*';
+    const id = `${marketWide ? 'market' : ev.symbols[0]}-event-${index}`;
+    if (ev.type === 'halt') {
+      return {
+        phrase: 'after trading halt',
+        text: `Trading in the stock was halted at ${fmtClock(ev.start)} ET (${ev.reason.toLowerCase()}) and resumed at ${fmtClock(ev.end)} ET.`,
+        related: [id],
+      };
+    }
+    if (ev.type === 'drift') {
+      return {
+        phrase: marketWide ? `amid market-wide ${ev.move >= 0 ? 'advance' : 'decline'}` : '',
+        text: `${marketWide ? 'The whole market has' : 'The stock has'} been drifting ${ev.move >= 0 ? 'higher' : 'lower'} ` +
+          `since ${fmtClock(ev.start)} ET on ${fmtDay(Math.floor(ev.start / DAY_SEC))}.`,
+        related: [id],
+      };
+    }
+    return {
+      phrase: marketWide ? `in market-wide ${ev.move >= 0 ? 'rally' : 'sell-off'}` : 'in sharp intraday move',
+      text: marketWide
+        ? `The whole market moved at once at ${fmtClock(ev.start)} ET, taking the stock with it.`
+        : `Much of the move came in a single burst at ${fmtClock(ev.start)} ET.`,
+      related: [id],
+    };
+  }
+
+  const market = dayMove(MARKET_SYMBOL, dayNum);
+  if (Math.abs(market.pct) >= MARKET_MOVE_THRESHOLD && Math.sign(market.pct) === Math.sign(pct)) {
+    return {
+      phrase: `as market ${market.pct >= 0 ? 'rallies' : 'slides'}`,
+      text: `The broader market moved the same way: the ${MARKET_NAME} ${moveVerbs(market.pct)[1]} ${fmtAbsPct(market.pct)}.`,
+      related: [`market-move-${dayNum}`],
+    };
+  }
+
+  return { phrase: '', text: 'There was no company-specific news to explain the move.', related: [] };
+}
+
+function moveArticle(symbol, dayNum, unixSec) {
+  if (!isTradingDay(dayNum)) return null;
+  const publishedSec = afterClose(symbol, dayNum);
+  if (publishedSec > unixSec) return null;
+  const { bar, prev, pct } = dayMove(symbol, dayNum);
+  if (Math.abs(pct) < MOVE_THRESHOLD) return null;
+
+  const [verb, past] = moveVerbs(pct);
+  const cause  = moveCause(symbol, dayNum, pct, unixSec);
+  const ratio  = bar.volume / averageVolume(symbol, dayNum);
+  const headline = `${shortName(symbol)} shares ${verb} ${fmtAbsPct(pct)}${cause.phrase ? ` ${cause.phrase}` : ''}`;
+  return article(`${symbol}-move-${dayNum}`, 'move', symbol, [symbol], publishedSec, headline, [
+    `Shares of ${getTickerData(symbol).name} (${symbol}) ${past} ${fmtAbsPct(pct)} on ${fmtDay(dayNum)}, ` +
+      `closing at $${bar.close.toFixed(2)} against a previous close of $${prev.toFixed(2)}. ` +
+      `The stock traded between $${bar.low.toFixed(2)} and $${bar.high.toFixed(2)} during the session.`,
+    cause.text,
+    `Volume was ${bar.volume.toLocaleString()} shares, ${ratio.toFixed(1)} times the ` +
+      `${VOLUME_LOOKBACK}-session average.`,
+  ], cause.related);
+}
+
+/* Market-wide move of the ^BENCH index, with breadth and the biggest movers. */
+function marketMoveArticle(dayNum, unixSec) {
+  if (!isTradingDay(dayNum)) return null;
+  const publishedSec = afterClose(MARKET_SYMBOL, dayNum);
+  if (publishedSec > unixSec) return null;
+  const { bar, prev, pct } = dayMove(MARKET_SYMBOL, dayNum);
+  if (Math.abs(pct) < MARKET_MOVE_THRESHOLD) return null;
+
+  const movers = Object.keys(STOCK_DATA)
+    .map(symbol => ({ symbol, pct: dayMove(symbol, dayNum).pct }))
+    .sort((a, b) => b.pct - a.pct);
+  const advancers = movers.filter(m => m.pct > 0).length;
+  const best = movers[0], worst = movers[movers.length - 1];
+  const [verb, past] = moveVerbs(pct);
+  const headline = `Stocks ${verb} as the ${MARKET_NAME} ${pct >= 0 ? 'gains' : 'loses'} ${fmtAbsPct(pct)}`;
+  return article(`market-move-${dayNum}`, 'market', null, [best.symbol, worst.symbol], publishedSec, headline, [
+    `The ${MARKET_NAME} ${past} ${fmtAbsPct(pct)} on ${fmtDay(dayNum)} to close at ${bar.close.toFixed(2)}, ` +
+      `from ${prev.toFixed(2)} the session before.`,
+    `${advancers} of its ${movers.length} members ended higher and ${movers.length - advancers} lower.`,
+    `${shortName(best.symbol)} (${best.symbol}) led with ${fmtSignedPct(best.pct)}, while ` +
+      `${shortName(worst.symbol)} (${worst.symbol}) was the weakest at ${fmtSignedPct(worst.pct)}.`,
+  ]);
+}
+
+/* ── Earnings ─────────────────────────────────────────────────────────────── */
+
+function earningsArticle(symbol, q, unixSec) {
+  const report = getEarningsReport(symbol, q, unixSec);
+  const publishedSec = report.reportSec + 120 + Math.floor(rand2(newsSeed(symbol) ^ 0x3003, q) * 480);
+  if (publishedSec > unixSec) return null;
+
+  const [period] = getQuarterlyFundamentals(symbol, report.reportSec, 1);
+  const beat = report.surprisePct >= 0;
+  const short = shortName(symbol);
+  const eps = `$${report.actual.toFixed(2)}`;
+  const headline = beat
+    ? `${short} tops ${report.label} estimates with EPS of ${eps}`
+    : `${short} misses ${report.label} estimates as EPS comes in at ${eps}`;
+  return article(`${symbol}-earnings-${q}`, 'earnings', symbol, [symbol], publishedSec, headline, [
+    `${getTickerData(symbol).name} (${symbol}) reported ${report.label} earnings of ${eps} a share ` +
+      `${report.time === 'bmo' ? 'before the open' : 'after the close'} on ${fmtDay(report.reportDay)}, ` +
+      `${beat ? 'above' : 'below'} the consensus estimate of $${report.estimate.toFixed(2)}: ` +
+      `a surprise of ${fmtSignedPct(report.surprisePct)}.`,
+    `Revenue for the quarter was ${fmtBillions(period.revenue)} and net income ${fmtBillions(period.netIncome)}, ` +
+      `a net margin of ${period.netMargin.toFixed(1)}%.`,
+    report.time === 'bmo'
+      ? 'The shares trade on the results from today\'s open.'
+      : `The shares trade on the results after hours and in the next session, on ${fmtDay(report.reactionDay)}.`,
+  ]);
+}
+
+/* ── Scenario events ──────────────────────────────────────────────────────── */
+
+/** Price of `symbol` at a market-local epoch second. */
+function priceAt(symbol, unixSec) {
+  const dayNum = Math.floor(unixSec / DAY_SEC);
+  return getPriceAtSecond(symbol, getTickerData(symbol).basePrice, dayNum, unixSec % DAY_SEC - MARKET_OPEN_SEC);
+}
+
+/*
+ * Story on event `index` of the active scenario.  Single-symbol events are
+ * filed under that symbol; others list every symbol they touch, or the
+ * market for "*".
+ */
+function eventArticle(index, unixSec) {
+  const ev = getScenarioEvents()[index];
+  if (!ev) return null;
+  const marketWide = ev.symbols === '*';
+  const symbols    = marketWide ? [] : ev.symbols.filter(s => getTickerData(s));
+  if (!marketWide && !symbols.length) return null;
+  const id      = `${marketWide ? 'market' : symbols[0]}-event-${index}`;
+  const subject = marketWide ? MARKET_SYMBOL : symbols[0];
+  const who     = marketWide ? 'Stocks' : `${symbols.map(shortName).join(', ')} shares`;
+  const name    = marketWide ? `the ${MARKET_NAME}` : `${getTickerData(subject).name} (${subject})`;
+  const symbol  = marketWide ? null : symbols[0];
+  const jitter  = Math.floor(rand2(symbolSeed(id), 1) * 90);
+  const when    = (sec) => `${fmtClock(sec)} ET on ${fmtDay(Math.floor(sec / DAY_SEC))}`;
+
+  if (ev.type === 'halt') {
+    const publishedSec = ev.start + 30 + jitter;
+    if (publishedSec > unixSec) return null;
+    const last = priceAt(subject, ev.start - 1);
+    return article(id, 'event', symbol, symbols, publishedSec,
+      `Trading in ${marketWide ? 'all stocks' : symbols.map(shortName).join(', ')} halted: ${ev.reason}`, [
+        `Trading in ${marketWide ? 'every listed stock' : name} was halted at ${when(ev.start)}, citing: ` +
+          `${ev.reason.toLowerCase()}. The last trade before the halt was at ${marketWide ? '' : '$'}${last.toFixed(2)}` +
+          `${marketWide ? ` for ${name}` : ''}.`,
+        `Trading is scheduled to resume at ${fmtClock(ev.end)} ET.`,
+      ]);
+  }
+
+  if (ev.type === 'volatility') {
+    if (ev.multiplier <= 1) return null;
+    const publishedSec = ev.start + 600 + jitter;
+    if (publishedSec > unixSec) return null;
+    return article(id, 'event', symbol, symbols, publishedSec,
+      `Volatility surges in ${marketWide ? 'the stock market' : `${symbols.map(shortName).join(', ')} shares`}`, [
+        `Price swings in ${marketWide ? 'stocks across the market' : name} widened to about ` +
+          `${ev.multiplier.toFixed(1)} times their usual size from ${when(ev.start)}, on heavier volume.`,
+        `Traders expect the choppy conditions to last until around ${when(ev.end)}.`,
+      ]);
+  }
+
+  // shock or drift: reported once it has played out
+  const publishedSec = ev.end + 60 + jitter;
+  if (publishedSec > unixSec) return null;
+  const pct = ev.move * 100;
+  const [verb, past] = moveVerbs(pct);
+  const before = priceAt(subject, ev.start - 1);
+  const after  = priceAt(subject, ev.end);
+  const unit   = marketWide ? '' : '$';
+  const subjectName = marketWide ? `The ${MARKET_NAME}` : name;
+  const minutes = Math.round((ev.end - ev.start) / 60);
+  const headline = ev.type === 'shock'
+    ? `${who} ${verb} ${fmtAbsPct(pct)} in sudden ${marketWide ? (pct >= 0 ? 'market-wide rally' : 'market-wide sell-off') : 'move'}`
+    : `${who} ${verb} ${fmtAbsPct(pct)} in steady ${pct >= 0 ? 'advance' : 'decline'}`;
+  return article(id, 'event', symbol, symbols, publishedSec, headline, [
+    minutes < 1
+      ? `${subjectName} ${past} from ${unit}${before.toFixed(2)} to ${unit}${after.toFixed(2)} in an instant at ${when(ev.start)}.`
+      : `${subjectName} went from ${unit}${before.toFixed(2)} at ${when(ev.start)} to ` +
+        `${unit}${after.toFixed(2)} at ${when(ev.end)}.`,
+    ev.type === 'shock'
+      ? (minutes < 1
+        ? 'There was no immediate explanation from the exchanges.'
+        : `${marketWide ? 'Every stock' : 'The stock'} ${past} about ${fmtAbsPct(pct)} over ${minutes} minutes, ` +
+          'with no immediate explanation from the exchanges.')
+      : `The ${fmtAbsPct(pct)} ${pct >= 0 ? 'gain' : 'loss'} built up gradually over the period rather than in a single move.`,
+  ]);
+}
+
+/* ── Routine stories ──────────────────────────────────────────────────────── */
+
+function briefArticle(symbol, dayNum, unixSec) {
+  const seed = newsSeed(symbol);
+  if (!isTradingDay(dayNum) || rand2(seed ^ 0x4004, dayNum) >= BRIEF_RATE) return null;
+  const publishedSec = dayNum * DAY_SEC + 6 * 3600 + Math.floor(rand2(seed ^ 0x4005, dayNum) * 13 * 3600);
+  if (publishedSec > unixSec) return null;
+
+  const info = STOCK_DATA[symbol];
+  const template = pick(BRIEF_TEMPLATES, rand2(seed ^ 0x4006, dayNum));
+  const context = {
+    name:   info.name,
+    short:  shortName(symbol),
+    symbol,
+    sector: info.sector,
+    firm:   pick(ANALYST_FIRMS, rand2(seed ^ 0x4007, dayNum)),
+    price:  getPreviousClose(symbol, info.basePrice, dayNum),
+    up:     rand2(seed ^ 0x4008, dayNum),
+  };
+  return article(`${symbol}-brief-${dayNum}`, 'brief', symbol, [symbol], publishedSec,
+    template.headline(context), template.body(context));
+}
+
+/* ── Feeds ────────────────────────────────────────────────────────────────── */
+
+/** Published articles since `sinceSec`, newest first. */
+function feed(articles, sinceSec) {
+  return articles
+    .filter(a => a && a.publishedSec >= sinceSec)
+    .sort((a, b) => b.publishedSec - a.publishedSec || a.id.localeCompare(b.id));
+}
+
+/** A stock's own stories (moves, reports, briefs) over calendar days `fromDay`..`toDay`. */
+function symbolStories(symbol, fromDay, toDay, unixSec) {
+  const out = [];
+  for (let d = fromDay; d <= toDay; d++) {
+    out.push(moveArticle(symbol, d, unixSec), briefArticle(symbol, d, unixSec));
+  }
+  for (let q = quarterOf(fromDay) - 2; q <= quarterOf(toDay); q++) {
+    if (getReportDay(symbol, q) >= fromDay) out.push(earningsArticle(symbol, q, unixSec));
+  }
+  return out;
+}
+
+/**
+ * Articles about `symbol` published in the last `days` calendar days up to
+ * `unixSec`, newest first: its own stories and the scenario events that
+ * touch it.  Empty for indices.
+ */
+export function getSymbolNews(symbol, unixSec, days = 30) {
+  if (!STOCK_DATA[symbol]) return [];
+  const today = Math.floor(unixSec / DAY_SEC);
+  const events = getScenarioEvents()
+    .map((ev, i) => (ev.symbols === '*' || ev.symbols.includes(symbol) ? eventArticle(i, unixSec) : null));
+  return feed([...symbolStories(symbol, today - days, today, unixSec), ...events], (today - days) * DAY_SEC);
+}
+
+/**
+ * Every article published in the last `days` calendar days up to `unixSec`,
+ * newest first: each stock's stories, market moves and scenario events.
+ */
+export function getMarketNews(unixSec, days = 3) {
+  const today = Math.floor(unixSec / DAY_SEC);
+  const out = [];
+  for (const symbol of Object.keys(STOCK_DATA)) out.push(...symbolStories(symbol, today - days, today, unixSec));
+  for (let d = today - days; d <= today; d++) out.push(marketMoveArticle(d, unixSec));
+  getScenarioEvents().forEach((ev, i) => out.push(eventArticle(i, unixSec)));
+  return feed(out, (today - days) * DAY_SEC);
+}
+
+/**
+ * The article with id `id` if it has been published by `unixSec`, else
+ * null (also for malformed ids, days or quarters outside the simulation
+ * range and events of a scenario no longer active).
+ */
+export function getArticle(id, unixSec) {
+  const m = ID_PATTERN.exec(id || '');
+  if (!m) return null;
+  const [, who, kind, nStr] = m;
+  const n = Number(nStr);
+  const { startDay, endDay } = getSimRange();
+  if (kind === 'earnings' ? n < quarterOf(startDay) || n > quarterOf(endDay)
+    : kind !== 'event' && (n < startDay || n > endDay)) return null;
+  let found = null;
+  if (kind === 'event') found = eventArticle(n, unixSec);
+  else if (who === 'market') found = kind === 'move' ? marketMoveArticle(n, unixSec) : null;
+  else if (STOCK_DATA[who]) {
+    if (kind === 'move')     found = moveArticle(who, n, unixSec);
+    if (kind === 'earnings') found = earningsArticle(who, n, unixSec);
+    if (kind === 'brief')    found = briefArticle(who, n, unixSec);
+  }
+  return found && found.id === id ? found : null;
+}
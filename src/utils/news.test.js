@@ -0,0 +1,40 @@
+import { getArticle, getSymbolNews } from './news';
+import { getSimRange } from './tradingCalendar';
+import { quarterOf } from './earnings';
+import { SIMULATED_DAY_NUM } from './priceEngine';
+import { STOCK_DATA } from '../data/mockData';
+
+// Fri Feb 20, 2026 at 6:00 PM, after the day's move stories are out.
+const NOW = SIMULATED_DAY_NUM * 86400 + 18 * 3600;
+
+test('published articles can be looked up by id', () => {
+  const news = getSymbolNews('AAPL', NOW);
+  expect(news.length).toBeGreaterThan(0);
+  for (const a of news) expect(getArticle(a.id, NOW)).toEqual(a);
+});
+
+test.each([
+  '', 'AAPL', 'AAPL-move', 'AAPL-move-abc', 'AAPL-rumor-20504', 'aapl-move-20504',
+  'XYZ-move-20504', 'market-earnings-20504', 'AAPL-move-020504',
+])('malformed id %p is not found', (id) => {
+  expect(getArticle(id, NOW)).toBeNull();
+});
+
+test.each([
+  'AAPL-earnings-0', 'AAPL-earnings-99999999', 'AAPL-brief-10003', 'AAPL-move-99999999', 'market-move-0',
+])('out-of-range id %p is not found', (id) => {
+  expect(getArticle(id, NOW)).toBeNull();
+});
+
+test('the first and last quarters and days of the range can be looked up', () => {
+  const { startDay, endDay } = getSimRange();
+  const END = (endDay + 1) * 86400;
+  for (const symbol of Object.keys(STOCK_DATA)) {
+    for (const q of [quarterOf(startDay), quarterOf(endDay)]) {
+      expect(() => getArticle(`${symbol}-earnings-${q}`, END)).not.toThrow();
+    }
+    for (const d of [startDay, endDay]) {
+      expect(() => getArticle(`${symbol}-brief-${d}`, END)).not.toThrow();
+    }
+  }
+});
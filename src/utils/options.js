@@ -0,0 +1,260 @@
+/* ─── options.js ────────────────────────────────────────────────────────────
+ * Simulated listed options: expirations, strikes and quotes for every
+ * symbol, priced with Black-Scholes off the engine's current price.
+ *
+ * Volatility comes from the symbol's own history: the at-the-money level is
+ * its 30-day realized volatility plus a premium, raised for expirations that
+ * span the next earnings report, with a skew and smile across strikes.
+ * Quotes bracket the model price; the last trade and open interest are
+ * seeded per contract, so a given instant always shows the same chain.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+import { getTickerData, getStockMetrics } from '../data/mockData';
+import { symbolSeed, rand2 } from './hash';
+import { createStore } from './seriesStore';
+import {
+  isTradingDay,
+  previousTradingDay,
+  getLastTradingDays,
+  getSessionDuration,
+  getSimRange,
+} from './tradingCalendar';
+import {
+  getCurrentMarketState,
+  getLastPrice,
+  getDayBar,
+  getAdjustmentFactor,
+  MARKET_OPEN_SEC,
+} from './priceEngine';
+import { getNextEarnings } from './fundamentals';
+import { blackScholes, impliedVolatility } from './blackScholes';
+
+const DAY_SEC  = 86400;
+const YEAR_SEC = 365 * DAY_SEC;
+
+/** Continuously compounded risk-free rate used for every chain. */
+export const RISK_FREE_RATE = 0.045;
+
+// Weekly expirations listed ahead, and months of monthly (third-Friday) ones.
+const WEEKLY_COUNT  = 4;
+const MONTHLY_COUNT = 4;
+
+// Strikes listed on each side of the at-the-money strike.
+const STRIKES_EACH_SIDE = 10;
+
+// Strike spacing by underlying price: [price below, step].
+const STRIKE_STEPS = [[25, 0.5], [100, 1], [250, 2.5], [1000, 5], [2500, 10], [Infinity, 25]];
+
+// Implied volatility: realized × premium, never below the floor; the
+// earnings move adds its variance to expirations after the report.
+const HIST_VOL_DAYS  = 30;
+const VOL_PREMIUM    = 1.1;
+const VOL_FLOOR      = 0.12;
+const EARNINGS_MOVE  = 0.05;
+
+// Smile: vol × (1 − SKEW·m + SMILE·m²), m = log-moneyness per √year,
+// with short expirations treated as at least MIN_SMILE_YEARS out.
+const SKEW  = 0.15;
+const SMILE = 0.35;
+const MIN_SMILE_YEARS = 7 / 365;
+
+// Quoted spread: a share of the model price, at least one tick.
+const SPREAD_SHARE = 0.03;
+
+/* ── Expirations ──────────────────────────────────────────────────────────── */
+
+/** Day of week for a day number (0 = Sunday … 6 = Saturday). */
+function dow(dayNum) {
+  return new Date(dayNum * DAY_SEC * 1000).getUTCDay();
+}
+
+/** Third Friday of the month `offset` months after the one holding `dayNum`. */
+function thirdFriday(dayNum, offset) {
+  const d     = new Date(dayNum * DAY_SEC * 1000);
+  const first = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + offset, 1) / (DAY_SEC * 1000);
+  return first + ((5 - dow(first) + 7) % 7) + 14;
+}
+
+/** An expiration Friday moved back to the previous session when it is a holiday. */
+function expiryDay(friday) {
+  return isTradingDay(friday) ? friday : previousTradingDay(friday);
+}
+
+/**
+ * Expirations still trading at `unixSec`, soonest first: the next
+ * WEEKLY_COUNT weekly Fridays, and monthly third Fridays for MONTHLY_COUNT
+ * months ahead.  Each stops trading at its session's close.
+ *
+ * @returns {Array<{ dayNum, closeSec, days, monthly }>}
+ *   closeSec is market-local epoch seconds, days the calendar days left
+ */
+export function getOptionExpirations(unixSec) {
+  const today = Math.floor(unixSec / DAY_SEC);
+  const { endDay } = getSimRange();
+  const friday = today + ((5 - dow(today) + 7) % 7);
+
+  const byDay = new Map();
+  for (let k = 0; k <= MONTHLY_COUNT; k++) byDay.set(expiryDay(thirdFriday(today, k)), true);
+  for (let k = 0; k <= WEEKLY_COUNT; k++) {
+    const day = expiryDay(friday + k * 7);
+    if (!byDay.has(day)) byDay.set(day, false);
+  }
+
+  let weeklies = 0;
+  return [...byDay.entries()]
+    .map(([dayNum, monthly]) => ({
+      dayNum,
+      closeSec: dayNum * DAY_SEC + MARKET_OPEN_SEC + getSessionDuration(dayNum),
+      days: dayNum - today,
+      monthly,
+    }))
+    .filter(e => e.closeSec > unixSec && e.dayNum <= endDay)
+    .sort((a, b) => a.dayNum - b.dayNum)
+    .filter(e => e.monthly || ++weeklies <= WEEKLY_COUNT);
+}
+
+/* ── Volatility ───────────────────────────────────────────────────────────── */
+
+// `${symbol}|${dayNum}` → realized volatility before that day.
+const histVolStore = createStore(256);
+
+/**
+ * Annualized volatility of the split-adjusted daily closes over the
+ * HIST_VOL_DAYS sessions before `dayNum` (sample standard deviation of log
+ * returns × √252).
+ */
+export function getHistoricalVolatility(symbol, dayNum) {
+  const key = `${symbol}|${dayNum}`;
+  const cached = histVolStore.get(key);
+  if (cached !== undefined) return cached;
+
+  const { basePrice } = getTickerData(symbol);
+  const closes = getLastTradingDays(HIST_VOL_DAYS + 1, dayNum).map(d =>
+    getDayBar(symbol, basePrice, d).close * getAdjustmentFactor(symbol, basePrice, d, dayNum, 'split'));
+  const returns = closes.slice(1).map((c, i) => Math.log(c / closes[i]));
+  const mean = returns.reduce((s, r) => s + r, 0) / returns.length;
+  const variance = returns.reduce((s, r) => s + (r - mean) ** 2, 0) / (returns.length - 1);
+  const vol = Math.sqrt(variance * 252);
+
+  histVolStore.set(key, vol);
+  return vol;
+}
+
+/**
+ * At-the-money volatility for an expiration: realized volatility with its
+ * premium, plus the earnings move's variance when the next report's
+ * reaction session comes before the expiration.
+ */
+function expiryVolatility(symbol, histVol, expiry, years, unixSec) {
+  const base = Math.max(VOL_FLOOR, histVol * VOL_PREMIUM);
+  const next = getNextEarnings(symbol, unixSec);
+  if (!next || next.reactionDay > expiry.dayNum) return base;
+  return Math.sqrt(base * base + EARNINGS_MOVE * EARNINGS_MOVE / years);
+}
+
+/** Volatility at one strike: the expiration's level bent by skew and smile. */
+function strikeVolatility(atmVol, spot, strike, years) {
+  const m = Math.log(strike / spot) / Math.sqrt(Math.max(years, MIN_SMILE_YEARS));
+  return Math.max(0.05, atmVol * (1 - SKEW * m + SMILE * m * m));
+}
+
+/* ── Contracts ────────────────────────────────────────────────────────────── */
+
+/** Spacing between listed strikes for an underlying price. */
+export function getStrikeStep(price) {
+  return STRIKE_STEPS.find(([below]) => price < below)[1];
+}
+
+// Contracts under $3 trade in pennies, the rest in nickels.
+const tickFor = (price) => (price < 3 ? 0.01 : 0.05);
+
+const toTick = (x, tick, round) => +(round(+(x / tick).toFixed(6)) * tick).toFixed(2);
+
+/**
+ * Open interest in contracts: highest near the money and at round strikes,
+ * larger out of the money and in monthly expirations, redrawn each session.
+ */
+function openInterest(symbol, type, expiry, strike, spot, step, sessionDay) {
+  const metrics   = getStockMetrics(symbol);
+  const base      = metrics ? metrics.avgVolume / 2000 : 20000;
+  const distance  = Math.abs(strike - spot) / (step * STRIKES_EACH_SIDE);
+  const otm       = type === 'call' ? strike >= spot : strike <= spot;
+  const roundness = Math.abs(strike / (step * 5) - Math.round(strike / (step * 5))) < 1e-9 ? 1.5 : 1;
+  const noise     = 0.5 + rand2(symbolSeed(`${symbol}|${type}|${expiry.dayNum}|${strike}`), sessionDay);
+  return Math.round(base * Math.exp(-3 * distance * distance) * roundness *
+    (otm ? 1 : 0.6) * (expiry.monthly ? 1 : 0.4) * noise);
+}
+
+/**
+ * One contract's quote: bid and ask around the Black-Scholes price, a
+ * seeded last trade between them (redrawn each minute), the volatility
+ * implied by the mid price (none without a bid, where the mid is mostly
+ * rounding), open interest and the model's Greeks.
+ */
+function makeContract(symbol, type, inputs, ctx) {
+  const { price, delta, gamma, theta, vega } = blackScholes(type, inputs);
+  const tick = tickFor(price);
+  const half = Math.max(tick, price * SPREAD_SHARE / 2);
+  const bid  = Math.max(0, toTick(price - half, tick, Math.floor));
+  const ask  = Math.max(tick, toTick(price + half, tick, Math.ceil));
+  const seed = symbolSeed(`${symbol}|${type}|${ctx.expiry.dayNum}|${inputs.strike}|last`);
+  const last = toTick(bid + (ask - bid) * rand2(seed, ctx.minute), tick, Math.round);
+
+  return {
+    type,
+    strike: inputs.strike,
+    bid, ask, last,
+    iv: bid > 0 ? impliedVolatility(type, (bid + ask) / 2, inputs) : null,
+    openInterest: openInterest(symbol, type, ctx.expiry, inputs.strike, inputs.spot, ctx.step, ctx.sessionDay),
+    delta, gamma, theta, vega,
+    inTheMoney: type === 'call' ? inputs.strike < inputs.spot : inputs.strike > inputs.spot,
+  };
+}
+
+/* ── Chain ────────────────────────────────────────────────────────────────── */
+
+/**
+ * The option chain for one expiration at `unixSec`: STRIKES_EACH_SIDE
+ * strikes either side of the money, each with a call and a put, priced off
+ * the engine's current price (the last close outside regular hours).
+ * Null for an unknown symbol or an expiration not listed at `unixSec`.
+ *
+ * @param {string} symbol
+ * @param {number} expiryDayNum  an expiration from getOptionExpirations
+ * @param {number} unixSec       market-local epoch seconds
+ * @returns {{ symbol, spot, expiry, years, rate, dividendYield, histVol, atmVol, step,
+ *             rows: Array<{ strike, call, put }> } | null}
+ */
+export function getOptionChain(symbol, expiryDayNum, unixSec) {
+  const info   = getTickerData(symbol);
+  const expiry = getOptionExpirations(unixSec).find(e => e.dayNum === expiryDayNum);
+  if (!info || !expiry) return null;
+
+  const state   = getCurrentMarketState(unixSec);
+  const spot    = getLastPrice(symbol, info.basePrice, state.dayNum, state.marketSec);
+  const years   = (expiry.closeSec - state.unixSec) / YEAR_SEC;
+  const histVol = getHistoricalVolatility(symbol, state.dayNum);
+  const atmVol  = expiryVolatility(symbol, histVol, expiry, years, state.unixSec);
+  const dividendYield = (getStockMetrics(symbol)?.dividendYield ?? 0) / 100;
+
+  const step = getStrikeStep(spot);
+  const atm  = Math.round(spot / step) * step;
+  const ctx  = { expiry, step, sessionDay: state.dayNum, minute: Math.floor(state.unixSec / 60) };
+
+  const rows = [];
+  for (let i = -STRIKES_EACH_SIDE; i <= STRIKES_EACH_SIDE; i++) {
+    const strike = +(atm + i * step).toFixed(2);
+    if (strike <= 0) continue;
+    const inputs = {
+      spot, strike, years, rate: RISK_FREE_RATE, dividendYield,
+      vol: strikeVolatility(atmVol, spot, strike, years),
+    };
+    rows.push({
+      strike,
+      call: makeContract(symbol, 'call', inputs, ctx),
+      put:  makeContract(symbol, 'put', inputs, ctx),
+    });
+  }
+
+  return { symbol, spot, expiry, years, rate: RISK_FREE_RATE, dividendYield, histVol, atmVol, step, rows };
+}
@@ -0,0 +1,172 @@
+/* ─── orderBook.js ──────────────────────────────────────────────────────────
+ * Simulated Level 2 order book and time-and-sales tape.
+ * Both are derived from the price engine: the book brackets the engine's
+ * price at the requested second, and the tape splits each minute bar's
+ * volume into individual prints at engine prices, so neither contradicts
+ * the chart.  Sizes and print times are seeded from the same symbol hash as
+ * the prices, so a given second always shows the same book and tape.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+import { symbolSeed, rand2 } from './hash';
+import { createStore } from './seriesStore';
+import { getHalt } from './scenarios';
+import { getSessionDuration } from './tradingCalendar';
+import { getPriceAtSecond, getMinuteBar, fmtMarketTime, MARKET_OPEN_SEC } from './priceEngine';
+
+const TICK = 0.01;
+const LOT  = 100;
+const PRE_MARKET_FIRST_MINUTE = -330;
+
+const toTicks = (x) => Math.round(x / TICK);
+const fromTicks = (n) => +(n * TICK).toFixed(2);
+
+/** True outside the regular session (pre-market or after hours). */
+function isExtendedHours(dayNum, marketSec) {
+  return marketSec < 0 || marketSec >= getSessionDuration(dayNum);
+}
+
+/* ── Order book ───────────────────────────────────────────────────────────── */
+
+/**
+ * Quoted spread in ticks: half a basis point of the price plus a tenth of
+ * the previous minute's high–low range, so it widens with volatility.
+ * Quadrupled in extended hours and doubled during the first five minutes
+ * of the session.
+ */
+function spreadTicks(symbol, basePrice, dayNum, marketSec, last) {
+  const prev  = getMinuteBar(symbol, basePrice, dayNum, Math.floor(marketSec / 60) - 1);
+  let spread  = last * 0.00005 + (prev.high - prev.low) * 0.1;
+  if (isExtendedHours(dayNum, marketSec)) spread *= 4;
+  else if (marketSec < 300)               spread *= 2;
+  return Math.max(1, toTicks(spread));
+}
+
+/**
+ * Resting size at one book level, in shares.  Deeper levels hold more, and
+ * sizes drift between values seeded every 5 seconds rather than jumping each
+ * second.  `thin` scales them down outside regular hours.
+ */
+function levelSize(symHash, side, level, dayNum, marketSec, thin) {
+  const seed = (symHash ^ (side === 'bid' ? 0xb1d0 : 0xa5c0) ^ (level << 20)) >>> 0;
+  const t    = dayNum * 100000 + marketSec + 20000; // non-negative for pre-market seconds
+  const b0   = Math.floor(t / 5);
+  const frac = (t - b0 * 5) / 5;
+  const u    = rand2(seed, b0) + (rand2(seed, b0 + 1) - rand2(seed, b0)) * frac;
+  return LOT * Math.max(1, Math.round((1 + level * 0.5) * (1 + u * 9) * thin));
+}
+
+/**
+ * Level 2 book for one symbol at one second.  The inside quote brackets the
+ * engine's last price, and further levels step out by about half a spread.
+ * During a trading halt there are no quotes (`halted` names the reason).
+ *
+ * @param {string} symbol
+ * @param {number} basePrice
+ * @param {number} dayNum
+ * @param {number} marketSec  seconds since 9:30 AM (extended hours allowed)
+ * @param {number} [depth]    levels per side
+ * @returns {{ last, bid, ask, bidSize, askSize, spread,
+ *             bids: Array<{ price, size }>, asks: Array<{ price, size }>, halted: string|null }}
+ */
+export function getOrderBook(symbol, basePrice, dayNum, marketSec, depth = 10) {
+  const last = getPriceAtSecond(symbol, basePrice, dayNum, marketSec);
+  const halt = getHalt(symbol, dayNum * 86400 + MARKET_OPEN_SEC + marketSec);
+  if (halt) {
+    return { last, bid: null, ask: null, bidSize: 0, askSize: 0, spread: null, bids: [], asks: [], halted: halt.reason };
+  }
+
+  const symHash = symbolSeed(symbol);
+  const spread  = spreadTicks(symbol, basePrice, dayNum, marketSec, last);
+  const step    = Math.max(1, Math.round(spread / 2));
+  const thin    = isExtendedHours(dayNum, marketSec) ? 0.2 : 1;
+
+  // Where the last price sits inside the spread is seeded per second.
+  const skew   = rand2(symHash ^ 0x5bead, dayNum * 100000 + marketSec);
+  const bidTck = toTicks(last) - Math.floor(spread * skew);
+  const askTck = bidTck + spread;
+
+  const bids = [], asks = [];
+  for (let i = 0; i < depth; i++) {
+    bids.push({ price: fromTicks(bidTck - i * step), size: levelSize(symHash, 'bid', i, dayNum, marketSec, thin) });
+    asks.push({ price: fromTicks(askTck + i * step), size: levelSize(symHash, 'ask', i, dayNum, marketSec, thin) });
+  }
+  return {
+    last,
+    bid: bids[0].price, ask: asks[0].price,
+    bidSize: bids[0].size, askSize: asks[0].size,
+    spread: fromTicks(spread),
+    bids, asks,
+    halted: null,
+  };
+}
+
+/* ── Time and sales ───────────────────────────────────────────────────────── */
+
+// `${symbol}|${basePrice}|${dayNum}|${minuteIdx}` → prints of that minute.
+const tapeStore = createStore(4096);
+
+/**
+ * Every print in one minute: the minute bar's volume split across seeded
+ * trade times (about one print per 200 shares), each at the engine's price
+ * for its second.  A print above the previous one is a buy, below a sell,
+ * unchanged keeps the previous side.
+ */
+function getMinuteTrades(symbol, basePrice, dayNum, minuteIdx) {
+  const key = `${symbol}|${basePrice}|${dayNum}|${minuteIdx}`;
+  const cached = tapeStore.get(key);
+  if (cached) return cached;
+
+  const { volume } = getMinuteBar(symbol, basePrice, dayNum, minuteIdx);
+  const trades = [];
+  if (volume > 0) {
+    const seed  = (symbolSeed(symbol) ^ 0x7a9e5) >>> 0;
+    const base  = (dayNum * 1000 + minuteIdx + 400) * 128;
+    const count = Math.min(60, Math.max(1, Math.round(volume / 200)));
+    const draws = [];
+    let weightSum = 0;
+    for (let k = 0; k < count; k++) {
+      const weight = 0.2 + rand2(seed, base + k * 2 + 1);
+      draws.push({ sec: Math.floor(rand2(seed, base + k * 2) * 60), weight });
+      weightSum += weight;
+    }
+    draws.sort((a, b) => a.sec - b.sec);
+
+    let allocated = 0;
+    let prevPrice = getPriceAtSecond(symbol, basePrice, dayNum, minuteIdx * 60 - 1);
+    let side = 'buy';
+    draws.forEach((d, k) => {
+      const size = k === count - 1
+        ? volume - allocated
+        : Math.floor(volume * d.weight / weightSum);
+      allocated += size;
+      const marketSec = minuteIdx * 60 + d.sec;
+      const price     = getPriceAtSecond(symbol, basePrice, dayNum, marketSec);
+      if (price > prevPrice) side = 'buy';
+      else if (price < prevPrice) side = 'sell';
+      prevPrice = price;
+      if (size > 0) trades.push({ marketSec, price, size, side });
+    });
+  }
+  tapeStore.set(key, trades);
+  return trades;
+}
+
+/**
+ * The most recent prints up to and including `marketSec`, newest first,
+ * looking back at most 30 minutes (and not before the pre-market opens).
+ *
+ * @returns {Array<{ marketSec, time, price, size, side }>}
+ */
+export function getTimeAndSales(symbol, basePrice, dayNum, marketSec, count = 20) {
+  const tape = [];
+  const current = Math.floor(marketSec / 60);
+  const oldest  = Math.max(PRE_MARKET_FIRST_MINUTE, current - 30);
+  for (let m = current; m >= oldest && tape.length < count; m--) {
+    const trades = getMinuteTrades(symbol, basePrice, dayNum, m);
+    for (let i = trades.length - 1; i >= 0 && tape.length < count; i--) {
+      if (trades[i].marketSec > marketSec) continue;
+      tape.push({ ...trades[i], time: fmtMarketTime(trades[i].marketSec) });
+    }
+  }
+  return tape;
+}
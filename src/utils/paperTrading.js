@@ -0,0 +1,460 @@
+/* ─── paperTrading.js ───────────────────────────────────────────────────────
+ * Paper-trading account: cash, market / limit / stop orders, fills,
+ * positions and P&L, persisted in localStorage like the watchlist.
+ *
+ * Market orders fill at once against the simulated order book (walking its
+ * levels, so large orders pay up).  Limit and stop orders rest until
+ * processOrders(), called on every clock tick, finds the first regular-
+ * session second at which they would execute; every second since the last
+ * call is checked, so fills are exact even when the clock runs fast.
+ * Orders that would fill in the same pass are applied in time order.
+ *
+ * Positions and resting orders are kept in the shares of their `asOfDay`
+ * and restated on a split's ex-date: quantities multiply by the ratio,
+ * prices and average cost divide by it, so a split changes neither the
+ * value held nor where an order executes.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+import { nowSec } from './clock';
+import { getTickerData, isIndexSymbol } from '../data/mockData';
+import {
+  getCurrentMarketState,
+  getLastPrice,
+  getMinuteBar,
+  getAdjustmentFactor,
+  MARKET_OPEN_SEC,
+} from './priceEngine';
+import { getOrderBook } from './orderBook';
+import { isTradingDay, nextTradingDay, getSessionDuration } from './tradingCalendar';
+
+const KEY = 'paper_account';
+
+export const DEFAULT_STARTING_CASH = 100000;
+
+export const ORDER_TYPES = ['market', 'limit', 'stop'];
+export const ORDER_SIDES = ['buy', 'sell'];
+export const TIME_IN_FORCE = ['day', 'gtc'];
+
+const MAX_HISTORY = 500;
+
+// With orders resting, the processed mark is saved when it moves at least
+// this far; until then a pass rescans from the saved mark, which finds the
+// same fills.
+const WATERMARK_SAVE_SEC = 3600;
+
+// Minutes whose sampled range comes within this fraction of an order's
+// price are checked second by second; others are skipped.
+const SCAN_MARGIN = 0.005;
+
+/**
+ * Rejected order.  `code` is one of INVALID_SYMBOL, INVALID_SIDE,
+ * INVALID_TYPE, INVALID_QUANTITY, INVALID_PRICE, INVALID_TIME_IN_FORCE,
+ * MARKET_CLOSED, TRADING_HALTED, INSUFFICIENT_FUNDS or INSUFFICIENT_SHARES.
+ */
+export class OrderValidationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'OrderValidationError';
+    this.code = code;
+  }
+}
+
+/* ── Storage ──────────────────────────────────────────────────────────────── */
+
+function newAccount(startingCash = DEFAULT_STARTING_CASH) {
+  return {
+    startingCash,
+    cash: startingCash,
+    positions: {},   // symbol → { quantity, avgCost, realizedPnl, asOfDay }
+    orders: [],      // newest last
+    nextOrderId: 1,
+    processedAt: null,
+  };
+}
+
+/** The stored account (a fresh one if none or unreadable). */
+export function getAccount() {
+  try {
+    const data = localStorage.getItem(KEY);
+    return data ? JSON.parse(data) : newAccount();
+  } catch (e) {
+    return newAccount();
+  }
+}
+
+function saveAccount(account) {
+  localStorage.setItem(KEY, JSON.stringify(account));
+}
+
+/** Start over with a new account holding only cash. */
+export function resetAccount(startingCash = DEFAULT_STARTING_CASH) {
+  saveAccount(newAccount(startingCash));
+}
+
+/* ── Pricing helpers ──────────────────────────────────────────────────────── */
+
+/** Split a market-local epoch second into its trading day and seconds since 9:30 AM. */
+function toMarketTime(unixSec) {
+  const dayNum = Math.floor(unixSec / 86400);
+  return { dayNum, marketSec: unixSec - dayNum * 86400 - MARKET_OPEN_SEC };
+}
+
+/** Average price to take `quantity` shares from book levels (best first); the last level absorbs any excess. */
+function walkBook(levels, quantity) {
+  let remaining = quantity, cost = 0;
+  for (const [i, level] of levels.entries()) {
+    const take = i === levels.length - 1 ? remaining : Math.min(remaining, level.size);
+    cost      += take * level.price;
+    remaining -= take;
+    if (!remaining) break;
+  }
+  return +(cost / quantity).toFixed(4);
+}
+
+/** Market-local epoch second at which a day order placed at `unixSec` expires. */
+function dayOrderExpiry(unixSec) {
+  const { dayNum, marketSec } = toMarketTime(unixSec);
+  const closesToday = isTradingDay(dayNum) && marketSec < getSessionDuration(dayNum);
+  const day = closesToday ? dayNum : nextTradingDay(dayNum);
+  return day * 86400 + MARKET_OPEN_SEC + getSessionDuration(day);
+}
+
+/** Cash set aside for resting buy orders (at their limit or stop price). */
+function reservedCash(account) {
+  return account.orders
+    .filter(o => o.status === 'open' && o.side === 'buy')
+    .reduce((sum, o) => sum + o.quantity * (o.limitPrice ?? o.stopPrice), 0);
+}
+
+/** Shares of `symbol` committed to resting sell orders. */
+function reservedShares(account, symbol) {
+  return account.orders
+    .filter(o => o.status === 'open' && o.side === 'sell' && o.symbol === symbol)
+    .reduce((sum, o) => sum + o.quantity, 0);
+}
+
+/* ── Splits ───────────────────────────────────────────────────────────────── */
+
+/** Shares per share held on `fromDay` by `toDay`: the splits with ex-dates in between. */
+export function splitRatio(symbol, fromDay, toDay) {
+  if (!(toDay > fromDay)) return 1;
+  return Math.round(1 / getAdjustmentFactor(symbol, getTickerData(symbol).basePrice, fromDay, toDay, 'split'));
+}
+
+/**
+ * Restate a position or resting order in the shares of session `dayNum`,
+ * applying the splits since its `asOfDay`; a split takes effect at the
+ * ex-date's open.  Returns whether anything changed.
+ */
+function restate(symbol, item, dayNum) {
+  const ratio = splitRatio(symbol, item.asOfDay, dayNum);
+  if (ratio === 1) return false;
+  item.quantity *= ratio;
+  if (item.avgCost)    item.avgCost    /= ratio;
+  if (item.limitPrice) item.limitPrice = +(item.limitPrice / ratio).toFixed(2);
+  if (item.stopPrice)  item.stopPrice  = +(item.stopPrice / ratio).toFixed(2);
+  item.asOfDay = dayNum;
+  return true;
+}
+
+/** Restate every position and resting order in the shares of `dayNum`; returns whether anything changed. */
+function restateAccount(account, dayNum) {
+  let changed = false;
+  for (const [symbol, pos] of Object.entries(account.positions)) {
+    if (pos.quantity > 0) changed = restate(symbol, pos, dayNum) || changed;
+  }
+  for (const order of account.orders) {
+    if (order.status === 'open') changed = restate(order.symbol, order, dayNum) || changed;
+  }
+  return changed;
+}
+
+/* ── Placing orders ───────────────────────────────────────────────────────── */
+
+function validate(account, order, unixSec) {
+  const { symbol, side, type, quantity, limitPrice, stopPrice, timeInForce } = order;
+  const info = getTickerData(symbol);
+  if (!info || isIndexSymbol(symbol)) {
+    throw new OrderValidationError('INVALID_SYMBOL', `${symbol} is not a tradable stock`);
+  }
+  if (!ORDER_SIDES.includes(side))         throw new OrderValidationError('INVALID_SIDE', `Unknown side: ${side}`);
+  if (!ORDER_TYPES.includes(type))         throw new OrderValidationError('INVALID_TYPE', `Unknown order type: ${type}`);
+  if (!TIME_IN_FORCE.includes(timeInForce)) {
+    throw new OrderValidationError('INVALID_TIME_IN_FORCE', `Unknown time in force: ${timeInForce}`);
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new OrderValidationError('INVALID_QUANTITY', 'Quantity must be a whole number of shares greater than 0');
+  }
+  const price = type === 'limit' ? limitPrice : type === 'stop' ? stopPrice : null;
+  if (type !== 'market' && !(Number.isFinite(price) && price > 0)) {
+    throw new OrderValidationError('INVALID_PRICE', `${type === 'limit' ? 'Limit' : 'Stop'} price must be greater than 0`);
+  }
+
+  const { dayNum, marketSec } = toMarketTime(unixSec);
+  let book = null;
+  if (type === 'market') {
+    if (!getCurrentMarketState(unixSec).isOpen) {
+      throw new OrderValidationError('MARKET_CLOSED', 'Market orders can only be placed while the market is open');
+    }
+    book = getOrderBook(symbol, info.basePrice, dayNum, marketSec);
+    if (book.halted) throw new OrderValidationError('TRADING_HALTED', `${symbol} is halted: ${book.halted}`);
+  }
+
+  if (side === 'buy') {
+    const estimate = book ? walkBook(book.asks, quantity) : price;
+    const available = account.cash - reservedCash(account);
+    if (estimate * quantity > available) {
+      throw new OrderValidationError(
+        'INSUFFICIENT_FUNDS',
+        `Order needs about $${(estimate * quantity).toFixed(2)}; $${available.toFixed(2)} available`,
+      );
+    }
+  } else {
+    const held = account.positions[symbol]?.quantity ?? 0;
+    const available = held - reservedShares(account, symbol);
+    if (quantity > available) {
+      throw new OrderValidationError('INSUFFICIENT_SHARES', `Only ${available} shares of ${symbol} available to sell`);
+    }
+  }
+  return { info, book };
+}
+
+/** Apply a fill to cash and positions; returns false if a buy can no longer be paid for. */
+function applyFill(account, order, price, unixSec) {
+  const dayNum = toMarketTime(unixSec).dayNum;
+  const pos    = account.positions[order.symbol] || { quantity: 0, avgCost: 0, realizedPnl: 0, asOfDay: dayNum };
+  restate(order.symbol, pos, dayNum);
+  const cost = +(price * order.quantity).toFixed(2);
+  if (order.side === 'buy') {
+    if (cost > account.cash) return false;
+    account.cash    = +(account.cash - cost).toFixed(2);
+    pos.avgCost     = (pos.quantity * pos.avgCost + cost) / (pos.quantity + order.quantity);
+    pos.quantity   += order.quantity;
+  } else {
+    account.cash    = +(account.cash + cost).toFixed(2);
+    pos.realizedPnl = +(pos.realizedPnl + (price - pos.avgCost) * order.quantity).toFixed(2);
+    pos.quantity   -= order.quantity;
+    if (!pos.quantity) pos.avgCost = 0;
+  }
+  account.positions[order.symbol] = pos;
+  order.status    = 'filled';
+  order.fillPrice = price;
+  order.filledAt  = unixSec;
+  return true;
+}
+
+/**
+ * Place an order.  Market orders fill immediately; limit and stop orders
+ * rest until processOrders() fills, expires or the user cancels them.
+ * Throws OrderValidationError if the order is rejected.
+ *
+ * @param {{ symbol, side: 'buy'|'sell', type: 'market'|'limit'|'stop', quantity: number,
+ *           limitPrice?: number, stopPrice?: number, timeInForce?: 'day'|'gtc' }} request
+ * @param {number} [unixSec]  market-local epoch seconds; defaults to the clock
+ * @returns {object} the stored order
+ */
+export function placeOrder(request, unixSec = nowSec()) {
+  const account = getAccount();
+  const { dayNum } = getCurrentMarketState(unixSec);
+  restateAccount(account, dayNum);
+  const order = {
+    symbol:      request.symbol,
+    side:        request.side,
+    type:        request.type,
+    quantity:    request.quantity,
+    limitPrice:  request.type === 'limit' ? request.limitPrice : null,
+    stopPrice:   request.type === 'stop' ? request.stopPrice : null,
+    timeInForce: request.type === 'market' ? 'day' : request.timeInForce || 'day',
+    asOfDay:     dayNum,
+  };
+  const { book } = validate(account, order, unixSec);
+
+  Object.assign(order, {
+    id: account.nextOrderId++,
+    status: 'open',
+    placedAt: unixSec,
+    expiresAt: order.timeInForce === 'day' ? dayOrderExpiry(unixSec) : null,
+    fillPrice: null,
+    filledAt: null,
+  });
+  if (book) {
+    const price = walkBook(order.side === 'buy' ? book.asks : book.bids, order.quantity);
+    if (!applyFill(account, order, price, unixSec)) {
+      order.status = 'rejected';
+      order.rejectReason = 'INSUFFICIENT_FUNDS';
+    }
+  }
+
+  account.orders.push(order);
+  if (account.processedAt === null) account.processedAt = unixSec;
+  if (account.orders.length > MAX_HISTORY) account.orders.splice(0, account.orders.length - MAX_HISTORY);
+  saveAccount(account);
+  return order;
+}
+
+/** Cancel a resting order; returns false if it is no longer open. */
+export function cancelOrder(id) {
+  const account = getAccount();
+  const order = account.orders.find(o => o.id === id);
+  if (!order || order.status !== 'open') return false;
+  order.status = 'cancelled';
+  saveAccount(account);
+  return true;
+}
+
+/* ── Evaluating resting orders ────────────────────────────────────────────── */
+
+/** Could the order trigger within a minute bar?  (Cheap pre-filter before the per-second scan.) */
+function minuteMayTrigger(order, bar) {
+  const price = order.limitPrice ?? order.stopPrice;
+  const buyBelow = (order.type === 'limit') === (order.side === 'buy');
+  return buyBelow
+    ? bar.low * (1 - SCAN_MARGIN) <= price
+    : bar.high * (1 + SCAN_MARGIN) >= price;
+}
+
+/** Fill price for a resting order at one second, or null if it does not execute then. */
+function fillAt(order, basePrice, dayNum, marketSec) {
+  const book = getOrderBook(order.symbol, basePrice, dayNum, marketSec);
+  if (book.halted) return null;
+  const levels = order.side === 'buy' ? book.asks : book.bids;
+  if (order.type === 'limit') {
+    const marketable = order.side === 'buy' ? book.ask <= order.limitPrice : book.bid >= order.limitPrice;
+    if (!marketable) return null;
+    const price = walkBook(levels, order.quantity);
+    return order.side === 'buy' ? Math.min(price, order.limitPrice) : Math.max(price, order.limitPrice);
+  }
+  const triggered = order.side === 'buy' ? book.last >= order.stopPrice : book.last <= order.stopPrice;
+  return triggered ? walkBook(levels, order.quantity) : null;
+}
+
+/**
+ * First regular-session second in (fromSec, toSec] at which a resting order
+ * executes, or null.  The fill price is in the shares of the fill day.
+ * @returns {{ unixSec, price } | null}
+ */
+function findFill(resting, fromSec, toSec) {
+  const { basePrice } = getTickerData(resting.symbol);
+  for (let day = Math.floor((fromSec + 1) / 86400); day <= Math.floor(toSec / 86400); day++) {
+    if (!isTradingDay(day)) continue;
+    const order = { ...resting };
+    restate(order.symbol, order, day);
+    const open  = day * 86400 + MARKET_OPEN_SEC;
+    const first = Math.max(fromSec + 1, open) - open;
+    const last  = Math.min(toSec, open + getSessionDuration(day) - 1) - open;
+    for (let m = Math.floor(first / 60); m <= Math.floor(last / 60) && first <= last; m++) {
+      if (!minuteMayTrigger(order, getMinuteBar(order.symbol, basePrice, day, m))) continue;
+      for (let sec = Math.max(first, m * 60); sec <= Math.min(last, m * 60 + 59); sec++) {
+        const price = fillAt(order, basePrice, day, sec);
+        if (price !== null) return { unixSec: open + sec, price };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Fill or expire resting orders for everything that traded since the last
+ * call, up to `unixSec`.  If the clock has moved backwards (e.g. a reload
+ * with an earlier `?t=`), the old mark is dropped and each order is checked
+ * from the second it was placed; orders that already filled stay filled.
+ *
+ * @param {number} [unixSec]  market-local epoch seconds; defaults to the clock
+ * @returns {object[]} orders that filled, expired or were rejected in this pass
+ */
+export function processOrders(unixSec = nowSec()) {
+  const account = getAccount();
+  if (account.processedAt === null) {
+    account.processedAt = unixSec;
+    saveAccount(account);
+    return [];
+  }
+  if (unixSec === account.processedAt) return [];
+  const rewound = unixSec < account.processedAt;
+  const since   = rewound ? -Infinity : account.processedAt;
+
+  const events = [];
+  const resting = account.orders.filter(o => o.status === 'open');
+  for (const order of resting) {
+    if (order.placedAt >= unixSec) continue;
+    const until = order.expiresAt === null ? unixSec : Math.min(unixSec, order.expiresAt);
+    const fill  = findFill(order, Math.max(since, order.placedAt), until);
+    if (fill) events.push({ order, ...fill });
+    else if (order.expiresAt !== null && order.expiresAt <= unixSec) events.push({ order, unixSec: order.expiresAt });
+  }
+
+  events.sort((a, b) => a.unixSec - b.unixSec);
+  for (const { order, unixSec: at, price } of events) {
+    if (price === undefined) {
+      order.status = 'expired';
+      continue;
+    }
+    restate(order.symbol, order, toMarketTime(at).dayNum);
+    if (!applyFill(account, order, price, at)) {
+      order.status = 'rejected';
+      order.rejectReason = 'INSUFFICIENT_FUNDS';
+    }
+  }
+  const restated = restateAccount(account, getCurrentMarketState(unixSec).dayNum);
+
+  // Only a change, a rewind or a mark far behind is worth a write: App.js
+  // calls this on every poll.
+  const stale = resting.length > 0 && unixSec - account.processedAt >= WATERMARK_SAVE_SEC;
+  if (events.length || restated || rewound || stale) {
+    account.processedAt = unixSec;
+    saveAccount(account);
+  }
+  return events.map(e => e.order);
+}
+
+/* ── Positions and P&L ────────────────────────────────────────────────────── */
+
+/** Last traded price of a symbol at a simulated instant (regular session). */
+function lastPrice(symbol, unixSec) {
+  const { dayNum, marketSec } = getCurrentMarketState(unixSec);
+  return getLastPrice(symbol, getTickerData(symbol).basePrice, dayNum, marketSec);
+}
+
+/**
+ * Open positions valued at the current price.
+ * @returns {Array<{ symbol, quantity, avgCost, price, marketValue, unrealizedPnl, realizedPnl }>}
+ */
+export function getPositions(unixSec = nowSec(), account = getAccount()) {
+  const { dayNum } = getCurrentMarketState(unixSec);
+  return Object.entries(account.positions)
+    .filter(([, held]) => held.quantity > 0)
+    .map(([symbol, held]) => {
+      const pos   = { ...held };
+      restate(symbol, pos, dayNum);
+      const price = lastPrice(symbol, unixSec);
+      return {
+        symbol,
+        quantity: pos.quantity,
+        avgCost: pos.avgCost,
+        price,
+        marketValue: +(price * pos.quantity).toFixed(2),
+        unrealizedPnl: +((price - pos.avgCost) * pos.quantity).toFixed(2),
+        realizedPnl: pos.realizedPnl,
+      };
+    });
+}
+
+/**
+ * Account totals at the current price.
+ * @returns {{ cash, reserved, buyingPower, positionsValue, equity, realizedPnl, unrealizedPnl, startingCash }}
+ */
+export function getAccountSummary(unixSec = nowSec(), account = getAccount()) {
+  const positions = getPositions(unixSec, account);
+  const reserved  = reservedCash(account);
+  const positionsValue = positions.reduce((sum, p) => sum + p.marketValue, 0);
+  return {
+    startingCash: account.startingCash,
+    cash: account.cash,
+    reserved: +reserved.toFixed(2),
+    buyingPower: +(account.cash - reserved).toFixed(2),
+    positionsValue: +positionsValue.toFixed(2),
+    equity: +(account.cash + positionsValue).toFixed(2),
+    realizedPnl: +Object.values(account.positions).reduce((sum, p) => sum + p.realizedPnl, 0).toFixed(2),
+    unrealizedPnl: +positions.reduce((sum, p) => sum + p.unrealizedPnl, 0).toFixed(2),
+  };
+}
@@ -0,0 +1,254 @@
+import {
+  getAccount,
+  getAccountSummary,
+  getPositions,
+  placeOrder,
+  processOrders,
+  resetAccount,
+} from './paperTrading';
+import { getPriceAtSecond, getPreviousClose, SIMULATED_DAY_NUM, MARKET_OPEN_SEC } from './priceEngine';
+import { setScenario } from './scenarios';
+import { nextTradingDay, previousTradingDay } from './tradingCalendar';
+import { STOCK_DATA } from '../data/mockData';
+
+// Fri Feb 20, 2026 — a regular trading day.
+const DAY = SIMULATED_DAY_NUM;
+const at = (h, m, s = 0) => DAY * 86400 + (h * 60 + m) * 60 + s;
+
+const priceAt = (symbol, unixSec) =>
+  getPriceAtSecond(symbol, STOCK_DATA[symbol].basePrice, Math.floor(unixSec / 86400), unixSec % 86400 - MARKET_OPEN_SEC);
+
+const stored = (order) => getAccount().orders.find(o => o.id === order.id);
+
+/** The OrderValidationError code `fn` throws, or null. */
+function rejection(fn) {
+  try {
+    fn();
+    return null;
+  } catch (e) {
+    return e.code;
+  }
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  resetAccount();
+});
+
+test('a marketable limit buy fills on the next processed second', () => {
+  const limitPrice = +(priceAt('AAPL', at(11, 0)) * 1.05).toFixed(2);
+  const order = placeOrder({ symbol: 'AAPL', side: 'buy', type: 'limit', quantity: 10, limitPrice }, at(11, 0));
+  processOrders(at(11, 1));
+
+  expect(stored(order).status).toBe('filled');
+  expect(stored(order).filledAt).toBe(at(11, 0, 1));
+  expect(stored(order).fillPrice).toBeLessThanOrEqual(limitPrice);
+});
+
+test('an unmarketable limit buy rests and expires at the close', () => {
+  const limitPrice = +(priceAt('AAPL', at(11, 0)) * 0.5).toFixed(2);
+  const order = placeOrder({ symbol: 'AAPL', side: 'buy', type: 'limit', quantity: 10, limitPrice }, at(11, 0));
+
+  processOrders(at(12, 0));
+  expect(getAccount().orders.find(o => o.id === order.id).status).toBe('open');
+  processOrders(at(16, 30));
+  expect(getAccount().orders.find(o => o.id === order.id).status).toBe('expired');
+});
+
+test('orders placed after the clock moves backwards still fill (reload with an earlier ?t=)', () => {
+  // An earlier run processed up to 11:30.
+  const first = placeOrder({ symbol: 'MSFT', side: 'buy', type: 'limit', quantity: 1, limitPrice: 1 }, at(10, 0));
+  processOrders(at(11, 30));
+  expect(getAccount().processedAt).toBe(at(11, 30));
+
+  // Reloaded at 11:00: a marketable order placed at 11:00:05.
+  const limitPrice = +(priceAt('AAPL', at(11, 0, 5)) * 1.05).toFixed(2);
+  const order = placeOrder({ symbol: 'AAPL', side: 'buy', type: 'limit', quantity: 10, limitPrice }, at(11, 0, 5));
+  processOrders(at(11, 2));
+
+  const account = getAccount();
+  expect(stored(order).status).toBe('filled');
+  expect(stored(order).filledAt).toBe(at(11, 0, 6));
+  expect(account.processedAt).toBe(at(11, 2));
+  // The order that never came close stays open after the rewind.
+  expect(account.orders.find(o => o.id === first.id).status).toBe('open');
+});
+
+test('a rewind does not fill an order placed after the new time', () => {
+  const limitPrice = +(priceAt('AAPL', at(11, 0)) * 1.05).toFixed(2);
+  const order = placeOrder({ symbol: 'AAPL', side: 'buy', type: 'limit', quantity: 10, limitPrice }, at(11, 0));
+  processOrders(at(10, 30));
+
+  const account = getAccount();
+  expect(account.orders.find(o => o.id === order.id).status).toBe('open');
+  expect(account.processedAt).toBe(at(10, 30));
+});
+
+describe('rejected orders', () => {
+  const order = (over) => ({ symbol: 'AAPL', side: 'buy', type: 'market', quantity: 10, ...over });
+
+  test('INSUFFICIENT_FUNDS when the cost exceeds the cash', () => {
+    expect(rejection(() => placeOrder(order({ symbol: 'NVDA', quantity: 1000 }), at(11, 0)))).toBe('INSUFFICIENT_FUNDS');
+  });
+
+  test('INSUFFICIENT_FUNDS counts cash held for resting buys', () => {
+    placeOrder(order({ type: 'limit', quantity: 500, limitPrice: 150 }), at(11, 0));
+    expect(rejection(() => placeOrder(order({ quantity: 200 }), at(11, 1)))).toBe('INSUFFICIENT_FUNDS');
+  });
+
+  test('INSUFFICIENT_SHARES when selling more than is held or already on offer', () => {
+    expect(rejection(() => placeOrder(order({ side: 'sell' }), at(11, 0)))).toBe('INSUFFICIENT_SHARES');
+    placeOrder(order(), at(11, 0));
+    placeOrder(order({ side: 'sell', type: 'limit', quantity: 6, limitPrice: 500 }), at(11, 1));
+    expect(rejection(() => placeOrder(order({ side: 'sell', quantity: 5 }), at(11, 2)))).toBe('INSUFFICIENT_SHARES');
+  });
+
+  test.each([0, -3, 1.5, NaN])('INVALID_QUANTITY for %p shares', (quantity) => {
+    expect(rejection(() => placeOrder(order({ quantity }), at(11, 0)))).toBe('INVALID_QUANTITY');
+  });
+
+  test('MARKET_CLOSED for market orders outside the session, but not for limits', () => {
+    expect(rejection(() => placeOrder(order(), at(8, 0)))).toBe('MARKET_CLOSED');
+    expect(rejection(() => placeOrder(order(), at(16, 0)))).toBe('MARKET_CLOSED');
+    expect(rejection(() => placeOrder(order({ type: 'limit', limitPrice: 100 }), at(8, 0)))).toBeNull();
+  });
+
+  test('TRADING_HALTED for market orders during a halt', () => {
+    setScenario('tsla-halt');
+    try {
+      expect(rejection(() => placeOrder(order({ symbol: 'TSLA' }), at(11, 10)))).toBe('TRADING_HALTED');
+      expect(rejection(() => placeOrder(order({ symbol: 'TSLA' }), at(11, 40)))).toBeNull();
+    } finally {
+      setScenario(null);
+    }
+  });
+
+  test('rejected orders leave the account untouched', () => {
+    rejection(() => placeOrder(order({ symbol: 'NVDA', quantity: 1000 }), at(11, 0)));
+    expect(getAccount()).toMatchObject({ cash: 100000, orders: [], positions: {} });
+  });
+});
+
+describe('fills', () => {
+  test('a market buy fills at once at or above the last price', () => {
+    const order = placeOrder({ symbol: 'AAPL', side: 'buy', type: 'market', quantity: 10 }, at(11, 0));
+    expect(order).toMatchObject({ status: 'filled', filledAt: at(11, 0) });
+    expect(order.fillPrice).toBeGreaterThanOrEqual(priceAt('AAPL', at(11, 0)));
+    expect(getAccount().cash).toBe(+(100000 - order.fillPrice * 10).toFixed(2));
+  });
+
+  test('a sell stop fires on the first second the price trades at or below it', () => {
+    placeOrder({ symbol: 'AAPL', side: 'buy', type: 'market', quantity: 10 }, at(11, 0));
+    // Halfway between the price and the afternoon's low.
+    let low = Infinity;
+    for (let t = at(11, 0); t < at(16, 0); t++) low = Math.min(low, priceAt('AAPL', t));
+    const stopPrice = +((priceAt('AAPL', at(11, 0)) + low) / 2).toFixed(2);
+    const stop = placeOrder({ symbol: 'AAPL', side: 'sell', type: 'stop', quantity: 10, stopPrice }, at(11, 0));
+    processOrders(at(16, 0));
+
+    const { status, filledAt, fillPrice } = stored(stop);
+    expect(status).toBe('filled');
+    expect(priceAt('AAPL', filledAt)).toBeLessThanOrEqual(stopPrice);
+    for (let t = at(11, 0, 1); t < filledAt; t++) expect(priceAt('AAPL', t)).toBeGreaterThan(stopPrice);
+    expect(fillPrice).toBeLessThanOrEqual(priceAt('AAPL', filledAt));
+  });
+
+  test('a sell stop gapped through overnight fills at the open, below the stop', () => {
+    // The first session after DAY that opens more than 1% below the previous close.
+    const { basePrice } = STOCK_DATA.AAPL;
+    let day = nextTradingDay(DAY);
+    while (getPriceAtSecond('AAPL', basePrice, day, 0) > getPreviousClose('AAPL', basePrice, day) * 0.99) {
+      day = nextTradingDay(day);
+    }
+    const open      = getPriceAtSecond('AAPL', basePrice, day, 0);
+    const stopPrice = +(open * 1.005).toFixed(2);
+    const placedAt  = previousTradingDay(day) * 86400 + MARKET_OPEN_SEC + 23399; // 3:59:59 PM
+
+    placeOrder({ symbol: 'AAPL', side: 'buy', type: 'market', quantity: 10 }, placedAt - 60);
+    const stop = placeOrder(
+      { symbol: 'AAPL', side: 'sell', type: 'stop', quantity: 10, stopPrice, timeInForce: 'gtc' }, placedAt);
+    processOrders(day * 86400 + 12 * 3600);
+
+    expect(stored(stop).filledAt).toBe(day * 86400 + MARKET_OPEN_SEC);
+    expect(stored(stop).fillPrice).toBeLessThan(stopPrice);
+  });
+});
+
+describe('P&L', () => {
+  test('average cost, realized and unrealized P&L after a partial sell', () => {
+    const buy1 = placeOrder({ symbol: 'AAPL', side: 'buy', type: 'market', quantity: 10 }, at(10, 0));
+    const buy2 = placeOrder({ symbol: 'AAPL', side: 'buy', type: 'market', quantity: 30 }, at(12, 0));
+    const sell = placeOrder({ symbol: 'AAPL', side: 'sell', type: 'market', quantity: 15 }, at(14, 0));
+
+    const avgCost = (buy1.fillPrice * 10 + +(buy2.fillPrice * 30).toFixed(2)) / 40;
+    const [pos] = getPositions(at(15, 0));
+    expect(pos.quantity).toBe(25);
+    expect(pos.avgCost).toBeCloseTo(avgCost, 6);
+    expect(pos.realizedPnl).toBe(+((sell.fillPrice - avgCost) * 15).toFixed(2));
+    expect(pos.unrealizedPnl).toBe(+((priceAt('AAPL', at(15, 0)) - avgCost) * 25).toFixed(2));
+
+    const summary = getAccountSummary(at(15, 0));
+    expect(summary.realizedPnl).toBe(pos.realizedPnl);
+    expect(summary.equity).toBe(+(summary.cash + pos.marketValue).toFixed(2));
+  });
+});
+
+describe('splits', () => {
+  // NFLX splits 10-for-1 on Mon Nov 17, 2025.
+  const FRIDAY = Date.UTC(2025, 10, 14) / 86400000;
+  const MONDAY = FRIDAY + 3;
+  const on = (dayNum, h, m) => dayNum * 86400 + (h * 60 + m) * 60;
+
+  test('a position held over the split keeps its value', () => {
+    const buy = placeOrder({ symbol: 'NFLX', side: 'buy', type: 'market', quantity: 10 }, on(FRIDAY, 11, 0));
+    processOrders(on(MONDAY, 11, 0));
+
+    const [pos] = getPositions(on(MONDAY, 11, 0));
+    expect(pos.quantity).toBe(100);
+    expect(pos.avgCost).toBeCloseTo(buy.fillPrice / 10, 6);
+    expect(Math.abs(pos.unrealizedPnl / (buy.fillPrice * 10))).toBeLessThan(0.1);
+  });
+
+  test('before anything is processed, positions are valued in the day\'s shares', () => {
+    placeOrder({ symbol: 'NFLX', side: 'buy', type: 'market', quantity: 10 }, on(FRIDAY, 11, 0));
+    const [pos] = getPositions(on(MONDAY, 11, 0));
+    expect(pos.quantity).toBe(100);
+    expect(Math.abs(pos.unrealizedPnl / pos.marketValue)).toBeLessThan(0.1);
+  });
+
+  test('resting orders are restated, so a pre-split limit does not fill at the open', () => {
+    const price = priceAt('NFLX', on(FRIDAY, 11, 0));
+    const limit = placeOrder({
+      symbol: 'NFLX', side: 'buy', type: 'limit', quantity: 2, timeInForce: 'gtc',
+      limitPrice: +(price * 0.7).toFixed(2),
+    }, on(FRIDAY, 11, 0));
+    processOrders(on(MONDAY, 11, 0));
+
+    expect(stored(limit)).toMatchObject({
+      status: 'open', quantity: 20, limitPrice: +(+(price * 0.7).toFixed(2) / 10).toFixed(2), asOfDay: MONDAY,
+    });
+  });
+});
+
+describe('storage writes', () => {
+  let writes;
+  beforeEach(() => { writes = jest.spyOn(Storage.prototype, 'setItem'); });
+  afterEach(() => writes.mockRestore());
+
+  test('passes that change nothing do not write', () => {
+    processOrders(at(11, 0));
+    writes.mockClear();
+    for (let t = at(11, 0, 1); t < at(11, 0, 50); t++) processOrders(t);
+    expect(writes).not.toHaveBeenCalled();
+  });
+
+  test('with orders resting, the mark is saved once it falls an hour behind', () => {
+    placeOrder({ symbol: 'AAPL', side: 'buy', type: 'limit', quantity: 1, limitPrice: 1 }, at(10, 0));
+    writes.mockClear();
+    processOrders(at(10, 30));
+    expect(writes).not.toHaveBeenCalled();
+    processOrders(at(11, 0));
+    expect(writes).toHaveBeenCalledTimes(1);
+    expect(getAccount().processedAt).toBe(at(11, 0));
+  });
+});
@@ -0,0 +1,160 @@
+/* ─── portfolio.js ──────────────────────────────────────────────────────────
+ * Valuation of the paper-trading account over time.
+ *
+ * Holdings at any past instant are rebuilt by undoing, from the current
+ * account, every fill made after that instant — so the history stays right
+ * even after old orders drop out of the stored order list.  Each holding is
+ * then valued at the engine's price for the same bar the stock chart shows,
+ * which keeps the portfolio chart deterministic and in step with
+ * StockChart's 1D / 5D / 1M ranges.  Share counts are carried in the current
+ * session's shares and converted to each bar's day across splits, since the
+ * bars are unadjusted.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+import { STOCK_DATA, getTickerData } from '../data/mockData';
+import { getAccount, getPositions, getAccountSummary, splitRatio } from './paperTrading';
+import {
+  getCurrentMarketState,
+  getLastPrice,
+  generate1DData,
+  generate5DData,
+  generate1MData,
+  MARKET_OPEN_SEC,
+} from './priceEngine';
+import { getLastMinuteIdx } from './tradingCalendar';
+
+export const BENCHMARK_SYMBOL = '^BENCH';
+export const PORTFOLIO_RANGES = ['1d', '5d', '1m'];
+
+/* ── Allocation ───────────────────────────────────────────────────────────── */
+
+/**
+ * Positions valued at `unixSec`, each with its share of total equity, and
+ * the same totals grouped by sector.  Cash counts towards equity, so the
+ * weights of positions and cash add up to 100%.
+ *
+ * @returns {{ equity, cash, cashWeight,
+ *             positions: Array<{ symbol, name, sector, quantity, avgCost, price,
+ *                                marketValue, unrealizedPnl, realizedPnl, weight }>,
+ *             sectors: Array<{ sector, marketValue, weight }> }}
+ */
+export function getAllocation(unixSec, account = getAccount()) {
+  const { equity, cash } = getAccountSummary(unixSec, account);
+  const share = (value) => (equity > 0 ? (value / equity) * 100 : 0);
+
+  const positions = getPositions(unixSec, account)
+    .map(p => ({
+      ...p,
+      name: STOCK_DATA[p.symbol].name,
+      sector: STOCK_DATA[p.symbol].sector,
+      weight: share(p.marketValue),
+    }))
+    .sort((a, b) => b.marketValue - a.marketValue);
+
+  const bySector = new Map();
+  for (const p of positions) bySector.set(p.sector, (bySector.get(p.sector) || 0) + p.marketValue);
+  const sectors = [...bySector]
+    .map(([sector, marketValue]) => ({ sector, marketValue: +marketValue.toFixed(2), weight: share(marketValue) }))
+    .sort((a, b) => b.marketValue - a.marketValue);
+
+  return { equity, cash, cashWeight: share(cash), positions, sectors };
+}
+
+/* ── Value over time ──────────────────────────────────────────────────────── */
+
+/** Bars StockChart draws for one symbol and range. */
+function rangeBars(symbol, range, dayNum, marketSec) {
+  const { basePrice } = getTickerData(symbol);
+  if (range === '1d') return generate1DData(symbol, basePrice, dayNum, marketSec);
+  if (range === '5d') return generate5DData(symbol, basePrice, dayNum, marketSec);
+  return generate1MData(symbol, basePrice, dayNum, marketSec);
+}
+
+/** Market-local epoch second of a bar's close: the last second of its minute, hour or session. */
+function barEndSec(range, bar) {
+  const open    = bar.dayNum * 86400 + MARKET_OPEN_SEC;
+  const lastMin = getLastMinuteIdx(bar.dayNum);
+  if (range === '1d') return open + bar.minuteIdx * 60 + 59;
+  if (range === '5d') return open + Math.min(bar.minuteIdx + 59, lastMin) * 60 + 59;
+  return open + lastMin * 60 + 59;
+}
+
+/** Filled orders, newest fill first. */
+function fillsNewestFirst(account) {
+  return account.orders
+    .filter(o => o.status === 'filled')
+    .sort((a, b) => b.filledAt - a.filledAt);
+}
+
+/**
+ * Portfolio value over a chart range, next to the benchmark index.
+ * Every point is one bar of the range (a minute for 1D, an hour for 5D, a
+ * session for 1M): holdings as of that bar's close, valued at the bars'
+ * closing prices, plus cash.  `returnPct` and `benchmarkPct` are the
+ * changes since the first point.
+ *
+ * @param {string} range          '1d' | '5d' | '1m'
+ * @param {number} unixSec        market-local epoch seconds
+ * @param {object} [account]
+ * @returns {Array<{ time?, date?, dayNum, minuteIdx?, value, benchmark, returnPct, benchmarkPct }>}
+ */
+export function getPortfolioSeries(range, unixSec, account = getAccount()) {
+  const { dayNum, marketSec } = getCurrentMarketState(unixSec);
+  const benchBars = rangeBars(BENCHMARK_SYMBOL, range, dayNum, marketSec);
+  if (!benchBars.length) return [];
+
+  const fills   = fillsNewestFirst(account);
+  const firstAt = barEndSec(range, benchBars[0]);
+
+  // Every symbol held at some point in the range.  All symbols trade on the
+  // same calendar, so their bars line up index for index with the benchmark's.
+  const symbols = new Set(Object.keys(account.positions).filter(s => account.positions[s].quantity > 0));
+  for (const f of fills) if (f.filledAt > firstAt) symbols.add(f.symbol);
+  const bars = {};
+  for (const s of symbols) bars[s] = rangeBars(s, range, dayNum, marketSec);
+
+  // Walk back from the present, undoing fills as each bar's close passes them.
+  // Positions and fills are in the shares of their `asOfDay`; `held` is in
+  // today's.
+  let cash = account.cash;
+  const held = {};
+  for (const s of symbols) {
+    const pos = account.positions[s];
+    held[s] = pos ? pos.quantity * splitRatio(s, pos.asOfDay, dayNum) : 0;
+  }
+
+  // The bar still in progress is valued at the current price, so the last
+  // point matches the account's equity.
+  const closeOf = (symbol, bar, live) =>
+    live ? getLastPrice(symbol, getTickerData(symbol).basePrice, dayNum, marketSec) : bar.close;
+
+  const points = new Array(benchBars.length);
+  let next = 0;
+  for (let i = benchBars.length - 1; i >= 0; i--) {
+    const live   = barEndSec(range, benchBars[i]) > unixSec;
+    const endSec = live ? unixSec : barEndSec(range, benchBars[i]);
+    for (; next < fills.length && fills[next].filledAt > endSec; next++) {
+      const f    = fills[next];
+      const cost = +(f.fillPrice * f.quantity).toFixed(2);
+      const shares = f.quantity * splitRatio(f.symbol, f.asOfDay, dayNum);
+      held[f.symbol] += f.side === 'buy' ? -shares : shares;
+      cash           += f.side === 'buy' ? cost : -cost;
+    }
+    let value = cash;
+    for (const s of symbols) {
+      if (!held[s]) continue;
+      const bar = bars[s][i];
+      value += (held[s] / splitRatio(s, bar.dayNum, dayNum)) * closeOf(s, bar, live);
+    }
+
+    const { open, high, low, close, price, volume, ...label } = benchBars[i];
+    points[i] = { ...label, value: +value.toFixed(2), benchmark: closeOf(BENCHMARK_SYMBOL, benchBars[i], live) };
+  }
+
+  const base = points[0];
+  for (const p of points) {
+    p.returnPct    = base.value ? +(((p.value - base.value) / base.value) * 100).toFixed(2) : 0;
+    p.benchmarkPct = +(((p.benchmark - base.benchmark) / base.benchmark) * 100).toFixed(2);
+  }
+  return points;
+}
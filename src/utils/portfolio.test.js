@@ -0,0 +1,114 @@
+import { getPortfolioSeries, BENCHMARK_SYMBOL, PORTFOLIO_RANGES } from './portfolio';
+import { getAccount, getAccountSummary, placeOrder, resetAccount } from './paperTrading';
+import {
+  generate1DData,
+  generate5DData,
+  generate1MData,
+  getCurrentMarketState,
+  getDayBar,
+  SIMULATED_DAY_NUM,
+} from './priceEngine';
+import { setScenario } from './scenarios';
+import { getTickerData } from '../data/mockData';
+
+// Fri Feb 20, 2026 — a regular trading day.
+const DAY = SIMULATED_DAY_NUM;
+const on = (dayNum, h, m, s = 0) => dayNum * 86400 + (h * 60 + m) * 60 + s;
+const at = (h, m, s) => on(DAY, h, m, s);
+
+const GENERATORS = { '1d': generate1DData, '5d': generate5DData, '1m': generate1MData };
+
+const buy = (symbol, quantity, unixSec) =>
+  placeOrder({ symbol, side: 'buy', type: 'market', quantity }, unixSec);
+
+beforeEach(() => {
+  localStorage.clear();
+  resetAccount();
+});
+
+afterEach(() => setScenario(null));
+
+describe('bar alignment', () => {
+  // getPortfolioSeries values bar i of every holding against bar i of the
+  // benchmark, so each symbol's bars must cover the same sessions and minutes.
+  const keys = (symbol, range, unixSec) => {
+    const { dayNum, marketSec } = getCurrentMarketState(unixSec);
+    return GENERATORS[range](symbol, getTickerData(symbol).basePrice, dayNum, marketSec)
+      .map(b => `${b.dayNum}:${b.minuteIdx ?? ''}`);
+  };
+
+  test.each([
+    ['mid-session', at(11, 15)],
+    ['after the close', at(17, 0)],
+    // Mon Dec 1, 2025: the 5D range includes the Nov 28 half day.
+    ['across a half day', on(Date.UTC(2025, 11, 1) / 86400000, 14, 0)],
+  ])('%s', (_, unixSec) => {
+    for (const range of PORTFOLIO_RANGES) {
+      const bench = keys(BENCHMARK_SYMBOL, range, unixSec);
+      for (const symbol of ['AAPL', 'NVDA', 'NFLX']) {
+        expect(keys(symbol, range, unixSec)).toEqual(bench);
+      }
+    }
+  });
+
+  test('a halted symbol still has a bar for every minute', () => {
+    setScenario('tsla-halt');
+    expect(keys('TSLA', '1d', at(12, 0))).toEqual(keys(BENCHMARK_SYMBOL, '1d', at(12, 0)));
+  });
+});
+
+describe('getPortfolioSeries', () => {
+  test.each([
+    ['mid-session', at(15, 0)],
+    ['after the close', at(17, 0)],
+  ])('the last point is the account equity (%s)', (_, unixSec) => {
+    buy('AAPL', 10, at(10, 0));
+    buy('NVDA', 5, at(10, 30));
+    const { equity } = getAccountSummary(unixSec);
+    for (const range of PORTFOLIO_RANGES) {
+      const series = getPortfolioSeries(range, unixSec);
+      expect(series[series.length - 1].value).toBeCloseTo(equity, 2);
+    }
+  });
+
+  test('after the close, holdings are valued at the day\'s close', () => {
+    // Thu Feb 19, 2026: NVDA's first after-hours second is 516.40, its close 516.44.
+    const thursday = DAY - 1;
+    buy('NVDA', 100, on(thursday, 10, 0));
+    const { cash } = getAccount();
+    const close = getDayBar('NVDA', getTickerData('NVDA').basePrice, thursday).close;
+
+    const series = getPortfolioSeries('1d', on(thursday, 17, 0));
+    expect(close).toBe(516.44);
+    expect(series[series.length - 1].value).toBe(+(cash + 100 * close).toFixed(2));
+  });
+
+  test('a fill mid-range changes the value from its bar on', () => {
+    const startingCash = getAccount().cash;
+    const order  = buy('AAPL', 10, at(11, 0));
+    const series = getPortfolioSeries('1d', at(15, 0));
+    const cash   = getAccount().cash;
+    const bars   = generate1DData('AAPL', getTickerData('AAPL').basePrice, DAY, at(15, 0) - at(9, 30));
+
+    // 11:00 is minute 90; its bar closes at 11:00:59, after the fill.
+    expect(series[0].value).toBe(startingCash);
+    expect(series[89].value).toBe(startingCash);
+    expect(series[90].value).toBe(+(cash + 10 * bars[90].close).toFixed(2));
+    expect(series[200].value).toBe(+(cash + 10 * bars[200].close).toFixed(2));
+    expect(series[90].value - startingCash).toBeCloseTo(10 * (bars[90].close - order.fillPrice), 2);
+    expect(series[0].returnPct).toBe(0);
+  });
+
+  test('a holding across a split keeps its value', () => {
+    // NFLX splits 10-for-1 on Mon Nov 17, 2025.
+    const friday = Date.UTC(2025, 10, 14) / 86400000;
+    const monday = friday + 3;
+    buy('NFLX', 10, on(friday, 11, 0));
+
+    const series   = getPortfolioSeries('5d', on(monday, 15, 0));
+    const lastFri  = series.filter(p => p.dayNum === friday).pop();
+    const firstMon = series.find(p => p.dayNum === monday);
+    expect(Math.abs(firstMon.value / lastFri.value - 1)).toBeLessThan(0.05);
+    expect(series[series.length - 1].value).toBeCloseTo(getAccountSummary(on(monday, 15, 0)).equity, 2);
+  });
+});
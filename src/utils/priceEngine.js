@@ -4,28 +4,30 @@
  * identical — fully reproducible for benchmarking / testing purposes.
  * ─────────────────────────────────────────────────────────────────────────── */
 
-/* ── Hashing ─────────────────────────────────────────────────────────────── */
-
-/** FNV-1a 32-bit hash of a string → unsigned 32-bit integer. */
-function symbolSeed(symbol) {
-  let h = 0x811c9dc5;
-  for (let i = 0; i < symbol.length; i++) {
-    h ^= symbol.charCodeAt(i);
-    h = Math.imul(h, 0x01000193) >>> 0;
-  }
-  return h;
-}
-
-/**
- * Mix two integers into a float in [0, 1).
- * Two-round xorshift-multiply hash — fast and well-distributed.
- */
-function rand2(a, b) {
-  let x = (Math.imul((a | 0) ^ 0xdeadbeef, 0x9e3779b9) + (b | 0)) | 0;
-  x = Math.imul(((x >>> 16) ^ x) | 0, 0x45d9f3b) | 0;
-  x = Math.imul(((x >>> 16) ^ x) | 0, 0x45d9f3b) | 0;
-  return (((x >>> 16) ^ x) >>> 0) / 4294967296;
-}
+import { DEFAULT_SIM_DATE_MS, nowSec, parseSimTime } from './clock';
+import {
+  isTradingDay,
+  getHoliday,
+  getEarlyClose,
+  getSessionDuration,
+  getLastMinuteIdx,
+  previousTradingDay,
+  getLastTradingDays,
+  getSimRange,
+  PRE_MARKET_SEC,
+  AFTER_HOURS_SEC,
+} from './tradingCalendar';
+import { createStore, clearSeriesCache } from './seriesStore';
+import { symbolSeed, rand2 } from './hash';
+import { STOCK_DATA, INDEX_DATA, isIndexSymbol, parseMarketCap } from '../data/mockData';
+import { getCorporateActions } from '../data/corporateActions';
+import { getScenarioDay } from './scenarios';
+import {
+  getEarningsReaction,
+  getAfterHoursReaction,
+  REPORT_TIMES,
+  EARNINGS_VOLUME_MULTIPLIER,
+} from './earnings';
 
 /* ── Smooth noise ─────────────────────────────────────────────────────────── */
 
@@ -50,157 +52,755 @@ function smoothNoise(symHash, channel, t, period) {
   return v0 + (v1 - v0) * u;
 }
 
+/* ── Factor model ─────────────────────────────────────────────────────────── */
+
+// Every random move is a mix of a market factor shared by all symbols, a
+// sector factor shared within a sector and idiosyncratic noise.  A symbol
+// loads on the market factor by its `beta`, so its realized beta against
+// that factor matches the metadata, and symbols in the same sector move
+// together more than across sectors.  Against ^BENCH, realized betas come
+// out near the metadata divided by the index's own beta (the cap-weighted
+// mean, ~1.2), since the index's beta to itself is 1; sector and
+// idiosyncratic noise move individual symbols by up to ~30% either way.
+
+const MARKET_HASH = symbolSeed('^MARKET');
+
+// Component weights for a beta-1 stock; their squares sum to ~1, so such a
+// stock keeps the amplitude of a single noise stream.
+const MARKET_WEIGHT = 0.6;
+const SECTOR_WEIGHT = 0.45;
+const IDIO_WEIGHT   = 0.65;
+
+const exposureCache = new Map();
+
+/**
+ * Factor exposures of a symbol, from its `beta` and `sector` metadata.
+ * Symbols without metadata get beta 1 and no sector (the sector share goes
+ * to idiosyncratic noise).
+ *
+ * @returns {{ symbol: string, symHash: number, beta: number, sectorHash: number|null, idioWeight: number }}
+ */
+export function getFactorExposure(symbol) {
+  if (exposureCache.has(symbol)) return exposureCache.get(symbol);
+  const info = STOCK_DATA[symbol];
+  const beta = info ? parseFloat(info.beta) : NaN;
+  const exposure = {
+    symbol,
+    symHash:    symbolSeed(symbol),
+    beta:       Number.isFinite(beta) ? beta : 1,
+    sectorHash: info && info.sector ? symbolSeed(`sector:${info.sector}`) : null,
+    idioWeight: info && info.sector ? IDIO_WEIGHT : Math.hypot(IDIO_WEIGHT, SECTOR_WEIGHT),
+  };
+  exposureCache.set(symbol, exposure);
+  return exposure;
+}
+
+/** Combine per-factor values in [-1, 1] with a symbol's loadings. */
+function mixFactors(exposure, market, sector, idio) {
+  return exposure.beta * MARKET_WEIGHT * market +
+    (exposure.sectorHash === null ? 0 : SECTOR_WEIGHT * sector) +
+    exposure.idioWeight * idio;
+}
+
+/**
+ * smoothNoise built from the factor streams of one channel — correlated
+ * across symbols.  Used for the slow layers that dominate a day's shape;
+ * the fast layers stay idiosyncratic, like real tick-level noise.
+ */
+function factorNoise(exposure, channel, t, period) {
+  return mixFactors(
+    exposure,
+    smoothNoise(MARKET_HASH, channel, t, period),
+    exposure.sectorHash === null ? 0 : smoothNoise(exposure.sectorHash, channel, t, period),
+    smoothNoise(exposure.symHash, channel, t, period),
+  );
+}
+
 /* ── Day-level prices ─────────────────────────────────────────────────────── */
 
-/** Today's day number (integer days since Unix epoch). */
-export function todayDayNum() {
-  return Math.floor(Date.now() / 86400000);
+// Default simulation date (Fri Feb 20, 2026) — the simulated clock starts on
+// this day unless a `?t=` override is given, see utils/clock.js.
+export const SIMULATED_DAY_NUM = Math.floor(DEFAULT_SIM_DATE_MS / 86400000);
+
+// Reference day: `basePrice` is the opening price on this day, and every other
+// day's open is a seeded walk from it.  Anchoring to a fixed day (rather than
+// the real date) keeps all history identical no matter when the app runs.
+let referenceDayNum = SIMULATED_DAY_NUM;
+
+/** The day on which each symbol opens exactly at its basePrice. */
+export function getReferenceDayNum() {
+  return referenceDayNum;
+}
+
+/** Re-anchor all generated history to a different reference day. */
+export function setReferenceDayNum(dayNum) {
+  referenceDayNum = dayNum;
+  clearSeriesCache();
 }
 
+/**
+ * Apply `?ref=YYYY-MM-DD` from a URL query string, falling back to the
+ * REACT_APP_REFERENCE_DAY build variable, then to SIMULATED_DAY_NUM.
+ * Malformed dates are ignored.
+ */
+export function initReferenceDayFromSearch(search = '') {
+  const value = new URLSearchParams(search).get('ref') || process.env.REACT_APP_REFERENCE_DAY;
+  const ms    = /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? parseSimTime(value) : null;
+  setReferenceDayNum(ms === null ? SIMULATED_DAY_NUM : Math.floor(ms / 86400000));
+}
+
+/**
+ * Seeded day-over-day open-to-open return for `dayNum`: each factor draws
+ * from [-1.5%, 1.5%), mixed by the symbol's exposures.
+ */
+function dailyDrift(exposure, dayNum) {
+  const draw = (hash) => rand2(hash ^ 0x44455455, dayNum) * 2 - 1;
+  return mixFactors(
+    exposure,
+    draw(MARKET_HASH),
+    exposure.sectorHash === null ? 0 : draw(exposure.sectorHash),
+    draw(exposure.symHash),
+  ) * 0.015;
+}
+
+/**
+ * Open-to-open growth factor into `dayNum`: the seeded drift, and on the
+ * first session after an earnings report its gap (utils/earnings).
+ */
+function dayGrowth(exposure, dayNum) {
+  const reaction = getEarningsReaction(exposure.symbol, dayNum);
+  return (1 + dailyDrift(exposure, dayNum)) * (reaction ? 1 + reaction.gap : 1);
+}
+
+// Per-symbol walk state: every open computed so far, plus the lowest and
+// highest day reached, so a new day only walks the gap from the nearest one.
+const openWalks = createStore(256);
+
 /**
  * Compute the reference opening price for a stock on `dayNum`.
- * Performs a seeded random walk backward from `basePrice` (today's reference).
+ * Performs a seeded random walk from `basePrice` on the reference day —
+ * backward for earlier days, forward for later ones.  Results are memoized
+ * and the walk is extended incrementally, so each day is computed once.
  *
- * @param {number} symHash   symbolSeed(symbol)
- * @param {number} basePrice approximate current market price
+ * @param {object} exposure  getFactorExposure(symbol)
+ * @param {number} basePrice opening price on the reference day
  * @param {number} dayNum    target day (days since epoch)
  * @returns {number} opening price for that day
  */
-function getDayOpenPrice(symHash, basePrice, dayNum) {
-  const today = todayDayNum();
-  if (dayNum >= today) return basePrice;
-  let price = basePrice;
-  for (let d = today; d > dayNum; d--) {
-    const r = rand2(symHash ^ 0x44455455, d) * 2 - 1;
-    price /= (1 + r * 0.015); // undo one day of ±1.5% drift
-    if (price <= 0) price = basePrice * 0.3;
+function getDayOpenPrice(exposure, basePrice, dayNum) {
+  const key = `${exposure.symHash}|${basePrice}`;
+  let walk = openWalks.get(key);
+  if (!walk) {
+    const ref = referenceDayNum;
+    walk = { lo: ref, hi: ref, opens: new Map([[ref, basePrice]]) };
+    openWalks.set(key, walk);
+  }
+
+  if (dayNum < walk.lo) {
+    let price = walk.opens.get(walk.lo);
+    for (let d = walk.lo; d > dayNum; d--) {
+      price /= dayGrowth(exposure, d); // undo one day of drift
+      walk.opens.set(d - 1, price);
+    }
+    walk.lo = dayNum;
+  } else if (dayNum > walk.hi) {
+    let price = walk.opens.get(walk.hi);
+    for (let d = walk.hi + 1; d <= dayNum; d++) {
+      price *= dayGrowth(exposure, d);
+      walk.opens.set(d, price);
+    }
+    walk.hi = dayNum;
+  }
+  return Math.max(walk.opens.get(dayNum), basePrice * 0.1);
+}
+
+/* ── Corporate actions ────────────────────────────────────────────────────── */
+
+// `${symbol}|${basePrice}` → corporate actions with their ex-date price factors.
+const actionFactorStore = createStore(256);
+
+/**
+ * Corporate actions of a symbol, each with the factor it applies to the raw
+ * price on its ex-date: 1 / ratio for a split, 1 - amount / price for a cash
+ * dividend (price = the previous trading day's procedural open, which like
+ * the amount is in reference-day shares).
+ */
+function getActionFactors(symbol, basePrice) {
+  const key = `${symbol}|${basePrice}`;
+  const cached = actionFactorStore.get(key);
+  if (cached) return cached;
+  const exposure = getFactorExposure(symbol);
+  const actions = getCorporateActions(symbol).map(a => ({
+    ...a,
+    factor: a.type === 'split'
+      ? 1 / a.ratio
+      : 1 - a.amount / getDayOpenPrice(exposure, basePrice, previousTradingDay(a.dayNum)),
+  }));
+  actionFactorStore.set(key, actions);
+  return actions;
+}
+
+/**
+ * Multiplier from the procedural price path to raw (as-traded) prices on
+ * `dayNum`.  It is 1 on the reference day and steps by each action's factor
+ * on its ex-date, so raw prices gap down on ex-dividend dates and by the
+ * split ratio on split dates.  With `splitsOnly`, dividends are left out.
+ */
+function getRawFactor(symbol, basePrice, dayNum, splitsOnly = false) {
+  const ref = referenceDayNum;
+  let k = 1;
+  for (const a of getActionFactors(symbol, basePrice)) {
+    if (splitsOnly && a.type !== 'split') continue;
+    if (dayNum < ref && a.dayNum > dayNum && a.dayNum <= ref) k /= a.factor;
+    if (dayNum > ref && a.dayNum > ref && a.dayNum <= dayNum) k *= a.factor;
   }
-  return Math.max(price, basePrice * 0.1);
+  return k;
+}
+
+/**
+ * Price multiplier that restates `dayNum`'s raw prices in the terms of
+ * `asOfDay`, the way charts show adjusted history.
+ *
+ * @param {'raw'|'split'|'total'} mode  'split' undoes splits after dayNum,
+ *   'total' also dividends (a total-return series)
+ * @returns {number}
+ */
+export function getAdjustmentFactor(symbol, basePrice, dayNum, asOfDay, mode) {
+  let factor = 1;
+  if (mode === 'raw') return factor;
+  for (const a of getActionFactors(symbol, basePrice)) {
+    if (a.dayNum <= dayNum || a.dayNum > asOfDay) continue;
+    if (a.type === 'split' || mode === 'total') factor *= a.factor;
+  }
+  return factor;
+}
+
+/**
+ * Restate chart bars (each carrying `dayNum`) as of `asOfDay`; see
+ * getAdjustmentFactor.  Returns the input unchanged for 'raw'.
+ */
+export function adjustBars(symbol, basePrice, bars, asOfDay, mode) {
+  if (mode === 'raw') return bars;
+  return bars.map(bar => {
+    const f = getAdjustmentFactor(symbol, basePrice, bar.dayNum, asOfDay, mode);
+    if (f === 1) return bar;
+    const adj = (v) => +(v * f).toFixed(2);
+    return {
+      ...bar,
+      open: adj(bar.open), high: adj(bar.high), low: adj(bar.low),
+      close: adj(bar.close), price: adj(bar.price),
+    };
+  });
 }
 
 /* ── Intraday price at a specific second ─────────────────────────────────── */
 
+// After-hours trading takes this long to price in an earnings release.
+const EARNINGS_RAMP_SEC = 900;
+
 /**
- * Get the procedurally generated stock price at a specific second.
+ * Build the intraday price function for one stock on one day.
  *
  * Architecture: layered smooth noise at four frequencies + a gentle intraday
  * trend arc.  All layers are bounded, so the total intraday range is ~±2% of
- * the day's opening price (realistic for large-cap equities).
+ * the day's opening price (realistic for large-cap equities).  The result is
+ * scaled by the day's corporate-action factor, giving raw as-traded prices.
+ * An active scenario (utils/scenarios.js) then scales the noise, moves the
+ * price level and freezes the price during halts.
+ *
+ * The per-day work (seed, day open) is done once here, so aggregations that
+ * sample thousands of seconds of the same day only pay for the noise layers.
+ * `raw` skips the final rounding; since `round` is monotonic, the rounded
+ * max / min of raw samples equals the max / min of rounded prices, which lets
+ * aggregations round only the values they keep.
  *
  * @param {string} symbol
- * @param {number} basePrice  today's approximate price (reference anchor)
+ * @param {number} basePrice  opening price on the reference day (anchor)
  * @param {number} dayNum     trading day (days since epoch)
- * @param {number} marketSec  seconds since 9:30 AM  (0 = open, 23400 = close)
- * @returns {number} price rounded to 2 decimal places
+ * @returns {{ price(marketSec): number, raw(marketSec): number, round(raw): number,
+ *             volume(minuteIdx): number }}
  */
-export function getPriceAtSecond(symbol, basePrice, dayNum, marketSec) {
-  const symHash = symbolSeed(symbol);
-  const dayOpen = getDayOpenPrice(symHash, basePrice, dayNum);
+function makeStockPricer(symbol, basePrice, dayNum) {
+  const exposure = getFactorExposure(symbol);
+  const symHash = exposure.symHash;
+  const dayOpen = getDayOpenPrice(exposure, basePrice, dayNum) * getRawFactor(symbol, basePrice, dayNum);
+  const vol     = dayOpen * 0.012; // base volatility: 1.2% of day's open
+  const closeSec = (getSessionDuration(dayNum) || MARKET_DURATION) - 1;
+
+  const fx      = getScenarioDay(symbol, dayNum);
+  const openAt  = dayNum * 86400 + MARKET_OPEN_SEC; // market-local epoch second of 9:30 AM
+  const volMult = fx ? (marketSec) => fx.volatility(openAt + marketSec) : () => 1;
+  const floor   = dayOpen * 0.9 * (fx ? fx.minLevel : 1);
+
+  const regular = (marketSec) => {
+    // Unique absolute time reference — dayNum * 30000 never overlaps marketSec (0-23400)
+    const t = dayNum * 30000 + Math.max(0, marketSec);
+
+    // Four noise layers (coarse → fine); the two slow ones follow the factor model
+    const n1 = factorNoise(exposure, 0x1001, t, 3600) * vol * 1.00; // ~1-hour swings
+    const n2 = factorNoise(exposure, 0x2002, t,  600) * vol * 0.55; // ~10-min swings
+    const n3 = smoothNoise(symHash, 0x3003, t,   60) * vol * 0.30; // ~1-min  noise
+    const n4 = smoothNoise(symHash, 0x4004, t,   10) * vol * 0.15; // ~10-sec micro
+    const noise = (n1 + n2 + n3 + n4) * volMult(marketSec);
+
+    // Gentle intraday arc: slight upward drift in morning, levels off by close
+    const dayFrac = marketSec / 23400;
+    const trend   = vol * 0.6 * Math.sin(dayFrac * Math.PI);
+
+    return dayOpen + noise + trend;
+  };
+
+  // Extended hours: thinner trading, so two slow noise layers at half the
+  // regular amplitude.  Pre-market glides from the previous close to today's
+  // open; after-hours starts at the close and wanders off with a small drift.
+  // The channels differ from the regular ones because t ranges overlap.
+  // Prices here are before the scenario level, hence the previous close (in
+  // the day's shares on a split ex-date) is taken back to the level in force
+  // at 4:00 AM.
+  // An after-the-close earnings report moves after-hours trading to the gap
+  // the next session opens with, within EARNINGS_RAMP_SEC of the release;
+  // that session's pre-market starts from there.
+  const reaction  = getEarningsReaction(symbol, dayNum);
+  const reportGap = getAfterHoursReaction(symbol, dayNum);
+  const reportSec = REPORT_TIMES.amc.sec - MARKET_OPEN_SEC;
+  let prevClose = null;
+  const preMarket = (marketSec) => {
+    if (prevClose === null) {
+      prevClose = getPreviousClose(symbol, basePrice, dayNum);
+      if (reaction && reaction.afterClose) prevClose *= 1 + reaction.gap;
+      if (fx) prevClose /= fx.level(openAt - PRE_MARKET_SEC);
+    }
+    const f     = (marketSec + PRE_MARKET_SEC) / PRE_MARKET_SEC; // 0 at 4:00 AM → 1 at 9:30 AM
+    const t     = dayNum * 30000 + marketSec;
+    const glide = f * f * (3 - 2 * f);
+    const noise = (factorNoise(exposure, 0x5005, t, 1800) * 0.6 +
+                   smoothNoise(symHash, 0x6006, t,  120) * 0.25) * vol * 0.5 * Math.sin(f * Math.PI) *
+                  volMult(marketSec);
+    return prevClose + (regular(0) - prevClose) * glide + noise;
+  };
+  const afterHours = (marketSec) => {
+    const close = regular(closeSec);
+    const g     = Math.min(1, (marketSec - closeSec) / AFTER_HOURS_SEC); // 0 at close → 1 four hours later
+    const t     = dayNum * 30000 + marketSec;
+    const drift = (rand2(symHash ^ 0x7a7a7a, dayNum) * 2 - 1) * 0.006 * close * g * g * (3 - 2 * g);
+    const noise = (factorNoise(exposure, 0x7007, t, 1800) * 0.6 +
+                   smoothNoise(symHash, 0x8008, t,  120) * 0.25) * vol * 0.5 * Math.sqrt(g) *
+                  volMult(marketSec);
+    const react = reportGap && marketSec > reportSec
+      ? close * reportGap * Math.min(1, (marketSec - reportSec) / EARNINGS_RAMP_SEC)
+      : 0;
+    return close + drift + noise + react;
+  };
+
+  const unscripted = (marketSec) => {
+    if (marketSec < 0)                   return preMarket(Math.max(marketSec, -PRE_MARKET_SEC));
+    if (marketSec > closeSec + 1)        return afterHours(marketSec);
+    return regular(marketSec);
+  };
+
+  // During a halt the last traded price (the second before it) holds.
+  const raw = !fx ? unscripted : (marketSec) => {
+    const halt = fx.haltAt(openAt + marketSec);
+    if (halt) marketSec = Math.max(halt.start - 1 - openAt, -PRE_MARKET_SEC);
+    return unscripted(marketSec) * fx.level(openAt + marketSec);
+  };
+  const round = (x) => Math.max(+x.toFixed(2), floor);
+
+  // Volume multiplier for a minute: heavy through an earnings reaction
+  // session and after a report; under a scenario, none traded while halted
+  // and more in high-volatility regimes.
+  const lastMin = getLastMinuteIdx(dayNum) || 389;
+  const earningsScale = (minuteIdx) =>
+    (reaction || (reportGap && minuteIdx * 60 >= reportSec) ? EARNINGS_VOLUME_MULTIPLIER : 1);
+  const volumeScale = !fx ? earningsScale : (minuteIdx) => {
+    const sec = openAt + minuteIdx * 60;
+    return fx.haltAt(sec) ? 0 : fx.volatility(sec + 30) * earningsScale(minuteIdx);
+  };
+  const volume  = (minuteIdx) => minuteVolume(symHash, dayNum, minuteIdx, lastMin, volumeScale(minuteIdx));
+
+  return { price: (marketSec) => round(raw(marketSec)), raw, round, volume };
+}
+
+/* ── Synthetic indices ────────────────────────────────────────────────────── */
+
+// Index symbol → constituents with their share counts, see getIndexConstituents.
+const constituentCache = new Map();
+
+/**
+ * Constituents of a synthetic index: every symbol in STOCK_DATA, holding
+ * shares in proportion to its market cap ('cap') or one dollar's worth at
+ * its basePrice ('equal').  Share counts are normalized so the holdings are
+ * worth 1 at the reference-day basePrices; as prices move, weights drift
+ * like a real index between rebalances.
+ *
+ * @returns {Array<{ symbol, basePrice, shares }>}
+ */
+export function getIndexConstituents(symbol) {
+  if (constituentCache.has(symbol)) return constituentCache.get(symbol);
+  const { weighting } = INDEX_DATA[symbol];
+  const holdings = Object.entries(STOCK_DATA).map(([sym, info]) => ({
+    symbol: sym,
+    basePrice: info.basePrice,
+    value: weighting === 'cap' ? parseMarketCap(info.marketCap) : 1,
+  }));
+  const total = holdings.reduce((sum, h) => sum + h.value, 0);
+  const constituents = holdings.map(h => ({
+    symbol: h.symbol,
+    basePrice: h.basePrice,
+    shares: h.value / total / h.basePrice,
+  }));
+  constituentCache.set(symbol, constituents);
+  return constituents;
+}
+
+// Completed index days are sampled every 5 minutes rather than at every
+// minute-bar sample: each sample prices all constituents.
+const INDEX_SAMPLE_SEC = 300;
+
+/**
+ * Build the intraday level function for a synthetic index on one day: the
+ * constituents' split-adjusted prices weighted by their shares, scaled so
+ * the index opens at `basePrice` on the reference day.  Volume is the
+ * constituents' total.  Same interface as makeStockPricer.
+ */
+function makeIndexPricer(symbol, basePrice, dayNum) {
+  const parts = getIndexConstituents(symbol).map(c => ({
+    pricer: makeStockPricer(c.symbol, c.basePrice, dayNum),
+    weight: c.shares * basePrice / getRawFactor(c.symbol, c.basePrice, dayNum, true),
+  }));
 
-  // Unique absolute time reference — dayNum * 30000 never overlaps marketSec (0-23400)
-  const t   = dayNum * 30000 + Math.max(0, marketSec);
-  const vol = dayOpen * 0.012; // base volatility: 1.2% of day's open
+  const raw = (marketSec) => {
+    let level = 0;
+    for (const p of parts) level += p.weight * p.pricer.raw(marketSec);
+    return level;
+  };
+  const round  = (x) => +x.toFixed(2);
+  const volume = (minuteIdx) => parts.reduce((sum, p) => sum + p.pricer.volume(minuteIdx), 0);
 
-  // Four independent noise layers (coarse → fine)
-  const n1 = smoothNoise(symHash, 0x1001, t, 3600) * vol * 1.00; // ~1-hour swings
-  const n2 = smoothNoise(symHash, 0x2002, t,  600) * vol * 0.55; // ~10-min swings
-  const n3 = smoothNoise(symHash, 0x3003, t,   60) * vol * 0.30; // ~1-min  noise
-  const n4 = smoothNoise(symHash, 0x4004, t,   10) * vol * 0.15; // ~10-sec micro
+  return { price: (marketSec) => round(raw(marketSec)), raw, round, volume, sampleSec: INDEX_SAMPLE_SEC };
+}
 
-  // Gentle intraday arc: slight upward drift in morning, levels off by close
-  const dayFrac = marketSec / 23400;
-  const trend   = vol * 0.6 * Math.sin(dayFrac * Math.PI);
+/**
+ * Intraday price function for a symbol on one day — a stock or a synthetic
+ * index.  See makeStockPricer for the interface.
+ */
+function makeDayPricer(symbol, basePrice, dayNum) {
+  return isIndexSymbol(symbol)
+    ? makeIndexPricer(symbol, basePrice, dayNum)
+    : makeStockPricer(symbol, basePrice, dayNum);
+}
 
-  return Math.max(+(dayOpen + n1 + n2 + n3 + n4 + trend).toFixed(2), dayOpen * 0.9);
+/**
+ * Get the procedurally generated stock price at a specific second.
+ *
+ * @param {string} symbol
+ * @param {number} basePrice  opening price on the reference day (anchor)
+ * @param {number} dayNum     trading day (days since epoch)
+ * @param {number} marketSec  seconds since 9:30 AM  (0 = open, 23400 = close);
+ *                            negative for pre-market, past the close for after-hours
+ * @returns {number} price rounded to 2 decimal places
+ */
+export function getPriceAtSecond(symbol, basePrice, dayNum, marketSec) {
+  return makeDayPricer(symbol, basePrice, dayNum).price(marketSec);
 }
 
 /* ── Minute-bar OHLCV ─────────────────────────────────────────────────────── */
 
+// Seconds sampled within each minute bar.
+const BAR_SAMPLE_SECS = [0, 12, 24, 36, 48, 59];
+
+/**
+ * Simulated share volume for one minute: U-shaped across the day (higher
+ * near the open and close) with per-minute noise.  Extended-hours minutes
+ * (index < 0 or past the last regular minute) trade a small fraction of that.
+ * `scale` is the scenario's volume multiplier for the minute.
+ */
+function minuteVolume(symHash, dayNum, minuteIdx, lastMin, scale = 1) {
+  const baseVol   = 80000 + rand2(symHash ^ 0xaabbcc, dayNum) * 120000;
+  const mNoise    = 0.5 + rand2(symHash ^ 0x001122, dayNum * 400 + minuteIdx) * 1.5;
+  if (minuteIdx < 0 || minuteIdx > lastMin) {
+    return Math.floor(baseVol * mNoise * 0.06 * scale / 390);
+  }
+  const openBias  = Math.exp(-minuteIdx / 40) * 2.5;
+  const closeBias = Math.exp(-(lastMin - minuteIdx) / 25) * 2.0;
+  return Math.floor(baseVol * mNoise * (1 + openBias + closeBias) * scale / 390);
+}
+
 /**
  * Compute OHLCV for a 1-minute bar by sampling 6 seconds within it.
  *
  * @param {string} symbol
  * @param {number} basePrice
  * @param {number} dayNum
- * @param {number} minuteIdx  0 = 9:30–9:31 AM … 389 = 3:59–4:00 PM
+ * @param {number} minuteIdx  0 = 9:30–9:31 AM … 389 = 3:59–4:00 PM (209 on half days);
+ *                            -330 = 4:00 AM pre-market, 390+ after-hours
  * @returns {{ open, high, low, close, price, volume }}
  */
 export function getMinuteBar(symbol, basePrice, dayNum, minuteIdx) {
+  const pricer   = makeDayPricer(symbol, basePrice, dayNum);
   const startSec = minuteIdx * 60;
-  const samples  = [0, 12, 24, 36, 48, 59].map(ds =>
-    getPriceAtSecond(symbol, basePrice, dayNum, startSec + ds)
-  );
+  const samples  = BAR_SAMPLE_SECS.map(ds => pricer.price(startSec + ds));
   const open   = samples[0];
   const close  = samples[5];
   const high   = Math.max(...samples);
   const low    = Math.min(...samples);
 
-  // Volume: U-shaped across the day (higher near open and close)
-  const symHash   = symbolSeed(symbol);
-  const baseVol   = 80000 + rand2(symHash ^ 0xaabbcc, dayNum) * 120000;
-  const mNoise    = 0.5 + rand2(symHash ^ 0x001122, dayNum * 400 + minuteIdx) * 1.5;
-  const openBias  = Math.exp(-minuteIdx / 40) * 2.5;
-  const closeBias = Math.exp(-(389 - minuteIdx) / 25) * 2.0;
-  const volume    = Math.floor(baseVol * mNoise * (1 + openBias + closeBias) / 390);
+  return { open, high, low, close, price: close, volume: pricer.volume(minuteIdx) };
+}
+
+/* ── Day series ───────────────────────────────────────────────────────────── */
+
+// `${symbol}|${basePrice}|${dayNum}` → minute bars built so far for that day.
+const daySeriesStore = createStore(512);
 
-  return { open, high, low, close, price: close, volume };
+/**
+ * Memoized minute-bar series for one trading day, built incrementally: bars
+ * are only generated past the furthest minute requested so far.  Alongside
+ * the bars, running aggregates are kept per minute — cumulative volume and
+ * the session high / low up to and including that minute.
+ *
+ * The returned object is shared; callers must not mutate it, and must only
+ * read indices up to `upToMinute`.
+ *
+ * @param {string} symbol
+ * @param {number} basePrice
+ * @param {number} dayNum
+ * @param {number} upToMinute  last minute index needed (clamped to the session)
+ * @returns {{ bars: Array, cumVolume: number[], high: number[], low: number[] }}
+ */
+export function getDaySeries(symbol, basePrice, dayNum, upToMinute) {
+  const key = `${symbol}|${basePrice}|${dayNum}`;
+  let series = daySeriesStore.get(key);
+  if (!series) {
+    series = { bars: [], cumVolume: [], high: [], low: [] };
+    daySeriesStore.set(key, series);
+  }
+
+  const last = Math.min(upToMinute, getLastMinuteIdx(dayNum));
+  for (let m = series.bars.length; m <= last; m++) {
+    const bar = getMinuteBar(symbol, basePrice, dayNum, m);
+    series.bars.push(bar);
+    if (m === 0) {
+      series.cumVolume.push(bar.volume);
+      series.high.push(bar.high);
+      series.low.push(bar.low);
+    } else {
+      series.cumVolume.push(series.cumVolume[m - 1] + bar.volume);
+      series.high.push(Math.max(series.high[m - 1], bar.high));
+      series.low.push(Math.min(series.low[m - 1], bar.low));
+    }
+  }
+  return series;
 }
 
-/* ── Market state ─────────────────────────────────────────────────────────── */
+/* ── Daily bars ───────────────────────────────────────────────────────────── */
+
+// `${symbol}|${basePrice}|${dayNum}` → full-session bar of a completed day.
+const dayBarStore = createStore(60000);
 
-const MARKET_OPEN_SEC  = 9 * 3600 + 30 * 60; // 34200 s  (9:30 AM local)
-const MARKET_CLOSE_SEC = 16 * 3600;           // 57600 s  (4:00 PM local)
-export const MARKET_DURATION = 23400;          // 6.5 hours in seconds
+/**
+ * Full-session OHLCV for one trading day, aggregated from every sample of
+ * every minute bar (so high / low are the true session extremes; indices
+ * sample every `sampleSec` instead).  Memoized; history never changes once
+ * generated.
+ */
+function getCompletedDayBar(symbol, basePrice, dayNum) {
+  const key = `${symbol}|${basePrice}|${dayNum}`;
+  const cached = dayBarStore.get(key);
+  if (cached) return cached;
 
-// Simulation is pinned to Feb 21, 2026 — price history is generated relative
-// to this day, giving fully reproducible data regardless of when you run it.
-export const SIMULATED_DAY_NUM =
-  Math.floor(new Date('2026-02-21T00:00:00Z').getTime() / 86400000);
+  const pricer  = makeDayPricer(symbol, basePrice, dayNum);
+  const lastMin = getLastMinuteIdx(dayNum);
+  const lastSec = lastMin * 60 + 59;
+  let hi = -Infinity, lo = Infinity, volume = 0;
+  const sample = (sec) => {
+    const p = pricer.raw(sec);
+    if (p > hi) hi = p;
+    if (p < lo) lo = p;
+  };
+  for (let m = 0; m <= lastMin; m++) {
+    if (!pricer.sampleSec) BAR_SAMPLE_SECS.forEach(ds => sample(m * 60 + ds));
+    volume += pricer.volume(m);
+  }
+  if (pricer.sampleSec) {
+    for (let sec = 0; sec < lastSec; sec += pricer.sampleSec) sample(sec);
+    sample(lastSec);
+  }
+  const close = pricer.price(lastSec);
+  const bar = {
+    open: pricer.price(0), high: pricer.round(hi), low: pricer.round(lo),
+    close, price: close, volume,
+  };
+  dayBarStore.set(key, bar);
+  return bar;
+}
 
 /**
- * Get the current market state.
- * - Day is always the hardcoded Feb 21, 2026 simulation date.
- * - Market open/close times (9:30 AM – 4:00 PM) are based on local wall-clock time.
- * - Weekend checks are skipped: Feb 21 is always treated as a trading day.
+ * Session-to-date bar for the in-progress day: completed minutes come from
+ * the incremental day series, the current minute only up to `sec`.  Volume
+ * of the current minute is prorated by the seconds elapsed in it.
+ */
+function getPartialDayBar(symbol, basePrice, dayNum, sec) {
+  const pricer  = makeDayPricer(symbol, basePrice, dayNum);
+  const minute  = Math.floor(sec / 60);
+  const close   = pricer.price(sec);
+  let hi = close, lo = close;
+  for (const ds of BAR_SAMPLE_SECS) {
+    if (minute * 60 + ds > sec) break;
+    const p = pricer.price(minute * 60 + ds);
+    hi = Math.max(hi, p);
+    lo = Math.min(lo, p);
+  }
+  let volume = Math.floor(pricer.volume(minute) * ((sec % 60) + 1) / 60);
+  if (minute > 0) {
+    const series = getDaySeries(symbol, basePrice, dayNum, minute - 1);
+    hi = Math.max(hi, series.high[minute - 1]);
+    lo = Math.min(lo, series.low[minute - 1]);
+    volume += series.cumVolume[minute - 1];
+  }
+  return { open: pricer.price(0), high: hi, low: lo, close, price: close, volume };
+}
+
+/**
+ * Daily OHLCV bar: the session open, the true session high and low, the
+ * close and the summed volume of every minute bar.
+ *
+ * With `currentMarketSec` inside the session the bar covers the session so
+ * far (close = price at that second); omitted or past the close, it is the
+ * completed day.  Completed days are memoized.
+ *
+ * @param {string} symbol
+ * @param {number} basePrice
+ * @param {number} dayNum            trading day (days since epoch)
+ * @param {number} [currentMarketSec] seconds since 9:30 AM
+ * @returns {{ open, high, low, close, price, volume }}
+ */
+export function getDayBar(symbol, basePrice, dayNum, currentMarketSec = Infinity) {
+  const lastSec = getLastMinuteIdx(dayNum) * 60 + 59;
+  if (currentMarketSec > lastSec) return getCompletedDayBar(symbol, basePrice, dayNum);
+  return getPartialDayBar(symbol, basePrice, dayNum, Math.max(0, currentMarketSec));
+}
+
+/**
+ * OHLCV for the minutes [fromMinute, toMinute] of one day, aggregated from
+ * the day's minute bars (used for the 5D chart's hourly bars).
+ */
+function getMinuteRangeBar(symbol, basePrice, dayNum, fromMinute, toMinute) {
+  const { bars } = getDaySeries(symbol, basePrice, dayNum, toMinute);
+  let high = -Infinity, low = Infinity, volume = 0;
+  for (let m = fromMinute; m <= toMinute; m++) {
+    high    = Math.max(high, bars[m].high);
+    low     = Math.min(low, bars[m].low);
+    volume += bars[m].volume;
+  }
+  const close = bars[toMinute].close;
+  return { open: bars[fromMinute].open, high, low, close, price: close, volume };
+}
+
+/* ── Market state ─────────────────────────────────────────────────────────── */
+
+export const MARKET_OPEN_SEC = 9 * 3600 + 30 * 60; // 34200 s  (9:30 AM market-local)
+export const MARKET_DURATION = 23400;          // 6.5 hours in seconds (regular session)
+
+/**
+ * Get the market state at a simulated instant.
+ * - Day and time of day come from the simulated clock (market-local time),
+ *   clamped into the calendar's simulation range.
+ * - The regular session runs from 9:30 AM to 4:00 PM, or 1:00 PM on early-close days.
+ *   Pre-market trading runs from 4:00 AM, after-hours for 4 hours past the close.
+ * - `dayNum` is the session whose regular-hours prices are shown: today once
+ *   the market has opened, otherwise the most recent completed trading day.
  *
- * @returns {{ dayNum, marketSec, isOpen, unixSec }}
- */
-export function getCurrentMarketState() {
-  const now     = Date.now();
-  const unixSec = Math.floor(now / 1000);
-  const local   = new Date(now);
-  const localSecOfDay =
-    local.getHours() * 3600 + local.getMinutes() * 60 + local.getSeconds();
-
-  let marketSec, isOpen;
-  if (localSecOfDay < MARKET_OPEN_SEC) {
-    marketSec = 0;               // before 9:30 AM — show market as just opened
-    isOpen    = false;
-  } else if (localSecOfDay >= MARKET_CLOSE_SEC) {
-    marketSec = MARKET_DURATION; // after 4:00 PM — show full day
-    isOpen    = false;
-  } else {
-    marketSec = localSecOfDay - MARKET_OPEN_SEC;
-    isOpen    = true;
+ * `session` is one of:
+ *   'pre'    trading day, before the open (previous session shown)
+ *   'open'   regular session in progress
+ *   'post'   trading day, after the close
+ *   'closed' weekend or holiday (`holiday` names the latter)
+ *
+ * `extendedDay` / `extendedSec` locate the extended-hours quote outside the
+ * regular session: today's pre-market (negative seconds from 9:30 AM) or the
+ * latest after-hours price of `dayNum` (past the close).  Both are null while
+ * the regular session is open.  `daySec` is how far into `dayNum`, extended
+ * hours included, the chart of that day reaches.
+ *
+ * @param {number} [unixSec]  market-local epoch seconds; defaults to the clock
+ * @returns {{ dayNum, marketSec, daySec, isOpen, session, holiday, earlyClose,
+ *             sessionDuration, extendedDay, extendedSec, unixSec }}
+ */
+export function getCurrentMarketState(unixSec = nowSec()) {
+  const { startDay, endDay } = getSimRange();
+  const clampedSec = Math.min(Math.max(unixSec, startDay * 86400), (endDay + 1) * 86400 - 1);
+  const calDay     = Math.floor(clampedSec / 86400);
+  const secOfDay   = clampedSec - calDay * 86400;
+
+  // Completed session shown while the market is not yet open today.
+  const lastSession = (dayNum, extra) => {
+    const sessionDuration = getSessionDuration(dayNum);
+    const fullDaySec      = sessionDuration + AFTER_HOURS_SEC;
+    return {
+      dayNum, marketSec: sessionDuration, daySec: fullDaySec, isOpen: false,
+      holiday: null, earlyClose: getEarlyClose(dayNum), sessionDuration,
+      extendedDay: dayNum, extendedSec: fullDaySec, unixSec: clampedSec, ...extra,
+    };
+  };
+
+  if (!isTradingDay(calDay)) {
+    return lastSession(previousTradingDay(calDay), { session: 'closed', holiday: getHoliday(calDay) });
   }
 
-  return { dayNum: SIMULATED_DAY_NUM, marketSec, isOpen, unixSec };
+  const sinceOpen = secOfDay - MARKET_OPEN_SEC;
+  if (sinceOpen < 0) {
+    const state = lastSession(previousTradingDay(calDay), { session: 'pre' });
+    if (sinceOpen >= -PRE_MARKET_SEC) {
+      state.extendedDay = calDay;
+      state.extendedSec = sinceOpen;
+    }
+    return state;
+  }
+
+  const sessionDuration = getSessionDuration(calDay);
+  const isOpen    = sinceOpen < sessionDuration;
+  const daySec    = Math.min(sinceOpen, sessionDuration + AFTER_HOURS_SEC);
+  return {
+    dayNum: calDay,
+    marketSec: Math.min(sinceOpen, sessionDuration),
+    daySec,
+    isOpen,
+    session: isOpen ? 'open' : 'post',
+    holiday: null,
+    earlyClose: getEarlyClose(calDay),
+    sessionDuration,
+    extendedDay: isOpen ? null : calDay,
+    extendedSec: isOpen ? null : daySec,
+    unixSec: clampedSec,
+  };
 }
 
 /* ── Derived market statistics ────────────────────────────────────────────── */
 
 /**
  * Previous trading day's closing price (computed from the price engine).
- * Properly skips weekends to find the last real trading day.
+ * Uses the trading calendar, so weekends and holidays are skipped and a
+ * preceding half day closes at its 1:00 PM bar.  On a split's ex-date the
+ * close is restated in the new shares, so the day's change is the move and
+ * not the split.
  */
 export function getPreviousClose(symbol, basePrice, dayNum) {
-  let prevDay = dayNum - 1;
-  for (let i = 0; i < 5; i++) { // skip up to 5 days back (handles long weekends)
-    const dow = new Date(prevDay * 86400000).getUTCDay();
-    if (dow !== 0 && dow !== 6) break;
-    prevDay--;
-  }
-  return getMinuteBar(symbol, basePrice, prevDay, 389).close;
+  const prevDay = previousTradingDay(dayNum);
+  const close   = getDayBar(symbol, basePrice, prevDay).close;
+  const split   = getAdjustmentFactor(symbol, basePrice, prevDay, dayNum, 'split');
+  return split === 1 ? close : +(close * split).toFixed(2);
+}
+
+/**
+ * Last regular-session price at marketSec: the price at that second while
+ * the session runs, the day's close once it is over.  After the close
+ * getCurrentMarketState reports marketSec = sessionDuration, which is
+ * already the first after-hours second.
+ */
+export function getLastPrice(symbol, basePrice, dayNum, marketSec) {
+  const closeSec = getSessionDuration(dayNum) - 1;
+  return getPriceAtSecond(symbol, basePrice, dayNum, Math.min(marketSec, closeSec));
 }
 
 /** Today's opening price (first second of market). */
@@ -209,30 +809,45 @@ export function getTodayOpen(symbol, basePrice, dayNum) {
 }
 
 /**
- * Today's day range [low, high] sampled every 5 minutes up to currentMarketSec.
- * Returns { low, high } strings formatted as "low - high".
+ * Today's day range [low, high] from the start of the session up to
+ * currentMarketSec (the low and high of getDayBar).
+ * Returns a string formatted as "low - high".
  */
 export function getTodayDaysRange(symbol, basePrice, dayNum, currentMarketSec) {
-  const samples = [];
-  for (let s = 0; s <= currentMarketSec; s += 300) {
-    samples.push(getPriceAtSecond(symbol, basePrice, dayNum, s));
-  }
-  if (!samples.length) samples.push(getPriceAtSecond(symbol, basePrice, dayNum, 0));
-  const lo = Math.min(...samples).toFixed(2);
-  const hi = Math.max(...samples).toFixed(2);
-  return `${lo} - ${hi}`;
+  const { low, high } = getDayBar(symbol, basePrice, dayNum, currentMarketSec);
+  return `${low.toFixed(2)} - ${high.toFixed(2)}`;
 }
 
 /**
- * Approximate cumulative volume traded from market open to currentMarketSec.
+ * Cumulative volume traded from market open to currentMarketSec.
  */
 export function getDayVolume(symbol, basePrice, dayNum, currentMarketSec) {
-  const currentMinute = Math.floor(currentMarketSec / 60);
-  let total = 0;
-  for (let m = 0; m <= currentMinute; m++) {
-    total += getMinuteBar(symbol, basePrice, dayNum, m).volume;
-  }
-  return total;
+  return getDayBar(symbol, basePrice, dayNum, currentMarketSec).volume;
+}
+
+/**
+ * Extended-hours quote for a market state: today's pre-market price or the
+ * latest after-hours price, with its change from the last regular close.
+ * Returns null while the regular session is open.
+ *
+ * @param {string} symbol
+ * @param {number} basePrice
+ * @param {object} state  result of getCurrentMarketState
+ * @returns {{ label, price, change, changePercent } | null}
+ */
+export function getExtendedQuote(symbol, basePrice, state) {
+  if (state.extendedDay == null) return null;
+  const isPre    = state.extendedSec < 0;
+  const refClose = isPre
+    ? getPreviousClose(symbol, basePrice, state.extendedDay)
+    : getDayBar(symbol, basePrice, state.extendedDay).close;
+  const price    = getPriceAtSecond(symbol, basePrice, state.extendedDay, state.extendedSec);
+  return {
+    label: isPre ? 'Pre-market' : 'After hours',
+    price,
+    change: +(price - refClose).toFixed(2),
+    changePercent: +(((price - refClose) / refClose) * 100).toFixed(2),
+  };
 }
 
 /* ── Label formatters ─────────────────────────────────────────────────────── */
@@ -247,12 +862,25 @@ export function fmtMinuteTime(minuteIdx) {
   return `${h12}:${String(m).padStart(2, '0')} ${ampm}`;
 }
 
+/** "11:42:07 AM" from seconds since 9:30 AM */
+export function fmtMarketTime(marketSec) {
+  const s = ((marketSec % 60) + 60) % 60;
+  return fmtMinuteTime(Math.floor(marketSec / 60)).replace(' ', `:${String(s).padStart(2, '0')} `);
+}
+
 /** "01/17" from dayNum */
 function fmtDate(dayNum) {
   const d = new Date(dayNum * 86400000);
   return `${String(d.getUTCMonth() + 1).padStart(2, '0')}/${String(d.getUTCDate()).padStart(2, '0')}`;
 }
 
+/** "Feb 9, 2026" from dayNum */
+export function fmtLongDate(dayNum) {
+  const d = new Date(dayNum * 86400000);
+  const month = d.toLocaleString('en-US', { month: 'short', timeZone: 'UTC' });
+  return `${month} ${d.getUTCDate()}, ${d.getUTCFullYear()}`;
+}
+
 /** "01/13 9:30 AM" from dayNum + minuteIdx */
 function fmtDatetime(dayNum, minuteIdx) {
   const totalMin = 9 * 60 + 30 + minuteIdx;
@@ -266,80 +894,168 @@ function fmtDatetime(dayNum, minuteIdx) {
   return `${mo}/${dy} ${h12}:${String(m).padStart(2, '0')} ${ampm}`;
 }
 
-/* ── Trading-day calendar ─────────────────────────────────────────────────── */
-
-/** Returns `count` most-recent trading day numbers ending before `upToDay`. */
-function getLastTradingDays(count, upToDay) {
-  const days = [];
-  let d = upToDay;
-  while (days.length < count) {
-    d--;
-    const dow = new Date(d * 86400000).getUTCDay();
-    if (dow !== 0 && dow !== 6) days.unshift(d);
-  }
-  return days;
-}
-
 /* ── Chart data generators ────────────────────────────────────────────────── */
 
 /**
  * Generate 1D chart data — one bar per completed minute since market open.
  * Chart updates every minute as new bars complete.
  *
+ * With `extended`, pre-market bars (negative minuteIdx, from 4:00 AM) come
+ * first and after-hours bars follow the session, up to currentMarketSec.
+ *
  * @param {string} symbol
  * @param {number} basePrice
  * @param {number} dayNum
- * @param {number} currentMarketSec  seconds elapsed since 9:30 AM
- * @returns {Array<{ time, minuteIdx, open, high, low, close, price, volume }>}
+ * @param {number} currentMarketSec  seconds elapsed since 9:30 AM (past the close for after-hours)
+ * @param {boolean} [extended]       include pre-market and after-hours bars
+ * @returns {Array<{ time, dayNum, minuteIdx, open, high, low, close, price, volume }>}
  */
-export function generate1DData(symbol, basePrice, dayNum, currentMarketSec) {
-  const upToMinute = Math.min(Math.floor(currentMarketSec / 60), 389);
+export function generate1DData(symbol, basePrice, dayNum, currentMarketSec, extended = false) {
+  const lastMin    = getLastMinuteIdx(dayNum);
+  const maxMinute  = extended ? lastMin + AFTER_HOURS_SEC / 60 : lastMin;
+  const upToMinute = Math.min(Math.floor(currentMarketSec / 60), maxMinute);
   const data = [];
-  for (let m = 0; m <= upToMinute; m++) {
-    const bar = getMinuteBar(symbol, basePrice, dayNum, m);
-    data.push({ time: fmtMinuteTime(m), minuteIdx: m, ...bar });
+  if (extended) {
+    for (let m = -PRE_MARKET_SEC / 60; m < Math.min(0, upToMinute + 1); m++) {
+      data.push({ time: fmtMinuteTime(m), dayNum, minuteIdx: m, ...getMinuteBar(symbol, basePrice, dayNum, m) });
+    }
+  }
+  if (upToMinute < 0) return data;
+  const { bars } = getDaySeries(symbol, basePrice, dayNum, Math.min(upToMinute, lastMin));
+  for (let m = 0; m <= Math.min(upToMinute, lastMin); m++) {
+    data.push({ time: fmtMinuteTime(m), dayNum, minuteIdx: m, ...bars[m] });
+  }
+  for (let m = lastMin + 1; m <= upToMinute; m++) {
+    data.push({ time: fmtMinuteTime(m), dayNum, minuteIdx: m, ...getMinuteBar(symbol, basePrice, dayNum, m) });
   }
   return data;
 }
 
 /**
- * Generate 5D chart data — 7 hourly bars per day, last 4 trading days + today.
- * Today's bars are only generated up to the current hour.
+ * Generate 5D chart data — hourly OHLC bars (7 per day), last 4 trading days
+ * + today.  Today's bars are only generated up to the current minute.
  */
 export function generate5DData(symbol, basePrice, dayNum, currentMarketSec) {
   const days          = getLastTradingDays(4, dayNum);
   days.push(dayNum);  // include today
   const currentMinute = Math.floor(currentMarketSec / 60);
-  // Hourly sample points within the trading day (minute indices)
+  // Start of each hourly bar within the trading day (minute indices)
   const hourlyMins    = [0, 60, 120, 180, 240, 300, 360];
   const data          = [];
 
   for (const d of days) {
+    const lastMin = d === dayNum
+      ? Math.min(currentMinute, getLastMinuteIdx(d)) // don't show future minutes for today
+      : getLastMinuteIdx(d);
     for (const m of hourlyMins) {
-      if (d === dayNum && m > currentMinute) break; // don't show future hours for today
-      const bar = getMinuteBar(symbol, basePrice, d, m);
-      data.push({ date: fmtDatetime(d, m), ...bar });
+      if (m > lastMin) break;                        // half days end at 1:00 PM
+      const bar = getMinuteRangeBar(symbol, basePrice, d, m, Math.min(m + 59, lastMin));
+      data.push({ date: fmtDatetime(d, m), dayNum: d, minuteIdx: m, ...bar });
     }
   }
   return data;
 }
 
 /**
- * Generate 1M chart data — daily closing bars for last 22 trading days + today.
+ * Generate 1M chart data — daily OHLC bars for last 22 trading days + today
+ * (session to date).
  */
 export function generate1MData(symbol, basePrice, dayNum, currentMarketSec) {
   const days = getLastTradingDays(22, dayNum);
   const data = [];
 
   for (const d of days) {
-    const bar = getMinuteBar(symbol, basePrice, d, 389); // 3:59-4:00 PM close
-    data.push({ date: fmtDate(d), ...bar });
+    data.push({ date: fmtDate(d), dayNum: d, ...getDayBar(symbol, basePrice, d) });
   }
 
   // Add today's current bar
-  const todayMinute = Math.min(Math.floor(currentMarketSec / 60), 389);
-  const todayBar    = getMinuteBar(symbol, basePrice, dayNum, todayMinute);
-  data.push({ date: fmtDate(dayNum), ...todayBar });
+  const todayBar = getDayBar(symbol, basePrice, dayNum, currentMarketSec);
+  data.push({ date: fmtDate(dayNum), dayNum, ...todayBar });
+
+  return data;
+}
+
+/* ── Long-range chart data ────────────────────────────────────────────────── */
+
+/**
+ * Ranges beyond 1M: how far back each reaches and the bar interval it uses.
+ * `months` counts back from the current day; YTD starts on Jan 1 and Max at
+ * the start of the simulation range.
+ */
+export const LONG_RANGES = {
+  '3m':  { months: 3,  interval: 'day'   },
+  '6m':  { months: 6,  interval: 'day'   },
+  'ytd': { ytd: true,  interval: 'day'   },
+  '1y':  { months: 12, interval: 'week'  },
+  '5y':  { months: 60, interval: 'week'  },
+  'max': { max: true,  interval: 'month' },
+};
+
+/** First calendar day covered by a long range ending on `dayNum`. */
+function rangeStartDay(range, dayNum) {
+  const cfg = LONG_RANGES[range];
+  const d   = new Date(dayNum * 86400000);
+  let start;
+  if (cfg.max)      start = getSimRange().startDay;
+  else if (cfg.ytd) start = Date.UTC(d.getUTCFullYear(), 0, 1) / 86400000;
+  else              start = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - cfg.months, d.getUTCDate()) / 86400000;
+  return Math.max(start, getSimRange().startDay);
+}
+
+/** "01/17/25" from dayNum — long ranges span years, so the year is included. */
+function fmtDateYear(dayNum) {
+  const d = new Date(dayNum * 86400000);
+  return `${fmtDate(dayNum)}/${String(d.getUTCFullYear() % 100).padStart(2, '0')}`;
+}
 
+/** Group key for weekly (Monday-based) or monthly bars. */
+function periodKey(dayNum, interval) {
+  if (interval === 'week') return dayNum - ((new Date(dayNum * 86400000).getUTCDay() + 6) % 7);
+  const d = new Date(dayNum * 86400000);
+  return d.getUTCFullYear() * 12 + d.getUTCMonth();
+}
+
+/**
+ * Generate chart data for 3M, 6M, YTD, 1Y, 5Y or Max.
+ * Daily bars carry the true session OHLC; 1Y and 5Y roll them up into weekly
+ * bars and Max into monthly bars, each labelled by its first trading day.
+ * Today's bar covers the session up to currentMarketSec.
+ *
+ * @returns {Array<{ date, dayNum, open, high, low, close, price, volume }>}
+ */
+export function generateRangeData(symbol, basePrice, dayNum, currentMarketSec, range) {
+  const { interval } = LONG_RANGES[range];
+  const start = rangeStartDay(range, dayNum);
+  const days  = [];
+  for (let d = dayNum; d >= start && isTradingDay(d); d = previousTradingDay(d)) days.unshift(d);
+
+  const label = interval === 'day' ? fmtDate : fmtDateYear;
+  const data  = [];
+  let period  = null;
+  for (const d of days) {
+    const bar = getDayBar(symbol, basePrice, d, d === dayNum ? currentMarketSec : Infinity);
+    const key = interval === 'day' ? d : periodKey(d, interval);
+    if (period && period.key === key) {
+      const p = period.bar;
+      p.high    = Math.max(p.high, bar.high);
+      p.low     = Math.min(p.low, bar.low);
+      p.close   = p.price = bar.close;
+      p.volume += bar.volume;
+    } else {
+      period = { key, bar: { date: label(d), dayNum: d, ...bar } };
+      data.push(period.bar);
+    }
+  }
   return data;
 }
+
+/**
+ * 52-week range "low - high", derived from the generated 1Y series so the
+ * stat and the 1Y chart always agree.
+ */
+export function get52WeekRange(symbol, basePrice, dayNum, currentMarketSec) {
+  const bars = generateRangeData(symbol, basePrice, dayNum, currentMarketSec, '1y');
+  const lo = Math.min(...bars.map(b => b.low));
+  const hi = Math.max(...bars.map(b => b.high));
+  return `${lo.toFixed(2)} - ${hi.toFixed(2)}`;
+}
@@ -0,0 +1,74 @@
+import * as hash from './hash';
+import {
+  getPriceAtSecond,
+  getPreviousClose,
+  getDayBar,
+  generate1MData,
+  SIMULATED_DAY_NUM,
+} from './priceEngine';
+import { STOCK_DATA } from '../data/mockData';
+
+// Every simulated value is built from rand2 draws, so counting them measures
+// the engine's work independent of machine speed.  Each budget below is a
+// small fraction of what the same call costs without the memo it protects.
+
+/**
+ * rand2 calls made by `fn`.  The spy lives only for the call: the test setup
+ * resets mocks between tests, which would leave a shared one returning
+ * undefined.
+ */
+function countDraws(fn) {
+  const draws = jest.spyOn(hash, 'rand2');
+  try {
+    fn();
+    return draws.mock.calls.length;
+  } finally {
+    draws.mockRestore();
+  }
+}
+
+/** What each home-page card and the ticker header read for one symbol. */
+function renderQuotes(dayNum, marketSec) {
+  for (const [symbol, { basePrice }] of Object.entries(STOCK_DATA)) {
+    getPriceAtSecond(symbol, basePrice, dayNum, marketSec);
+    getPreviousClose(symbol, basePrice, dayNum);
+    getDayBar(symbol, basePrice, dayNum, marketSec);
+  }
+}
+
+// Two years before the reference day, so an unmemoized open walk is long.
+const DAY = SIMULATED_DAY_NUM - 730;
+
+// The budgets after the first render hold only once the caches are warm, so
+// each test renders the instant before the one it measures itself.
+
+describe('home page quotes', () => {
+  test('the first render pays for the open walk and the day so far', () => {
+    expect(countDraws(() => renderQuotes(DAY, 18000))).toBeGreaterThan(100000);
+  });
+
+  test('the next second only prices that second', () => {
+    renderQuotes(DAY, 18000);
+    expect(countDraws(() => renderQuotes(DAY, 18001))).toBeLessThan(5000);
+  });
+
+  test('the next minute only adds that minute to the day series', () => {
+    renderQuotes(DAY, 18001);
+    expect(countDraws(() => renderQuotes(DAY, 18061))).toBeLessThan(10000);
+  });
+
+  test('an adjacent day extends the open walk by one step', () => {
+    const { basePrice } = STOCK_DATA.AAPL;
+    getPriceAtSecond('AAPL', basePrice, DAY, 0);
+    expect(countDraws(() => getPriceAtSecond('AAPL', basePrice, DAY - 1, 0))).toBeLessThan(200);
+  });
+});
+
+describe('1M chart', () => {
+  const { basePrice } = STOCK_DATA.AAPL;
+
+  test('completed days are generated once', () => {
+    expect(countDraws(() => generate1MData('AAPL', basePrice, SIMULATED_DAY_NUM, 18000))).toBeGreaterThan(100000);
+    expect(countDraws(() => generate1MData('AAPL', basePrice, SIMULATED_DAY_NUM, 18001))).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,164 @@
+import {
+  getPriceAtSecond,
+  getMinuteBar,
+  getPreviousClose,
+  getReferenceDayNum,
+  initReferenceDayFromSearch,
+  getDayBar,
+  getCurrentMarketState,
+  getLastPrice,
+  getAdjustmentFactor,
+  SIMULATED_DAY_NUM,
+} from './priceEngine';
+import { getLastTradingDays } from './tradingCalendar';
+import { STOCK_DATA, INDEX_DATA, parseMarketCap } from '../data/mockData';
+
+// Golden values: any change to these means every chart, quote and benchmark
+// task built on the engine moves too.  Regenerate them only on purpose.
+//
+// Per symbol: price on the reference day (Fri Feb 20, 2026) at 9:30:00 and
+// 11:33:04, on Tue Jan 6 at 3:03:20 PM and on Mon Mar 2 at 10:30:00, the
+// reference day's previous close, and its minute bar 100 (11:10 AM) as
+// [open, high, low, close, volume].
+const GOLDEN = {
+  AAPL:  [179.65, 181, 166.74, 175.11, 179.27, [179.48, 179.69, 179.1, 179.39, 824]],
+  GOOGL: [143.86, 144.06, 134.85, 156.92, 141.76, [144.31, 144.31, 143.43, 143.57, 184]],
+  MSFT:  [405.98, 408.18, 396.93, 397.34, 404.76, [408.05, 408.58, 405.46, 405.87, 227]],
+  AMZN:  [156.27, 157.05, 155.08, 151.94, 155.64, [156.37, 156.49, 155.98, 156.13, 773]],
+  META:  [412.91, 417.69, 438.52, 423.76, 413.24, [411.92, 415.98, 411.92, 415.98, 281]],
+  NVDA:  [533.52, 521.97, 483.78, 542.52, 516.44, [522.34, 523.21, 520.61, 521.15, 893]],
+  TSLA:  [252.71, 249.73, 211.4, 240.36, 248.65, [249.07, 250.74, 249.07, 250.39, 1071]],
+  NFLX:  [687.29, 692.98, 608.96, 696.39, 682.53, [691.92, 693.67, 691.92, 693.19, 935]],
+  AMD:   [143.9, 144.13, 118.51, 141.94, 141.26, [143.69, 143.88, 143.66, 143.81, 369]],
+  INTC:  [42.31, 42.49, 39.01, 43.26, 42.6, [42.78, 42.87, 42.77, 42.77, 477]],
+  JPM:   [166.93, 169.83, 159.33, 180.27, 165.6, [168.82, 169.65, 168.53, 169.65, 243]],
+  V:     [257.22, 259.37, 259.06, 268.16, 254.71, [255.81, 257.43, 255.8, 257.43, 305]],
+  WMT:   [163.13, 164.34, 165.96, 154.62, 165.08, [165.3, 165.37, 164.58, 164.62, 470]],
+  DIS:   [92.05, 92.58, 87.77, 91.29, 90.78, [92.19, 92.49, 91.97, 92.49, 238]],
+  BA:    [220.85, 220.68, 196.67, 221.82, 216.06, [219.45, 220.4, 219.38, 220.4, 435]],
+  GS:    [389.5, 395.58, 357.37, 394.38, 383.27, [389.48, 389.96, 389.2, 389.55, 490]],
+  COIN:  [143.95, 145.02, 128.69, 137.16, 138.42, [143.96, 143.96, 143.5, 143.5, 461]],
+  PYPL:  [62.64, 62.37, 58.58, 61.71, 62.22, [62.04, 62.04, 61.91, 61.93, 618]],
+  UBER:  [69.08, 69.26, 61.99, 68.45, 70.22, [68.73, 68.75, 68.65, 68.75, 859]],
+  SPOT:  [232.83, 234.79, 213.38, 233.39, 232.11, [235.88, 235.88, 235.01, 235.18, 263]],
+};
+
+const DAY = SIMULATED_DAY_NUM;
+
+test('the golden table covers every stock', () => {
+  expect(Object.keys(GOLDEN).sort()).toEqual(Object.keys(STOCK_DATA).sort());
+});
+
+describe.each(Object.keys(STOCK_DATA))('%s', (symbol) => {
+  const { basePrice } = STOCK_DATA[symbol];
+  const [open, midMorning, january, march, prevClose, minuteBar] = GOLDEN[symbol];
+
+  test('getPriceAtSecond', () => {
+    expect(getPriceAtSecond(symbol, basePrice, DAY, 0)).toBe(open);
+    expect(getPriceAtSecond(symbol, basePrice, DAY, 7384)).toBe(midMorning);
+    expect(getPriceAtSecond(symbol, basePrice, DAY - 45, 20000)).toBe(january);
+    expect(getPriceAtSecond(symbol, basePrice, DAY + 10, 3600)).toBe(march);
+  });
+
+  test('getPreviousClose', () => {
+    expect(getPreviousClose(symbol, basePrice, DAY)).toBe(prevClose);
+  });
+
+  test('getMinuteBar', () => {
+    const bar = getMinuteBar(symbol, basePrice, DAY, 100);
+    expect([bar.open, bar.high, bar.low, bar.close, bar.volume]).toEqual(minuteBar);
+  });
+});
+
+describe('split ex-dates', () => {
+  const day = (iso) => Date.parse(`${iso}T00:00:00Z`) / 86400000;
+
+  test.each([
+    // symbol, ex-date, previous close in the new shares, close
+    ['NVDA', '2024-06-10', 366.66, 366.03],
+    ['AAPL', '2020-08-31', 131.15, 135.38],
+  ])('%s %s changes by the move, not the split', (symbol, iso, prevClose, close) => {
+    const { basePrice } = STOCK_DATA[symbol];
+    expect(getPreviousClose(symbol, basePrice, day(iso))).toBe(prevClose);
+    expect(getDayBar(symbol, basePrice, day(iso)).close).toBe(close);
+    expect(Math.abs(close / prevClose - 1)).toBeLessThan(0.05);
+  });
+
+  test('pre-market starts from the restated close', () => {
+    const { basePrice } = STOCK_DATA.NVDA;
+    expect(getPriceAtSecond('NVDA', basePrice, day('2024-06-10'), -19800)).toBe(366.66);
+  });
+});
+
+describe('getLastPrice', () => {
+  test('quotes the close once the session is over', () => {
+    const { basePrice } = STOCK_DATA.NVDA;
+    const thursday = SIMULATED_DAY_NUM - 1;
+    const { dayNum, marketSec } = getCurrentMarketState(thursday * 86400 + 17 * 3600);
+    expect(marketSec).toBe(23400);
+    expect(getLastPrice('NVDA', basePrice, dayNum, marketSec)).toBe(GOLDEN.NVDA[4]);
+    expect(getLastPrice('NVDA', basePrice, dayNum, marketSec))
+      .toBe(getDayBar('NVDA', basePrice, dayNum).close);
+    expect(getLastPrice('NVDA', basePrice, dayNum, 3600))
+      .toBe(getPriceAtSecond('NVDA', basePrice, dayNum, 3600));
+  });
+});
+
+describe('initReferenceDayFromSearch', () => {
+  afterEach(() => initReferenceDayFromSearch(''));
+
+  test('?ref= re-anchors history, and the default restores it', () => {
+    const { basePrice } = STOCK_DATA.AAPL;
+    initReferenceDayFromSearch('?ref=2026-01-02');
+    expect(getReferenceDayNum()).toBe(Date.UTC(2026, 0, 2) / 86400000);
+    expect(getPriceAtSecond('AAPL', basePrice, DAY, 0)).not.toBe(GOLDEN.AAPL[0]);
+
+    initReferenceDayFromSearch('');
+    expect(getReferenceDayNum()).toBe(DAY);
+    expect(getPriceAtSecond('AAPL', basePrice, DAY, 0)).toBe(GOLDEN.AAPL[0]);
+  });
+
+  test('malformed dates fall back to the default day', () => {
+    initReferenceDayFromSearch('?ref=yesterday');
+    expect(getReferenceDayNum()).toBe(DAY);
+  });
+});
+
+describe('factor model', () => {
+  // Deriving a year of daily closes walks every second of every session, so
+  // the check uses a low-, mid-, high- and extreme-beta stock rather than all.
+  const SYMBOLS  = ['WMT', 'AAPL', 'NVDA', 'COIN'];
+  const SESSIONS = 250;
+
+  /** Daily log returns of split-adjusted closes over the SESSIONS before DAY. */
+  function dailyReturns(symbol, basePrice) {
+    const closes = getLastTradingDays(SESSIONS + 1, DAY).map(d =>
+      getDayBar(symbol, basePrice, d).close * getAdjustmentFactor(symbol, basePrice, d, DAY, 'split'));
+    return closes.slice(1).map((c, i) => Math.log(c / closes[i]));
+  }
+
+  const mean = (xs) => xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const covariance = (xs, ys) => {
+    const mx = mean(xs), my = mean(ys);
+    return mean(xs.map((x, i) => (x - mx) * (ys[i] - my)));
+  };
+
+  test('realized betas against ^BENCH are the metadata betas over the index beta', () => {
+    // ^BENCH is cap-weighted, so its own beta to the market factor is the
+    // cap-weighted mean of its members' betas.
+    const stocks = Object.values(STOCK_DATA);
+    const caps   = stocks.map(info => parseMarketCap(info.marketCap));
+    const indexBeta = stocks.reduce((sum, info, i) => sum + parseFloat(info.beta) * caps[i], 0)
+      / caps.reduce((a, b) => a + b, 0);
+    const market = dailyReturns('^BENCH', INDEX_DATA['^BENCH'].basePrice);
+
+    const realized = SYMBOLS.map(symbol => {
+      const { basePrice, beta } = STOCK_DATA[symbol];
+      const realizedBeta = covariance(dailyReturns(symbol, basePrice), market) / covariance(market, market);
+      expect(realizedBeta / (parseFloat(beta) / indexBeta)).toBeGreaterThan(0.75);
+      expect(realizedBeta / (parseFloat(beta) / indexBeta)).toBeLessThan(1.25);
+      return realizedBeta;
+    });
+    expect([...realized].sort((a, b) => a - b)).toEqual(realized);
+  }, 120000);
+});
@@ -0,0 +1,218 @@
+/* ─── scenarios.js ──────────────────────────────────────────────────────────
+ * Scripted market events layered on top of the procedural price engine.
+ * A scenario is a declarative list of events for chosen symbols and times;
+ * with none active the engine's output is unchanged.  Scenarios are data
+ * (see data/scenarios/), so runs stay fully deterministic.
+ *
+ * Event types (times are market-local, e.g. "2026-02-20T10:15"; `symbols`
+ * is a list of tickers or "*" for every symbol):
+ *   shock       { at, move, durationSec? }     price level moves by `move`
+ *                                              (-0.08 = -8%), stepwise or
+ *                                              linearly over durationSec
+ *   drift       { from, to, move }             level moves by `move`
+ *                                              linearly across the window
+ *   volatility  { from, to, multiplier }       noise amplitude and volume
+ *                                              scaled by `multiplier`
+ *   halt        { from, to, reason? }          no trading: price frozen at
+ *                                              the last trade, zero volume
+ *
+ * Level changes (shocks and drifts) are permanent: later prices, days
+ * included, keep the new level.
+ *
+ * URL parameter (read once at startup by initScenarioFromSearch):
+ *   ?scenario=nvda-earnings-gap   activate a bundled scenario by id
+ * The REACT_APP_SCENARIO build variable sets a default.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+import { parseSimTime } from './clock';
+import { createStore, clearSeriesCache } from './seriesStore';
+import { SCENARIOS } from '../data/scenarios';
+
+const DAY_SEC = 86400;
+
+// Volatility regimes fade in and out over this long, so the noise amplitude
+// never jumps.
+const VOL_RAMP_SEC = 60;
+
+const EVENT_TYPES = ['shock', 'drift', 'volatility', 'halt'];
+
+let active = null; // { scenario, events } once compiled
+
+/* ── Compiling ────────────────────────────────────────────────────────────── */
+
+function parseTime(scenarioId, value) {
+  const ms = parseSimTime(value);
+  if (ms === null) throw new Error(`Scenario "${scenarioId}": invalid time "${value}"`);
+  return Math.floor(ms / 1000);
+}
+
+/**
+ * Validate one event and resolve its times to market-local epoch seconds.
+ * @returns {{ type, symbols: string[]|'*', start, end, move?, multiplier?, reason? }}
+ */
+function compileEvent(scenarioId, ev) {
+  if (!EVENT_TYPES.includes(ev.type)) {
+    throw new Error(`Scenario "${scenarioId}": unknown event type "${ev.type}"`);
+  }
+  if (ev.symbols !== '*' && !(Array.isArray(ev.symbols) && ev.symbols.length)) {
+    throw new Error(`Scenario "${scenarioId}": ${ev.type} event needs "symbols"`);
+  }
+
+  let start, end;
+  if (ev.type === 'shock') {
+    start = parseTime(scenarioId, ev.at);
+    end   = start + Math.max(1, ev.durationSec || 1);
+  } else {
+    start = parseTime(scenarioId, ev.from);
+    end   = parseTime(scenarioId, ev.to);
+    if (end <= start) throw new Error(`Scenario "${scenarioId}": ${ev.type} event ends before it starts`);
+  }
+
+  const event = { type: ev.type, symbols: ev.symbols, start, end };
+  if (ev.type === 'shock' || ev.type === 'drift') {
+    if (!Number.isFinite(ev.move) || ev.move <= -1) {
+      throw new Error(`Scenario "${scenarioId}": ${ev.type} event needs a "move" above -1`);
+    }
+    event.move = ev.move;
+  } else if (ev.type === 'volatility') {
+    if (!(ev.multiplier >= 0)) {
+      throw new Error(`Scenario "${scenarioId}": volatility event needs a non-negative "multiplier"`);
+    }
+    event.multiplier = ev.multiplier;
+  } else {
+    event.reason = ev.reason || 'Trading halt';
+  }
+  return event;
+}
+
+/* ── Selecting a scenario ─────────────────────────────────────────────────── */
+
+/** Ids and names of the bundled scenarios. */
+export function listScenarios() {
+  return Object.values(SCENARIOS).map(({ id, name, description }) => ({ id, name, description }));
+}
+
+/** The active scenario definition, or null. */
+export function getActiveScenario() {
+  return active ? active.scenario : null;
+}
+
+/**
+ * The active scenario's events, compiled (times in market-local epoch
+ * seconds), in definition order; empty with none active.
+ */
+export function getScenarioEvents() {
+  return active ? active.events : [];
+}
+
+/**
+ * Activate a scenario — a bundled id, a scenario object, or null for none.
+ * Cached price series are dropped, since every price may change.
+ * Throws if the id is unknown or an event is malformed.
+ */
+export function setScenario(scenario) {
+  if (typeof scenario === 'string') {
+    if (!SCENARIOS[scenario]) throw new Error(`Unknown scenario: ${scenario}`);
+    scenario = SCENARIOS[scenario];
+  }
+  active = scenario
+    ? { scenario, events: (scenario.events || []).map(ev => compileEvent(scenario.id, ev)) }
+    : null;
+  clearSeriesCache();
+}
+
+/**
+ * Apply `?scenario=` from a URL query string, falling back to the
+ * REACT_APP_SCENARIO build variable.  Unknown ids are ignored.
+ */
+export function initScenarioFromSearch(search = '') {
+  const id = new URLSearchParams(search).get('scenario') || process.env.REACT_APP_SCENARIO;
+  setScenario(id && SCENARIOS[id] ? id : null);
+}
+
+/* ── Effects on prices ────────────────────────────────────────────────────── */
+
+function appliesTo(event, symbol) {
+  return event.symbols === '*' || event.symbols.includes(symbol);
+}
+
+/**
+ * 0 before the event, 1 once it has played out, linear in between.  The
+ * price at `sec` already reflects that second, so a one-second shock
+ * is fully in the price from its `at` time.
+ */
+function progress(event, sec) {
+  return Math.min(1, Math.max(0, (sec + 1 - event.start) / (event.end - event.start)));
+}
+
+// `${symbol}|${dayNum}` → effects of the active scenario on that day.
+const dayEffectsStore = createStore(4096);
+
+/**
+ * Effects of the active scenario on one symbol over one calendar day, or
+ * null when the scenario does not touch it (the engine's fast path).
+ * All functions take market-local epoch seconds within that day.
+ *
+ * @returns {null | {
+ *   level(sec): number,       price multiplier from shocks and drifts
+ *   volatility(sec): number,  noise amplitude multiplier
+ *   haltAt(sec): object|null, the halt in force, if any
+ *   minLevel: number,         lowest level the day can reach
+ * }}
+ */
+export function getScenarioDay(symbol, dayNum) {
+  if (!active) return null;
+  const key = `${symbol}|${dayNum}`;
+  let fx = dayEffectsStore.get(key);
+  if (fx !== undefined) return fx;
+
+  const dayStart = dayNum * DAY_SEC;
+  const dayEnd   = dayStart + DAY_SEC;
+  let baseLevel  = 1;
+  const levels = [], vols = [], halts = [];
+  for (const ev of active.events) {
+    if (!appliesTo(ev, symbol) || ev.start >= dayEnd) continue;
+    if (ev.type === 'shock' || ev.type === 'drift') {
+      if (ev.end <= dayStart) baseLevel *= 1 + ev.move; // fully played out on an earlier day
+      else levels.push(ev);
+    } else if (ev.end > dayStart) {
+      (ev.type === 'volatility' ? vols : halts).push(ev);
+    }
+  }
+
+  if (baseLevel === 1 && !levels.length && !vols.length && !halts.length) {
+    fx = null;
+  } else {
+    fx = {
+      level(sec) {
+        let l = baseLevel;
+        for (const ev of levels) l *= 1 + ev.move * progress(ev, sec);
+        return l;
+      },
+      volatility(sec) {
+        let m = 1;
+        for (const ev of vols) {
+          if (sec < ev.start || sec >= ev.end) continue;
+          const edge = Math.min(1, (sec - ev.start) / VOL_RAMP_SEC, (ev.end - sec) / VOL_RAMP_SEC);
+          m *= 1 + (ev.multiplier - 1) * edge;
+        }
+        return m;
+      },
+      haltAt(sec) {
+        return halts.find(ev => sec >= ev.start && sec < ev.end) || null;
+      },
+      minLevel: levels.reduce((l, ev) => l * (1 + Math.min(0, ev.move)), baseLevel),
+    };
+  }
+  dayEffectsStore.set(key, fx);
+  return fx;
+}
+
+/**
+ * The trading halt in force for a symbol at a market-local instant, or null.
+ * @returns {{ start, end, reason } | null}
+ */
+export function getHalt(symbol, unixSec) {
+  const fx = getScenarioDay(symbol, Math.floor(unixSec / DAY_SEC));
+  return fx ? fx.haltAt(unixSec) : null;
+}
@@ -0,0 +1,209 @@
+/* ─── screener.js ───────────────────────────────────────────────────────────
+ * Stock screener over every symbol in STOCK_DATA: live metrics, filtering
+ * and sorting, the URL encoding of a screen, and saved screens persisted
+ * in localStorage.
+ *
+ * A screen is
+ *   { sectors: string[], ranges: { [fieldId]: [min, max] }, sort, dir }
+ * with null for an open end of a range.  In the URL it reads
+ *   ?sector=Technology,Financial Services&price=100:500&peRatio=:30&sort=changePct&dir=asc
+ * where each range is in its field's display units (SCREENER_FIELDS:
+ * market cap in billions, volume in millions).  Defaults are left out.
+ *
+ * Metrics other than price, change and volume come from the static
+ * metadata (getStockMetrics, as of the reference day) and move with the
+ * live price: market cap, P/E and dividend yield are restated at it.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+import { nowSec } from './clock';
+import { STOCK_DATA, getStockMetrics } from '../data/mockData';
+import {
+  getCurrentMarketState,
+  getLastPrice,
+  getPreviousClose,
+  getDayVolume,
+  getAdjustmentFactor,
+  getReferenceDayNum,
+} from './priceEngine';
+
+const KEY = 'stock_screens';
+
+/**
+ * Numeric columns a screen can filter and sort on.  `scale` converts the
+ * value into the units the filter inputs and URL use (`unit`).
+ */
+export const SCREENER_FIELDS = [
+  { id: 'price',         label: 'Price',          unit: '$', scale: 1 },
+  { id: 'changePct',     label: 'Change %',       unit: '%', scale: 1 },
+  { id: 'volume',        label: 'Volume',         unit: 'M', scale: 1e6 },
+  { id: 'marketCap',     label: 'Market Cap',     unit: 'B', scale: 1e9 },
+  { id: 'peRatio',       label: 'P/E',            unit: '',  scale: 1 },
+  { id: 'beta',          label: 'Beta',           unit: '',  scale: 1 },
+  { id: 'dividendYield', label: 'Dividend Yield', unit: '%', scale: 1 },
+];
+
+/** Every sector in STOCK_DATA, alphabetically. */
+export const SECTORS = [...new Set(Object.values(STOCK_DATA).map(s => s.sector))].sort();
+
+const SORT_KEYS = ['symbol', 'name', 'sector', ...SCREENER_FIELDS.map(f => f.id)];
+
+export const DEFAULT_SCREEN = { sectors: [], ranges: {}, sort: 'marketCap', dir: 'desc' };
+
+/* ── Rows ─────────────────────────────────────────────────────────────────── */
+
+/*
+ * Multiplier from a live (as-traded) price to the reference day's share
+ * basis, so per-share metadata (EPS, dividend, share count) still applies
+ * after a split.
+ */
+function referenceBasis(symbol, basePrice, dayNum) {
+  const ref = getReferenceDayNum();
+  return dayNum >= ref
+    ? 1 / getAdjustmentFactor(symbol, basePrice, ref, dayNum, 'split')
+    : getAdjustmentFactor(symbol, basePrice, dayNum, ref, 'split');
+}
+
+/**
+ * One row per stock with its live metrics; null where a metric does not
+ * apply (no P/E on negative earnings).
+ *
+ * @param {number} [unixSec]  market-local epoch seconds; defaults to the clock
+ * @returns {Array<{ symbol, name, sector, price, change, changePct, volume,
+ *                   marketCap, peRatio, beta, dividendYield }>}
+ */
+export function getScreenerRows(unixSec = nowSec()) {
+  const { dayNum, marketSec } = getCurrentMarketState(unixSec);
+  return Object.entries(STOCK_DATA).map(([symbol, info]) => {
+    const metrics   = getStockMetrics(symbol);
+    const price     = getLastPrice(symbol, info.basePrice, dayNum, marketSec);
+    const prevClose = getPreviousClose(symbol, info.basePrice, dayNum);
+    const refPrice  = price * referenceBasis(symbol, info.basePrice, dayNum);
+    return {
+      symbol,
+      name:          info.name,
+      sector:        info.sector,
+      price,
+      change:        +(price - prevClose).toFixed(2),
+      changePct:     prevClose ? +(((price - prevClose) / prevClose) * 100).toFixed(2) : 0,
+      volume:        getDayVolume(symbol, info.basePrice, dayNum, marketSec),
+      marketCap:     metrics.marketCap === null ? null : metrics.marketCap * (refPrice / info.basePrice),
+      peRatio:       metrics.peRatio === null || !metrics.eps ? null : +(refPrice / metrics.eps).toFixed(2),
+      beta:          metrics.beta,
+      dividendYield: +((metrics.annualDividend / refPrice) * 100).toFixed(2),
+    };
+  });
+}
+
+/* ── Filtering ────────────────────────────────────────────────────────────── */
+
+const SCALES = Object.fromEntries(SCREENER_FIELDS.map(f => [f.id, f.scale]));
+
+/** Whether a row passes every filter of `screen`; a null metric fails any range on it. */
+function matches(row, screen) {
+  if (screen.sectors.length && !screen.sectors.includes(row.sector)) return false;
+  return Object.entries(screen.ranges).every(([id, [min, max]]) => {
+    if (row[id] === null) return false;
+    const v = row[id] / SCALES[id];
+    return (min === null || v >= min) && (max === null || v <= max);
+  });
+}
+
+/** Rows that pass `screen`'s filters, in its sort order (nulls last either way). */
+export function applyScreen(rows, screen) {
+  const { sort, dir } = screen;
+  const sign = dir === 'asc' ? 1 : -1;
+  return rows.filter(r => matches(r, screen)).sort((a, b) => {
+    const x = a[sort], y = b[sort];
+    if (x === null || y === null) return (x === null) - (y === null);
+    return sign * (typeof x === 'string' ? x.localeCompare(y) : x - y);
+  });
+}
+
+/* ── URL encoding ─────────────────────────────────────────────────────────── */
+
+function parseBound(str) {
+  if (str === undefined || str.trim() === '') return null;
+  const n = Number(str);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Screen from URL search params; unknown sectors, fields and malformed
+ * numbers are ignored.
+ *
+ * @param {URLSearchParams} params
+ */
+export function parseScreen(params) {
+  const sectors = (params.get('sector') || '').split(',').filter(s => SECTORS.includes(s));
+  const ranges = {};
+  for (const { id } of SCREENER_FIELDS) {
+    const [min, max] = (params.get(id) || '').split(':');
+    const range = [parseBound(min), parseBound(max)];
+    if (range[0] !== null || range[1] !== null) ranges[id] = range;
+  }
+  const sort = SORT_KEYS.includes(params.get('sort')) ? params.get('sort') : DEFAULT_SCREEN.sort;
+  const dir  = ['asc', 'desc'].includes(params.get('dir')) ? params.get('dir') : DEFAULT_SCREEN.dir;
+  return { sectors, ranges, sort, dir };
+}
+
+/** URL search params for a screen, leaving out defaults and open ranges. */
+export function screenToParams({ sectors, ranges, sort, dir }) {
+  const params = new URLSearchParams();
+  if (sectors.length) params.set('sector', sectors.join(','));
+  for (const { id } of SCREENER_FIELDS) {
+    const [min = null, max = null] = ranges[id] || [];
+    if (min !== null || max !== null) params.set(id, `${min ?? ''}:${max ?? ''}`);
+  }
+  if (sort !== DEFAULT_SCREEN.sort) params.set('sort', sort);
+  if (dir !== DEFAULT_SCREEN.dir)   params.set('dir', dir);
+  return params;
+}
+
+/* ── Saved screens ────────────────────────────────────────────────────────── */
+
+function load() {
+  try {
+    const data = localStorage.getItem(KEY);
+    return data ? JSON.parse(data) : { screens: [], nextId: 1 };
+  } catch (e) {
+    return { screens: [], nextId: 1 };
+  }
+}
+
+function save(state) {
+  localStorage.setItem(KEY, JSON.stringify(state));
+}
+
+/** Saved screens, oldest first, each `{ id, name, query }` with `query` a URL search string. */
+export function getSavedScreens() {
+  return load().screens;
+}
+
+/**
+ * Save `screen` under `name`, replacing a saved screen of the same name.
+ * Throws if the name is empty.
+ *
+ * @returns {object} the stored screen
+ */
+export function saveScreen(name, screen) {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) throw new Error('Screen name cannot be empty');
+  const state = load();
+  const query = screenToParams(screen).toString();
+  const existing = state.screens.find(s => s.name === trimmed);
+  if (existing) {
+    existing.query = query;
+    save(state);
+    return existing;
+  }
+  const saved = { id: state.nextId++, name: trimmed, query };
+  state.screens.push(saved);
+  save(state);
+  return saved;
+}
+
+export function deleteSavedScreen(id) {
+  const state = load();
+  state.screens = state.screens.filter(s => s.id !== id);
+  save(state);
+}
@@ -0,0 +1,46 @@
+/* ─── seriesStore.js ────────────────────────────────────────────────────────
+ * Bounded memo stores for generated price series.
+ * The price engine is a pure function of its inputs, so anything it derives
+ * can be cached indefinitely; the bound only caps memory when the clock is
+ * moved across many days.  All stores are registered here so a change that
+ * alters engine output (e.g. a new reference day) can drop them in one call.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+const stores = new Set();
+
+/**
+ * Create a least-recently-used keyed store.
+ *
+ * @param {number} limit  maximum number of entries kept
+ * @returns {{ get(key): any, set(key, value): void, clear(): void, size: number }}
+ */
+export function createStore(limit) {
+  const map = new Map();
+  const store = {
+    get(key) {
+      if (!map.has(key)) return undefined;
+      const value = map.get(key);
+      map.delete(key); // re-insert to mark as most recently used
+      map.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      map.delete(key);
+      map.set(key, value);
+      if (map.size > limit) map.delete(map.keys().next().value);
+    },
+    clear() {
+      map.clear();
+    },
+    get size() {
+      return map.size;
+    },
+  };
+  stores.add(store);
+  return store;
+}
+
+/** Drop every cached series (call after anything that changes engine output). */
+export function clearSeriesCache() {
+  stores.forEach(store => store.clear());
+}
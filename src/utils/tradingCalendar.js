@@ -0,0 +1,220 @@
+/* ─── tradingCalendar.js ────────────────────────────────────────────────────
+ * NYSE-style trading calendar for the simulation.
+ * Weekends, full-day market holidays and 1:00 PM early closes are derived
+ * from the exchange's rules, so any year in the simulation range works
+ * without a hand-maintained date list.
+ *
+ * Day numbers are integer days since the Unix epoch (UTC), matching the
+ * `dayNum` used throughout priceEngine.js.
+ * ─────────────────────────────────────────────────────────────────────────── */
+
+const DAY_MS = 86400000;
+
+export const REGULAR_SESSION_SEC = 23400; // 9:30 AM – 4:00 PM
+export const EARLY_CLOSE_SEC     = 12600; // 9:30 AM – 1:00 PM
+export const PRE_MARKET_SEC      = 19800; // 4:00 AM – 9:30 AM
+export const AFTER_HOURS_SEC     = 14400; // 4 hours after the close (until 8:00 PM)
+
+/* ── Simulation date range ────────────────────────────────────────────────── */
+
+// Default first and last simulated days; `?from=` / `?to=` override them.
+export const DEFAULT_SIM_START = '2016-01-01';
+export const DEFAULT_SIM_END   = '2026-12-31';
+
+// Inclusive range of calendar days the simulation covers.  The clock is
+// clamped into it and long chart ranges never reach before its start.
+const simRange = {
+  startDay: Math.floor(Date.parse(`${DEFAULT_SIM_START}T00:00:00Z`) / DAY_MS),
+  endDay:   Math.floor(Date.parse(`${DEFAULT_SIM_END}T00:00:00Z`) / DAY_MS),
+};
+
+/** @returns {{ startDay: number, endDay: number }} */
+export function getSimRange() {
+  return { ...simRange };
+}
+
+/**
+ * Change the simulation date range.  Call it before anything is priced:
+ * corporate actions are generated once across the range.
+ * @param {string} start  'YYYY-MM-DD'
+ * @param {string} end    'YYYY-MM-DD'
+ */
+export function configureSimRange(start, end) {
+  const s = Math.floor(Date.parse(`${start}T00:00:00Z`) / DAY_MS);
+  const e = Math.floor(Date.parse(`${end}T00:00:00Z`) / DAY_MS);
+  if (Number.isNaN(s) || Number.isNaN(e) || e < s) {
+    throw new Error(`Invalid simulation range: ${start} – ${end}`);
+  }
+  simRange.startDay = s;
+  simRange.endDay   = e;
+}
+
+/** Clamp a day number into the simulation range. */
+export function clampToSimRange(dayNum) {
+  return Math.min(Math.max(dayNum, simRange.startDay), simRange.endDay);
+}
+
+/* ── Date helpers ─────────────────────────────────────────────────────────── */
+
+function dayOf(year, month, date) {
+  return Math.floor(Date.UTC(year, month, date) / DAY_MS);
+}
+
+/** Day of week for a day number (0 = Sunday … 6 = Saturday). */
+function dow(dayNum) {
+  return new Date(dayNum * DAY_MS).getUTCDay();
+}
+
+/** The `n`-th `weekday` (0-6) of a month; n = -1 for the last one. */
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = dayOf(year, month, 1);
+    return first + ((weekday - dow(first) + 7) % 7) + (n - 1) * 7;
+  }
+  const last = dayOf(year, month + 1, 0);
+  return last - ((dow(last) - weekday + 7) % 7);
+}
+
+/** Easter Sunday (anonymous Gregorian algorithm). */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const date  = ((h + l - 7 * m + 114) % 31) + 1;
+  return dayOf(year, month - 1, date);
+}
+
+/** Fixed-date holiday observed on Friday when it falls on Saturday, Monday when on Sunday. */
+function observed(dayNum) {
+  const w = dow(dayNum);
+  if (w === 6) return dayNum - 1;
+  if (w === 0) return dayNum + 1;
+  return dayNum;
+}
+
+/* ── Holidays and early closes ────────────────────────────────────────────── */
+
+const yearCache = new Map();
+
+/**
+ * Holiday and early-close tables for one calendar year.
+ * @returns {{ holidays: Map<number, string>, earlyCloses: Map<number, string> }}
+ */
+function getYearCalendar(year) {
+  if (yearCache.has(year)) return yearCache.get(year);
+
+  const holidays = new Map();
+  const add = (day, name) => {
+    // Saturday New Year's Day is not observed on the Friday before.
+    if (dow(day) !== 0 && dow(day) !== 6) holidays.set(day, name);
+  };
+
+  const newYear = dayOf(year, 0, 1);
+  add(dow(newYear) === 0 ? newYear + 1 : newYear, "New Year's Day");
+  add(nthWeekday(year, 0, 1, 3), 'Martin Luther King Jr. Day');
+  add(nthWeekday(year, 1, 1, 3), "Washington's Birthday");
+  add(easterSunday(year) - 2, 'Good Friday');
+  add(nthWeekday(year, 4, 1, -1), 'Memorial Day');
+  if (year >= 2022) add(observed(dayOf(year, 5, 19)), 'Juneteenth');
+  add(observed(dayOf(year, 6, 4)), 'Independence Day');
+  add(nthWeekday(year, 8, 1, 1), 'Labor Day');
+  const thanksgiving = nthWeekday(year, 10, 4, 4);
+  add(thanksgiving, 'Thanksgiving Day');
+  add(observed(dayOf(year, 11, 25)), 'Christmas Day');
+
+  const earlyCloses = new Map();
+  const addEarly = (day, name) => {
+    if (dow(day) !== 0 && dow(day) !== 6 && !holidays.has(day)) earlyCloses.set(day, name);
+  };
+  // The eve of July 4th only closes early when the holiday itself is a weekday.
+  const july4 = dayOf(year, 6, 4);
+  if (dow(july4) !== 0 && dow(july4) !== 6) addEarly(july4 - 1, 'Independence Day Eve');
+  addEarly(thanksgiving + 1, 'Day after Thanksgiving');
+  addEarly(dayOf(year, 11, 24), 'Christmas Eve');
+
+  const cal = { holidays, earlyCloses };
+  yearCache.set(year, cal);
+  return cal;
+}
+
+function yearOf(dayNum) {
+  return new Date(dayNum * DAY_MS).getUTCFullYear();
+}
+
+/** Weekend day? */
+export function isWeekend(dayNum) {
+  const w = dow(dayNum);
+  return w === 0 || w === 6;
+}
+
+/** Holiday name for a day, or null if the exchange is not closed for a holiday. */
+export function getHoliday(dayNum) {
+  return getYearCalendar(yearOf(dayNum)).holidays.get(dayNum) ?? null;
+}
+
+/** Early-close occasion for a day, or null for a regular-length session. */
+export function getEarlyClose(dayNum) {
+  return getYearCalendar(yearOf(dayNum)).earlyCloses.get(dayNum) ?? null;
+}
+
+/** True if the exchange holds a session on `dayNum`. */
+export function isTradingDay(dayNum) {
+  return !isWeekend(dayNum) && getHoliday(dayNum) === null;
+}
+
+/** Length of the regular session in seconds (0 on non-trading days). */
+export function getSessionDuration(dayNum) {
+  if (!isTradingDay(dayNum)) return 0;
+  return getEarlyClose(dayNum) ? EARLY_CLOSE_SEC : REGULAR_SESSION_SEC;
+}
+
+/** Index of the last minute bar of the session (389 normally, 209 on half days). */
+export function getLastMinuteIdx(dayNum) {
+  return Math.max(0, getSessionDuration(dayNum) / 60 - 1);
+}
+
+/* ── Navigation ───────────────────────────────────────────────────────────── */
+
+/** Most recent trading day strictly before `dayNum`. */
+export function previousTradingDay(dayNum) {
+  let d = dayNum - 1;
+  while (!isTradingDay(d)) d--;
+  return d;
+}
+
+/** First trading day strictly after `dayNum`. */
+export function nextTradingDay(dayNum) {
+  let d = dayNum + 1;
+  while (!isTradingDay(d)) d++;
+  return d;
+}
+
+/** Returns `count` most-recent trading day numbers ending before `upToDay`. */
+export function getLastTradingDays(count, upToDay) {
+  const days = [];
+  let d = upToDay;
+  while (days.length < count) {
+    d = previousTradingDay(d);
+    days.unshift(d);
+  }
+  return days;
+}
+
+/** All trading days in the inclusive range [fromDay, toDay]. */
+export function getTradingDaysBetween(fromDay, toDay) {
+  const days = [];
+  for (let d = fromDay; d <= toDay; d++) {
+    if (isTradingDay(d)) days.push(d);
+  }
+  return days;
+}
@@ -1,28 +1,272 @@
-const KEY = 'stock_watchlist';
+/* ─── watchlist.js ──────────────────────────────────────────────────────────
+ * Named watchlists, persisted in localStorage.
+ *
+ * Each list keeps its symbols in the user's (drag-and-drop) order plus a
+ * display sort: 'manual' shows that order, 'change' / 'price' / 'name'
+ * sort by the live quote.  One list is the target: the one the ticker
+ * page's star button adds to, and the default for the single-list helpers
+ * (getWatchlist, addToWatchlist, …).
+ *
+ * The old single list under `stock_watchlist` is migrated on first read.
+ * ─────────────────────────────────────────────────────────────────────────── */
 
-export function getWatchlist() {
+import { getTickerData } from '../data/mockData';
+
+const KEY = 'stock_watchlists';
+const LEGACY_KEY = 'stock_watchlist';
+
+export const WATCHLIST_SORTS = ['manual', 'change', 'price', 'name'];
+
+const DEFAULT_NAME = 'My Watchlist';
+
+/* ── Storage ──────────────────────────────────────────────────────────────── */
+
+function newState(symbols = []) {
+  return {
+    lists: [{ id: 1, name: DEFAULT_NAME, symbols, sort: 'manual' }],
+    targetId: 1,
+    nextId: 2,
+  };
+}
+
+function loadLegacy() {
   try {
-    const data = localStorage.getItem(KEY);
-    return data ? JSON.parse(data) : [];
+    const data = localStorage.getItem(LEGACY_KEY);
+    const list = data ? JSON.parse(data) : [];
+    return Array.isArray(list) ? list : [];
   } catch (e) {
     return [];
   }
 }
 
-export function addToWatchlist(symbol) {
-  const list = getWatchlist();
-  if (!list.includes(symbol)) {
-    list.push(symbol);
-    localStorage.setItem(KEY, JSON.stringify(list));
+function load() {
+  try {
+    const data = localStorage.getItem(KEY);
+    if (data) return JSON.parse(data);
+  } catch (e) {
+    return newState();
   }
+  const state = newState(loadLegacy());
+  save(state);
+  localStorage.removeItem(LEGACY_KEY);
+  return state;
+}
+
+function save(state) {
+  localStorage.setItem(KEY, JSON.stringify(state));
+}
+
+function findList(state, id) {
+  const list = state.lists.find(l => l.id === id);
+  if (!list) throw new Error(`Unknown watchlist: ${id}`);
+  return list;
 }
 
-export function removeFromWatchlist(symbol) {
-  const list = getWatchlist();
-  const updated = list.filter(s => s !== symbol);
-  localStorage.setItem(KEY, JSON.stringify(updated));
+function cleanName(name) {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) throw new Error('Watchlist name cannot be empty');
+  return trimmed;
 }
 
-export function isInWatchlist(symbol) {
-  return getWatchlist().includes(symbol);
+/* ── Lists ────────────────────────────────────────────────────────────────── */
+
+/** Every watchlist, in display order. */
+export function getWatchlists() {
+  return load().lists;
+}
+
+/** Id of the list the star button adds to. */
+export function getTargetWatchlistId() {
+  return load().targetId;
+}
+
+export function setTargetWatchlist(id) {
+  const state = load();
+  findList(state, id);
+  state.targetId = id;
+  save(state);
+}
+
+/** Create an empty list; returns its id. */
+export function createWatchlist(name) {
+  const state = load();
+  const id = state.nextId++;
+  state.lists.push({ id, name: cleanName(name), symbols: [], sort: 'manual' });
+  save(state);
+  return id;
+}
+
+export function renameWatchlist(id, name) {
+  const state = load();
+  findList(state, id).name = cleanName(name);
+  save(state);
+}
+
+/** Delete a list.  The last list cannot be deleted; the target moves to the first remaining list. */
+export function deleteWatchlist(id) {
+  const state = load();
+  findList(state, id);
+  if (state.lists.length === 1) throw new Error('Cannot delete the only watchlist');
+  state.lists = state.lists.filter(l => l.id !== id);
+  if (state.targetId === id) state.targetId = state.lists[0].id;
+  save(state);
+}
+
+export function setWatchlistSort(id, sort) {
+  if (!WATCHLIST_SORTS.includes(sort)) throw new Error(`Unknown sort: ${sort}`);
+  const state = load();
+  findList(state, id).sort = sort;
+  save(state);
+}
+
+/** Replace a list's manual order (same symbols, new order) and switch it to manual sorting. */
+export function reorderWatchlist(id, symbols) {
+  const state = load();
+  const list = findList(state, id);
+  if (symbols.length !== list.symbols.length || !symbols.every(s => list.symbols.includes(s))) {
+    throw new Error('Reordered symbols must match the watchlist');
+  }
+  list.symbols = [...symbols];
+  list.sort = 'manual';
+  save(state);
+}
+
+/* ── Symbols ──────────────────────────────────────────────────────────────── */
+
+export function getWatchlist(id = getTargetWatchlistId()) {
+  const list = load().lists.find(l => l.id === id);
+  return list ? list.symbols : [];
+}
+
+export function addToWatchlist(symbol, id = getTargetWatchlistId()) {
+  const state = load();
+  const list = findList(state, id);
+  if (!list.symbols.includes(symbol)) {
+    list.symbols.push(symbol);
+    save(state);
+  }
+}
+
+export function removeFromWatchlist(symbol, id = getTargetWatchlistId()) {
+  const state = load();
+  const list = findList(state, id);
+  list.symbols = list.symbols.filter(s => s !== symbol);
+  save(state);
+}
+
+export function isInWatchlist(symbol, id = getTargetWatchlistId()) {
+  return getWatchlist(id).includes(symbol);
+}
+
+/* ── Import / export ──────────────────────────────────────────────────────── */
+
+/**
+ * Every list as text.
+ *   json  { "target": name, "watchlists": [{ "name", "sort", "symbols": [...] }] }
+ *   csv   one `watchlist,symbol` row per symbol (an empty list has one row
+ *         with no symbol), in each list's manual order
+ */
+export function exportWatchlists(format = 'json') {
+  const { lists, targetId } = load();
+  if (format === 'csv') {
+    const quote = (v) => (/[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+    const rows = ['watchlist,symbol'];
+    for (const l of lists) {
+      if (!l.symbols.length) rows.push(`${quote(l.name)},`);
+      l.symbols.forEach(s => rows.push(`${quote(l.name)},${s}`));
+    }
+    return rows.join('\n') + '\n';
+  }
+  return JSON.stringify({
+    target: lists.find(l => l.id === targetId)?.name,
+    watchlists: lists.map(({ name, sort, symbols }) => ({ name, sort, symbols })),
+  }, null, 2);
+}
+
+/** Split one CSV line into fields (double-quoted fields may contain commas). */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { fields.push(field); field = ''; }
+    else field += c;
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const byName = new Map();
+  lines.forEach((line, i) => {
+    if (!line.trim() || (i === 0 && /^watchlist\s*,\s*symbol$/i.test(line.trim()))) return;
+    const [name, symbol = ''] = parseCsvLine(line);
+    if (!name) throw new Error(`Line ${i + 1}: missing watchlist name`);
+    if (!byName.has(name)) byName.set(name, { name, symbols: [] });
+    if (symbol) byName.get(name).symbols.push(symbol);
+  });
+  return { watchlists: [...byName.values()] };
+}
+
+/**
+ * Load lists from JSON or CSV text (format detected from the content).
+ * With `replace` every existing list is dropped first; otherwise imported
+ * lists are merged into existing lists of the same name.  Symbols are
+ * upper-cased and must be known tickers or indices.  Throws on malformed
+ * input, leaving the stored lists untouched.
+ *
+ * @returns {number} number of lists imported
+ */
+export function importWatchlists(text, { replace = true } = {}) {
+  const trimmed = String(text).trim();
+  let data;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      data = JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error(`Invalid JSON: ${e.message}`);
+    }
+    if (Array.isArray(data)) data = { watchlists: data };
+  } else {
+    data = parseCsv(trimmed);
+  }
+  if (!Array.isArray(data.watchlists) || !data.watchlists.length) {
+    throw new Error('No watchlists found');
+  }
+
+  const imported = data.watchlists.map(w => {
+    const name = cleanName(w.name);
+    if (!Array.isArray(w.symbols)) throw new Error(`Watchlist "${name}": "symbols" must be a list`);
+    const symbols = [];
+    for (const raw of w.symbols) {
+      const symbol = String(raw).trim().toUpperCase();
+      if (!getTickerData(symbol)) throw new Error(`Watchlist "${name}": unknown symbol ${raw}`);
+      if (!symbols.includes(symbol)) symbols.push(symbol);
+    }
+    const sort = w.sort ?? 'manual';
+    if (!WATCHLIST_SORTS.includes(sort)) throw new Error(`Watchlist "${name}": unknown sort ${sort}`);
+    return { name, symbols, sort };
+  });
+
+  const state = replace ? { lists: [], targetId: null, nextId: 1 } : load();
+  for (const w of imported) {
+    const existing = state.lists.find(l => l.name === w.name);
+    if (existing) {
+      w.symbols.forEach(s => { if (!existing.symbols.includes(s)) existing.symbols.push(s); });
+      existing.sort = w.sort;
+    } else {
+      state.lists.push({ id: state.nextId++, ...w });
+    }
+  }
+  const target = state.lists.find(l => l.name === data.target);
+  if (target) state.targetId = target.id;
+  else if (state.targetId === null) state.targetId = state.lists[0].id;
+  save(state);
+  return imported.length;
 }